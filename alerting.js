@@ -0,0 +1,422 @@
+/**
+ * Alerting module
+ * Sends alerts on events worth a notification to the configured sinks: a
+ * webhook (JSON POST), a local command (alert JSON on stdin) and/or a JSON
+ * Lines file.
+ *
+ * Events (config.alerts.events):
+ *   signal      new BUY/SELL signal of the slope signal generator on a pool
+ *   trade       executed trade (or chunk)
+ *   drawdown    a strategy's drawdown crossed alerts.maxDrawdownPct
+ *   loss        a strategy's PnL (realized + unrealized) fell below -alerts.maxLoss
+ *   crash       the Kafka consumer crashed
+ *   disconnect  the Kafka consumer disconnected
+ *   stall       no message for alerts.stallSeconds (live mode), and when messages resume
+ *   health      the consumer supervisor's health state changed (consumerSupervisor.js)
+ *
+ * Alerts with the same key (e.g. the same signal side on the same pool) are sent
+ * once per dedupWindowMs, and at most maxPerMinute alerts of each event type are
+ * sent per minute, so a burst of trades cannot hold back a loss alert; the next
+ * alert of the type that is sent carries the number of throttled ones. Limit alerts fire
+ * when the limit is crossed and re-arm once the strategy has recovered.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { spawn } = require('child_process');
+const pipeline = require('./pipeline');
+const kafkaConsumer = require('./kafkaConsumer');
+const consumerSupervisor = require('./consumerSupervisor');
+const tradeSimulator = require('./tradeSimulator');
+const eventClock = require('./eventClock');
+const prometheusMetrics = require('./prometheusMetrics');
+const logger = require('./logger');
+
+const log = logger.createLogger('Alerts');
+
+const THROTTLE_WINDOW_MS = 60000;
+const STALL_CHECK_INTERVAL = 1000;
+const HEALTH_SEVERITIES = { starting: 'info', healthy: 'info', degraded: 'warning', reconnecting: 'warning', failed: 'critical' };
+
+// Shared state
+let options = null;
+let sinks = [];
+let mode = null;
+let listeners = [];
+let timers = [];
+let sentKeys = new Map(); // alert key -> time last sent
+let throttles = new Map(); // event type -> { windowStart, count, suppressed }
+let breaches = new Set(); // "<kind>:<strategy>" of limits currently crossed
+let peaks = new Map(); // strategy -> peak equity
+let lastMessageTime = 0;
+let stalled = false;
+let deliveries = new Set();
+let initialCapital = 0;
+
+/**
+ * Sink that POSTs the alert as JSON
+ */
+function createWebhookSink(url, headers, timeoutMs) {
+  const client = url.startsWith('https:') ? https : http;
+  return {
+    name: 'webhook',
+    send: alert => new Promise((resolve, reject) => {
+      const body = JSON.stringify(alert);
+      const req = client.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+        timeout: timeoutMs
+      }, res => {
+        res.resume();
+        res.on('end', () => (res.statusCode < 300 ? resolve() : reject(new Error(`HTTP ${res.statusCode}`))));
+      });
+      req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+      req.on('error', reject);
+      req.end(body);
+    })
+  };
+}
+
+/**
+ * Sink that runs a shell command with the alert as JSON on stdin and its type,
+ * severity and message in ALERT_TYPE, ALERT_SEVERITY and ALERT_MESSAGE
+ */
+function createCommandSink(command, timeoutMs) {
+  return {
+    name: 'command',
+    send: alert => new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'inherit'],
+        timeout: timeoutMs,
+        env: { ...process.env, ALERT_TYPE: alert.type, ALERT_SEVERITY: alert.severity, ALERT_MESSAGE: alert.text }
+      });
+      child.on('error', reject);
+      child.on('close', (code, signal) => (code === 0 ? resolve() : reject(new Error(signal ? `Killed by ${signal}` : `Exit code ${code}`))));
+      child.stdin.on('error', () => {}); // the command may not read its input
+      child.stdin.end(`${JSON.stringify(alert)}\n`);
+    })
+  };
+}
+
+/**
+ * Sink that appends the alert to a JSON Lines file
+ */
+function createFileSink(filePath) {
+  return {
+    name: 'file',
+    send: alert => fs.promises.appendFile(filePath, `${JSON.stringify(alert)}\n`)
+  };
+}
+
+/**
+ * Adds a custom sink: { name, send(alert) } where send may return a promise
+ */
+function addSink(sink) {
+  sinks.push(sink);
+}
+
+/**
+ * Checks whether an event type is enabled
+ */
+function isEnabled(type) {
+  return options !== null && sinks.length > 0 && options.events.includes(type);
+}
+
+/**
+ * Checks and updates the throttle of an event type, returning null if the alert
+ * is dropped, otherwise the number of alerts dropped since the last one sent
+ */
+function checkThrottle(type, now) {
+  let throttle = throttles.get(type);
+  if (!throttle || now - throttle.windowStart >= THROTTLE_WINDOW_MS) {
+    throttle = { windowStart: now, count: 0, suppressed: throttle ? throttle.suppressed : 0 };
+    throttles.set(type, throttle);
+  }
+  if (throttle.count >= options.maxPerMinute) {
+    throttle.suppressed++;
+    return null;
+  }
+  throttle.count++;
+  const suppressed = throttle.suppressed;
+  throttle.suppressed = 0;
+  return suppressed;
+}
+
+/**
+ * Sends an alert to every sink, unless it is a duplicate or throttled
+ * alert: { type, key, severity, title, fields }
+ */
+function sendAlert(alert) {
+  if (!isEnabled(alert.type)) {
+    return;
+  }
+
+  const now = Date.now();
+  const lastSent = sentKeys.get(alert.key);
+  if (lastSent !== undefined && now - lastSent < options.dedupWindowMs) {
+    prometheusMetrics.increment('alerts_total', { type: alert.type, result: 'deduplicated' });
+    return;
+  }
+  const suppressed = checkThrottle(alert.type, now);
+  if (suppressed === null) {
+    prometheusMetrics.increment('alerts_total', { type: alert.type, result: 'throttled' });
+    return;
+  }
+  sentKeys.set(alert.key, now);
+  prometheusMetrics.increment('alerts_total', { type: alert.type, result: 'sent' });
+
+  const fields = Object.entries(alert.fields || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${typeof value === 'number' && !Number.isInteger(value) ? Number(value.toFixed(6)) : value}`);
+  const payload = {
+    type: alert.type,
+    severity: alert.severity,
+    title: alert.title,
+    // Plain text for chat webhooks (e.g. Slack incoming webhooks)
+    text: `[${alert.severity.toUpperCase()}] ${alert.title}${fields.length > 0 ? ` (${fields.join(', ')})` : ''}`,
+    time: new Date(now).toISOString(),
+    eventTime: eventClock.now() ? new Date(eventClock.now()).toISOString() : null,
+    mode,
+    ...alert.fields,
+    ...(suppressed > 0 ? { suppressed } : {})
+  };
+
+  log.info('Alert', { type: alert.type, severity: alert.severity, title: alert.title });
+  for (const sink of sinks) {
+    const delivery = Promise.resolve()
+      .then(() => sink.send(payload))
+      .catch(error => {
+        prometheusMetrics.increment('alert_sink_failures_total', { sink: sink.name });
+        log.warn('Alert delivery failed', { sink: sink.name, type: alert.type, error: error.message });
+      })
+      .finally(() => deliveries.delete(delivery));
+    deliveries.add(delivery);
+  }
+}
+
+/**
+ * Alerts on new slope signals of a pool update
+ */
+function onPoolUpdate(update) {
+  if (update.signal) {
+    sendAlert({
+      type: 'signal',
+      key: `signal:${update.poolAddress}:${update.signal}`,
+      severity: 'info',
+      title: `${update.signal} signal on ${update.pair}`,
+      fields: { pool: update.poolAddress, pair: update.pair, signal: update.signal, slope: update.slope, deltaSlope: update.deltaSlope }
+    });
+  }
+  checkLimits();
+}
+
+/**
+ * Alerts on an executed trade
+ */
+function onTrade({ trade, pnl }) {
+  const closed = trade.closedLots.length > 0;
+  sendAlert({
+    type: 'trade',
+    key: `trade:${trade.id}`,
+    severity: 'info',
+    title: `${trade.strategy} ${trade.type} ${trade.amount} at ${Number(trade.price.toFixed(6))}`,
+    fields: {
+      strategy: trade.strategy,
+      tradeId: trade.id,
+      side: trade.type,
+      pool: trade.poolAddress,
+      amount: trade.amount,
+      price: trade.price,
+      pnl: closed ? pnl : undefined,
+      netPosition: trade.netPosition
+    }
+  });
+  checkLimits();
+}
+
+/**
+ * Alerts when a strategy crosses the drawdown or loss limit (once per crossing)
+ */
+function checkLimits() {
+  if (options.maxDrawdownPct === null && options.maxLoss === null) {
+    return;
+  }
+
+  for (const strategy of tradeSimulator.getPortfolioIds()) {
+    const { equity } = tradeSimulator.getEquity(strategy);
+    const peak = Math.max(peaks.has(strategy) ? peaks.get(strategy) : 0, equity);
+    peaks.set(strategy, peak);
+
+    // Relative to capital + peak equity, as the drawdown in performanceMetrics.js
+    const drawdown = peak - equity;
+    const drawdownPct = drawdown / (initialCapital + peak);
+    if (options.maxDrawdownPct !== null) {
+      updateBreach('drawdown', strategy, drawdownPct > options.maxDrawdownPct, {
+        severity: 'warning',
+        title: `${strategy} drawdown ${(drawdownPct * 100).toFixed(2)}% exceeds ${(options.maxDrawdownPct * 100).toFixed(2)}%`,
+        fields: { strategy, drawdown, drawdownPct, equity, peakEquity: peak }
+      });
+    }
+    if (options.maxLoss !== null) {
+      updateBreach('loss', strategy, equity < -options.maxLoss, {
+        severity: 'critical',
+        title: `${strategy} PnL ${equity.toFixed(2)} below loss limit -${options.maxLoss}`,
+        fields: { strategy, pnl: equity, maxLoss: options.maxLoss }
+      });
+    }
+  }
+}
+
+/**
+ * Alerts when a limit becomes breached and re-arms it once it no longer is
+ */
+function updateBreach(type, strategy, breached, alert) {
+  const key = `${type}:${strategy}`;
+  if (!breached) {
+    breaches.delete(key);
+  } else if (!breaches.has(key)) {
+    breaches.add(key);
+    sendAlert({ type, key, ...alert });
+  }
+}
+
+/**
+ * Alerts on consumer health changes, except the first move to healthy at startup
+ */
+function onHealthChange({ state, previous, reason }) {
+  if (state === 'healthy' && previous === 'starting') {
+    return;
+  }
+  sendAlert({
+    type: 'health',
+    key: `health:${state}`,
+    severity: HEALTH_SEVERITIES[state],
+    title: `Kafka consumer ${state}`,
+    fields: { state, previous, reason }
+  });
+}
+
+/**
+ * Records a consumed message for stall detection, alerting when messages resume
+ */
+function onMessage() {
+  const now = Date.now();
+  if (stalled) {
+    stalled = false;
+    sendAlert({
+      type: 'stall',
+      key: 'stall:resumed',
+      severity: 'info',
+      title: `Messages resumed after ${Math.round((now - lastMessageTime) / 1000)}s`,
+      fields: { stalledSeconds: Math.round((now - lastMessageTime) / 1000) }
+    });
+  }
+  lastMessageTime = now;
+}
+
+/**
+ * Alerts once when no message has arrived for stallSeconds
+ */
+function checkStall() {
+  const idleMs = Date.now() - lastMessageTime;
+  if (!stalled && idleMs >= options.stallSeconds * 1000) {
+    stalled = true;
+    sendAlert({
+      type: 'stall',
+      key: 'stall',
+      severity: 'critical',
+      title: `No messages for ${Math.round(idleMs / 1000)}s`,
+      fields: { idleSeconds: Math.round(idleMs / 1000), lastMessage: new Date(lastMessageTime).toISOString() }
+    });
+  }
+}
+
+/**
+ * Subscribes to pipeline and consumer events and starts stall detection
+ * info: { mode } of the run ('live', 'record' or 'replay'; stalls are only detected
+ * while consuming Kafka)
+ */
+function startAlerting(config, info = {}) {
+  options = { ...config.alerts };
+  initialCapital = config.metrics.initialCapital;
+  mode = info.mode || null;
+  sinks = [];
+  if (options.webhookUrl) {
+    addSink(createWebhookSink(options.webhookUrl, options.webhookHeaders, options.timeoutMs));
+  }
+  if (options.command) {
+    addSink(createCommandSink(options.command, options.timeoutMs));
+  }
+  if (options.file) {
+    addSink(createFileSink(options.file));
+  }
+  if (sinks.length === 0) {
+    return;
+  }
+
+  sentKeys = new Map();
+  throttles = new Map();
+  breaches = new Set();
+  peaks = new Map();
+  stalled = false;
+  lastMessageTime = Date.now();
+
+  const pipelineEmitter = pipeline.getPipelineEmitter();
+  const kafkaEmitter = kafkaConsumer.getKafkaEmitter();
+  listeners = [
+    [pipelineEmitter, 'poolUpdate', onPoolUpdate],
+    [pipelineEmitter, 'trade', onTrade],
+    [kafkaEmitter, 'message', onMessage],
+    [kafkaEmitter, 'crash', error => sendAlert({
+      type: 'crash',
+      key: 'crash',
+      severity: 'critical',
+      title: 'Kafka consumer crashed',
+      fields: { error: error ? error.message : undefined }
+    })],
+    [kafkaEmitter, 'disconnect', () => sendAlert({
+      type: 'disconnect',
+      key: 'disconnect',
+      severity: 'warning',
+      title: 'Disconnected from Kafka'
+    })],
+    [consumerSupervisor.getSupervisorEmitter(), 'state', onHealthChange]
+  ];
+  for (const [emitter, event, listener] of listeners) {
+    emitter.on(event, listener);
+  }
+
+  if (mode !== 'replay' && options.stallSeconds !== null) {
+    const timer = setInterval(checkStall, STALL_CHECK_INTERVAL);
+    timer.unref();
+    timers.push(timer);
+  }
+
+  log.info('Alerting enabled', { sinks: sinks.map(sink => sink.name).join(','), events: options.events.join(',') });
+}
+
+/**
+ * Stops listening for events and waits for pending deliveries
+ * (call before disconnecting Kafka, so a planned shutdown does not alert)
+ */
+async function stopAlerting() {
+  for (const [emitter, event, listener] of listeners) {
+    emitter.off(event, listener);
+  }
+  listeners = [];
+  timers.forEach(clearInterval);
+  timers = [];
+
+  await Promise.all(Array.from(deliveries));
+  options = null;
+  sinks = [];
+}
+
+module.exports = {
+  startAlerting,
+  stopAlerting,
+  sendAlert,
+  addSink
+};
@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface
+ *
+ * Usage: strategy-tester <command> [arguments] [options]
+ *
+ * Commands:
+ *   live                     Forward-test strategies on the live Kafka stream
+ *   replay <recording>       Backtest strategies on a recording
+ *   record <dir>             Record the live stream without running strategies
+ *   sweep <spec.json>        Run a parameter sweep over a recording
+ *   walkforward <spec.json>  Run walk-forward validation over a recording
+ *   report [dir]             Render a report from saved results
+ *
+ * Every command also accepts the configuration flags (--config <file>,
+ * --<setting> <value>, --set <setting>=<value>, see config.js) and --help.
+ *
+ * Exit codes: see EXIT_CODES
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config, loadConfig, getArgs, validateConfig, printConfig } = require('./config');
+const logger = require('./logger');
+
+const log = logger.createLogger('App');
+
+const EXIT_CODES = {
+  OK: 0, // command completed
+  FAILURE: 1, // runtime error (Kafka, I/O, ...)
+  USAGE: 2, // unknown command, option or missing argument
+  CONFIG: 3, // invalid configuration
+  INTERRUPTED: 130 // replay stopped by SIGINT/SIGTERM before the end of the recording
+};
+
+/**
+ * Error raised for invalid command-line usage
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+const COMMANDS = {
+  live: {
+    summary: 'Forward-test strategies on the live Kafka stream',
+    usage: 'live [options]',
+    description: 'Consumes the configured Kafka topic and runs every configured strategy until SIGINT/SIGTERM, then prints the performance summary and closes the results run.',
+    options: {
+      '--record-dir': { setting: 'recording.dir', value: '<dir>', description: 'Also record every consumed message into this archive directory' },
+      '--start-from': { setting: 'kafka.startFrom', value: '<position>', description: 'committed (default), latest, earliest, timestamp or offsets' },
+      '--start-timestamp': { setting: 'kafka.startTimestamp', value: '<date>', description: 'Start time for --start-from timestamp (ISO 8601)' },
+      '--state-dir': { setting: 'state.dir', value: '<dir>', description: 'Save state snapshots here and resume from the last one on startup' },
+      '--no-resume': { setting: 'state.resume', flag: 'false', description: 'Start fresh instead of resuming from the last state snapshot' },
+      '--monitor-port': { setting: 'monitor.port', value: '<port>', description: 'Serve the monitoring API and dashboard on this port' }
+    },
+    run: async () => {
+      prepareConfig();
+      await require('./index').runLive();
+      return EXIT_CODES.OK;
+    }
+  },
+  replay: {
+    summary: 'Backtest strategies on a recording',
+    usage: 'replay <recording> [options]',
+    description: 'Replays a recording file (.jsonl, .jsonl.gz) or archive directory through the same pipeline as live mode. Kafka credentials are not needed.',
+    positional: [{ name: 'recording', setting: 'replay.file' }],
+    options: {
+      '--speed': { setting: 'replay.speed', value: '<x>', description: 'Replay speed multiplier (0 = as fast as possible, default)' },
+      '--from': { setting: 'replay.from', value: '<date>', description: 'Replay only messages at or after this time (ISO 8601)' },
+      '--to': { setting: 'replay.to', value: '<date>', description: 'Replay only messages at or before this time (ISO 8601)' },
+      '--no-results': { setting: 'results.enabled', flag: 'false', description: 'Do not write results files' },
+      '--monitor-port': { setting: 'monitor.port', value: '<port>', description: 'Serve the monitoring API and dashboard on this port' }
+    },
+    run: async () => {
+      prepareConfig();
+      const completed = await require('./index').runReplay();
+      return completed ? EXIT_CODES.OK : EXIT_CODES.INTERRUPTED;
+    }
+  },
+  record: {
+    summary: 'Record the live stream without running strategies',
+    usage: 'record <dir> [options]',
+    description: 'Captures raw Kafka messages into a rotating, compressed archive in <dir> until SIGINT/SIGTERM.',
+    positional: [{ name: 'dir', setting: 'recording.dir' }],
+    settings: { 'recording.only': 'true' },
+    options: {
+      '--start-from': { setting: 'kafka.startFrom', value: '<position>', description: 'committed (default), latest, earliest, timestamp or offsets' },
+      '--start-timestamp': { setting: 'kafka.startTimestamp', value: '<date>', description: 'Start time for --start-from timestamp (ISO 8601)' }
+    },
+    run: async () => {
+      prepareConfig();
+      await require('./index').runLive();
+      return EXIT_CODES.OK;
+    }
+  },
+  sweep: {
+    summary: 'Run a parameter sweep over a recording',
+    usage: 'sweep <spec.json> [options]',
+    description: 'Runs a backtest for every combination of parameter values in the spec in parallel worker processes and prints and saves the ranked results (see README, Parameter Sweeps).',
+    positional: [{ name: 'spec' }],
+    options: {},
+    run: async args => {
+      prepareConfig({ offline: true });
+      await require('./sweepRunner').main(args.spec);
+      return EXIT_CODES.OK;
+    }
+  },
+  walkforward: {
+    summary: 'Run walk-forward validation over a recording',
+    usage: 'walkforward <spec.json> [options]',
+    description: 'Optimizes parameters on rolling in-sample windows and evaluates them on the following out-of-sample windows (see README, Walk-forward Validation).',
+    positional: [{ name: 'spec' }],
+    options: {},
+    run: async args => {
+      prepareConfig({ offline: true });
+      await require('./walkForward').main(args.spec);
+      return EXIT_CODES.OK;
+    }
+  },
+  report: {
+    summary: 'Render a report from saved results',
+    usage: 'report [dir] [options]',
+    description: 'Renders a run, sweep or walk-forward results directory. Without [dir], or with a results base directory, the latest run in it is used.',
+    positional: [{ name: 'dir', optional: true }],
+    options: {
+      '--format': { name: 'format', value: '<format>', description: 'Output format: text (default), markdown or json' },
+      '--output': { name: 'output', value: '<file>', description: 'Write the report to a file instead of stdout' }
+    },
+    run: async args => {
+      const resultsReport = require('./resultsReport');
+      const format = args.format || 'text';
+      if (!resultsReport.REPORT_FORMATS.includes(format)) {
+        throw usageError(`Unknown report format '${format}' (expected ${resultsReport.REPORT_FORMATS.join(', ')})`);
+      }
+
+      const report = resultsReport.renderReport(resultsReport.loadResults(args.dir || config.results.dir), format);
+      if (args.output) {
+        fs.writeFileSync(args.output, report + '\n');
+      } else {
+        process.stdout.write(report + '\n');
+      }
+      return EXIT_CODES.OK;
+    }
+  }
+};
+
+/**
+ * Validates the loaded configuration and prints it
+ */
+function prepareConfig(options) {
+  validateConfig(options);
+  logger.initializeLogger(config);
+  printConfig();
+  log.info('Configuration validated');
+}
+
+/**
+ * Gets the package version
+ */
+function getVersion() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version;
+}
+
+/**
+ * Formats the general help text
+ */
+function formatHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 4;
+  return [
+    'Usage: strategy-tester <command> [arguments] [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}${command.summary}`),
+    '',
+    'Global options:',
+    '  --config <file>            JSON or YAML config file',
+    '  --<setting> <value>        Override a setting, e.g. --trading.tradeSize 2',
+    '  --set <setting>=<value>    Same as above',
+    '  -h, --help                 Show help (use "<command> --help" for a command)',
+    '  -v, --version              Show the version',
+    '',
+    formatExitCodes()
+  ].join('\n');
+}
+
+/**
+ * Formats the exit code list
+ */
+function formatExitCodes() {
+  return [
+    'Exit codes:',
+    `  ${EXIT_CODES.OK}    success`,
+    `  ${EXIT_CODES.FAILURE}    runtime error`,
+    `  ${EXIT_CODES.USAGE}    invalid usage`,
+    `  ${EXIT_CODES.CONFIG}    invalid configuration`,
+    `  ${EXIT_CODES.INTERRUPTED}  replay interrupted`
+  ].join('\n');
+}
+
+/**
+ * Formats the help text of a command
+ */
+function formatCommandHelp(name) {
+  const command = COMMANDS[name];
+  const options = Object.entries(command.options).map(([flag, option]) =>
+    `  ${`${flag}${option.value ? ` ${option.value}` : ''}`.padEnd(27)}${option.description}`);
+
+  return [
+    `Usage: strategy-tester ${command.usage}`,
+    '',
+    command.description,
+    '',
+    'Options:',
+    ...options,
+    '  --config <file>            JSON or YAML config file',
+    '  --<setting> <value>        Override a setting, e.g. --risk.stopLossPct 0.02',
+    '  --set <setting>=<value>    Same as above',
+    '  -h, --help                 Show this help',
+    '',
+    formatExitCodes()
+  ].join('\n');
+}
+
+/**
+ * Parses the arguments of a command: command options become config flags or named
+ * arguments, the rest goes through the configuration loader
+ * Returns the named arguments (positionals and non-setting options)
+ */
+function parseCommandArgs(command, argv) {
+  const configArgs = [];
+  const args = {};
+
+  for (const [setting, value] of Object.entries(command.settings || {})) {
+    configArgs.push(`--${setting}=${value}`);
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const option = command.options[flag];
+    if (!option) {
+      configArgs.push(argv[i]);
+      continue;
+    }
+
+    let value = option.flag;
+    if (value === undefined) {
+      value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw usageError(`Missing value for ${flag}`);
+      }
+    }
+
+    if (option.setting) {
+      configArgs.push(`--${option.setting}=${value}`);
+    } else {
+      args[option.name] = value;
+    }
+  }
+
+  try {
+    loadConfig({ argv: configArgs });
+  } catch (error) {
+    error.exitCode = EXIT_CODES.CONFIG;
+    throw error;
+  }
+
+  const rest = getArgs();
+  const unknown = rest.find(arg => arg.startsWith('-'));
+  if (unknown) {
+    throw usageError(`Unknown option: ${unknown}`);
+  }
+
+  const positional = command.positional || [];
+  if (rest.length > positional.length) {
+    throw usageError(`Unexpected argument: ${rest[positional.length]}`);
+  }
+
+  const overrides = [];
+  positional.forEach((argument, i) => {
+    if (rest[i] === undefined) {
+      if (!argument.optional) {
+        throw usageError(`Missing argument <${argument.name}>`);
+      }
+      return;
+    }
+    if (argument.setting) {
+      overrides.push(`--${argument.setting}=${rest[i]}`);
+    } else {
+      args[argument.name] = rest[i];
+    }
+  });
+
+  // Positionals that map to settings override every other layer
+  if (overrides.length > 0) {
+    loadConfig({ argv: configArgs.concat(overrides) });
+  }
+
+  if (args.spec && !fs.existsSync(args.spec)) {
+    throw usageError(`Spec file not found: ${args.spec}`);
+  }
+  return args;
+}
+
+/**
+ * Runs the CLI and returns the exit code
+ */
+async function main(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === '-h' || name === '--help' || name === 'help') {
+    const topic = name === 'help' ? rest[0] : null;
+    if (topic && COMMANDS[topic]) {
+      console.log(formatCommandHelp(topic));
+      return EXIT_CODES.OK;
+    }
+    console.log(formatHelp());
+    return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  if (name === '-v' || name === '--version') {
+    console.log(getVersion());
+    return EXIT_CODES.OK;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n\n${formatHelp()}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (rest.includes('-h') || rest.includes('--help')) {
+    console.log(formatCommandHelp(name));
+    return EXIT_CODES.OK;
+  }
+
+  let args;
+  try {
+    args = parseCommandArgs(command, rest);
+  } catch (error) {
+    console.error(`Error: ${error.message}\nRun "strategy-tester ${name} --help" for usage.`);
+    return error.exitCode || EXIT_CODES.USAGE;
+  }
+
+  try {
+    return await command.run(args);
+  } catch (error) {
+    if (error.exitCode) {
+      console.error(`Error: ${error.message}`);
+      return error.exitCode;
+    }
+    if (error.errors) {
+      console.error(`[App] ${error.message}`);
+      return EXIT_CODES.CONFIG;
+    }
+    log.error('Fatal error', { error });
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+  EXIT_CODES,
+  main
+};
@@ -1,9 +1,23 @@
 /**
  * Configuration module for the trading backtesting tool
- * Loads configuration from environment variables with sensible defaults
+ * Builds the configuration from layers, each overriding the previous one:
+ *   1. Built-in defaults
+ *   2. Config file (JSON or YAML), from --config or CONFIG_FILE
+ *   3. Environment variables (and .env)
+ *   4. Command-line flags: --<path> <value>, --<path>=<value> or --set <path>=<value>
+ *
+ * Every setting is described in SCHEMA by its dot path (e.g. trading.tradeSize),
+ * type, allowed range and environment variable. The merged configuration is
+ * validated against it, reporting all errors at once.
  */
 
+const fs = require('fs');
+const path = require('path');
 const dotenv = require('dotenv');
+const YAML = require('yaml');
+const logger = require('./logger');
+
+const log = logger.createLogger('Config');
 
 dotenv.config();
 
@@ -14,50 +28,705 @@ dotenv.config();
  * @property {string} kafkaPassword - Kafka SASL password
  * @property {string[]} kafkaBrokers - Array of Kafka broker addresses
  * @property {string} kafkaTopic - Kafka topic to subscribe to
+ * @property {string} kafkaStartFrom - Start position: 'committed', 'latest', 'earliest', 'timestamp' or 'offsets'
  * @property {number} tradeSize - Base trade size in token units
  * @property {number} slippageThresholdA - Slippage for Strategy A (as decimal, e.g., 0.01 = 1%)
  * @property {number} slippageThresholdB - Slippage for Strategy B (as decimal, e.g., 0.005 = 0.5%)
  * @property {number} slopeThreshold - Slope threshold for BUY/SELL signals
- * @property {string} strategy - Strategy to use ('A' or 'B')
+ * @property {string} costBasis - Lot accounting for closing trades ('FIFO' or 'AVERAGE')
+ * @property {boolean} allowShort - Allow SELLs beyond the long position to open short positions
+ * @property {Array<string|Object>} strategies - Strategies to run: built-in names ('A', 'B'), module paths,
+ *   or { name | path, id, params } specs
+ * @property {Object} markets - Watchlist: tokens by address ({ symbol, decimals, usdPegged }), pairs as
+ *   [base, quote] symbols, explicit pool addresses, and quote currency preference
+ * @property {Object} execution - Execution cost model: default and per-pool fee tiers (bps), gas units per
+ *   swap, fixed gas price (gwei) or gas price series file, and fallback ETH price for gas costs
+ * @property {Object} features - Feature library: rolling window (updates) for z-scores and volatility,
+ *   SMA and EMA periods of the slope averages
+ * @property {Object} risk - Risk limits: stop-loss/take-profit (fraction of entry), max position size per pool
+ *   (base units), max total exposure (USD), max trades per window, loss cooldown, exit slippage (null = disabled)
+ * @property {Object} metrics - Performance metrics: notional starting capital (USD) for percent-based
+ *   metrics, equity sampling interval and maximum equity curve length
+ * @property {Object} results - Results output: enabled flag, base directory for run directories, and
+ *   equity snapshot interval
+ * @property {string} replayFile - Recording to replay instead of consuming Kafka (empty = live mode)
+ * @property {number} replaySpeed - Replay speed multiplier (0 = as fast as possible)
+ * @property {number|null} replayFrom - Replay only messages at or after this time (ms since epoch)
+ * @property {number|null} replayTo - Replay only messages at or before this time (ms since epoch)
+ * @property {string} recordDir - Archive directory to record raw messages into (empty = no recording)
+ * @property {boolean} recordOnly - Record without running strategies
+ * @property {Object} queue - Live processing queue: maximum size before the consumer pauses and the
+ *   size at which it resumes
+ * @property {Object} state - Live state persistence: snapshot directory (empty = disabled), snapshot
+ *   interval (ms) and whether to resume from the last snapshot on startup
  */
 
-const config = {
+const DEFAULTS = {
   kafka: {
-    username: process.env.KAFKA_USERNAME || '',
-    password: process.env.KAFKA_PASSWORD || '',
+    username: '',
+    password: '',
     brokers: [
-          'rpk0.bitquery.io:9092',
-          'rpk1.bitquery.io:9092',
-          'rpk2.bitquery.io:9092'
-        ],
-    topic: "eth.dexpools.proto",
+      'rpk0.bitquery.io:9092',
+      'rpk1.bitquery.io:9092',
+      'rpk2.bitquery.io:9092'
+    ],
+    topic: 'eth.dexpools.proto',
+    groupId: '', // empty = '<username>-strategy-tester'
+    startFrom: 'committed', // 'committed', 'latest', 'earliest', 'timestamp' or 'offsets'
+    startTimestamp: null, // for startFrom 'timestamp'
+    startOffsets: {}, // partition -> offset, for startFrom 'offsets'
+    commitIntervalMs: 5000, // 0 = commit after every message
     sasl: {
       mechanism: 'scram-sha-512'
     }
   },
   trading: {
-    tradeSize: parseFloat('1.0'),
-    slippageThresholdA: parseFloat('0.01'), // 1%
-    slippageThresholdB: parseFloat('0.005'), // 0.5%
-    slopeThreshold: parseFloat('-0.001'), // -0.1%
-    strategy: 'A' // 'A' or 'B'
+    tradeSize: 1.0,
+    slippageThresholdA: 0.01, // 1%
+    slippageThresholdB: 0.005, // 0.5%
+    slopeThreshold: -0.001, // -0.1%
+    costBasis: 'FIFO', // 'FIFO' or 'AVERAGE'
+    allowShort: false,
+    strategies: ['A', 'B'] // built-in names ('A', 'B') or paths to strategy modules
+  },
+  markets: {
+    tokens: {
+      '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', decimals: 6, usdPegged: true },
+      '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', decimals: 6, usdPegged: true },
+      '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', decimals: 18, usdPegged: true },
+      '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', decimals: 18 },
+      '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': { symbol: 'WBTC', decimals: 8 }
+    },
+    pairs: [
+      ['WETH', 'USDT'] // [base, quote]; e.g. add ['WETH', 'USDC'], ['WBTC', 'USDT']
+    ],
+    pools: [], // explicit pool addresses to watch regardless of pair
+    quoteCurrencies: ['USDT', 'USDC', 'DAI', 'WETH', 'WBTC'] // quote preference for pools without a pair entry
+  },
+  execution: {
+    defaultPoolFeeBps: 30, // 0.3% LP fee
+    poolFees: {}, // pool address -> fee tier in bps, e.g. { '0x...': 5 }
+    gasUnitsPerSwap: 150000,
+    gasPriceGwei: 20, // used when no gas price series is configured
+    gasPriceSeriesFile: '', // JSON [{ timestamp, gwei }] or CSV "timestamp,gwei"
+    ethPriceUsd: null // fallback ETH price for gas costs until a WETH pool price is seen
+  },
+  features: {
+    window: 50, // updates in the rolling window of z-scores and volatility
+    smaPeriod: 20,
+    emaPeriod: 10
+  },
+  risk: {
+    stopLossPct: null, // e.g. 0.05: close a position 5% against its average entry
+    takeProfitPct: null, // e.g. 0.1: close a position 10% in its favor
+    maxPositionSize: null, // per pool, in base token units
+    maxTotalExposure: null, // across pools, in USD
+    maxTradesPerWindow: null,
+    tradeWindowMs: 60 * 60 * 1000, // 1 hour
+    lossCooldownMs: 0, // pause new positions after a losing trade
+    exitSlippage: 0.01, // slippage for forced stop-loss/take-profit exits
+    exitRetryMs: 60 * 1000 // event time before a failed forced exit is retried
+  },
+  metrics: {
+    initialCapital: 10000, // USD, base for returns, drawdown %, Sharpe and Sortino
+    equitySampleMs: 1000,
+    maxEquityPoints: 100000
+  },
+  results: {
+    enabled: true,
+    dir: './results',
+    equitySnapshotMs: 10000
+  },
+  replay: {
+    file: '',
+    speed: 0, // 0 = as fast as possible
+    from: null,
+    to: null
+  },
+  recording: {
+    dir: '',
+    only: false,
+    maxSegmentBytes: 64 * 1024 * 1024, // uncompressed
+    maxSegmentDurationMs: 60 * 60 * 1000 // 1 hour
+  },
+  queue: {
+    maxSize: 1000, // consumed messages waiting for processing before the consumer pauses
+    resumeSize: 500 // resume consuming once the queue has drained to this size
+  },
+  supervisor: {
+    initialBackoffMs: 1000, // delay before the first restart, doubled for each further attempt
+    maxBackoffMs: 60000,
+    maxRestarts: 20, // restarts in a row without messages before giving up, null = never give up
+    stallTimeoutMs: 60000, // no messages for this long: degraded, null = off
+    stallRestartMs: 180000 // no messages for this long: restart the consumer, null = never
+  },
+  state: {
+    dir: '', // empty = no state snapshots
+    snapshotIntervalMs: 30000,
+    resume: true
+  },
+  monitor: {
+    port: null, // null = no monitor server, 0 = any free port
+    host: '127.0.0.1',
+    name: '', // empty = '<hostname>:<port>'
+    maxTrades: 200 // default number of recent trades returned by /api/trades
+  },
+  logging: {
+    level: 'info', // 'debug', 'info', 'warn', 'error' or 'silent'
+    format: 'pretty', // 'pretty' or 'json' (one object per line)
+    rateLimit: 20, // records per key and interval for noisy per-message lines, 0 = unlimited
+    rateLimitIntervalMs: 10000,
+    summaryIntervalMs: 60000 // event time between periodic performance summaries, null = off
+  },
+  alerts: {
+    webhookUrl: '', // POST every alert as JSON
+    webhookHeaders: {}, // e.g. { Authorization: 'Bearer ...' }
+    command: '', // shell command run with the alert as JSON on stdin
+    file: '', // JSON Lines file alerts are appended to
+    events: ['signal', 'trade', 'drawdown', 'loss', 'crash', 'disconnect', 'stall', 'health'],
+    maxDrawdownPct: null, // alert when a strategy's drawdown exceeds this fraction, e.g. 0.1
+    maxLoss: null, // alert when a strategy's PnL falls below -maxLoss (USD)
+    stallSeconds: 300, // alert when no message arrives for this long (live mode), null = off
+    dedupWindowMs: 60000, // identical alerts within this window are sent once
+    maxPerMinute: 30, // alerts of each event type sent per minute, the rest are dropped and counted
+    timeoutMs: 5000 // webhook request and command timeout
   }
 };
 
 /**
- * Validates that required configuration is present
- * @throws {Error} If required configuration is missing
+ * Settings by dot path
+ * type: string | number | integer | boolean | timestamp (ISO date or ms, stored as ms) |
+ *   string[] (comma-separated in env/flags) | array | object (JSON in env/flags)
+ * nullable: null is allowed (e.g. disabled limits); min/max/exclusiveMin: numeric range;
+ * values: allowed values (of every item for string[]); minItems: minimum array length; secret: redacted when printed
+ */
+const SCHEMA = {
+  'kafka.username': { type: 'string', env: 'KAFKA_USERNAME', secret: true },
+  'kafka.password': { type: 'string', env: 'KAFKA_PASSWORD', secret: true },
+  'kafka.brokers': { type: 'string[]', env: 'KAFKA_BROKERS', minItems: 1 },
+  'kafka.topic': { type: 'string', env: 'KAFKA_TOPIC' },
+  'kafka.groupId': { type: 'string', env: 'KAFKA_GROUP_ID' },
+  'kafka.startFrom': { type: 'string', env: 'KAFKA_START_FROM', values: ['committed', 'latest', 'earliest', 'timestamp', 'offsets'] },
+  'kafka.startTimestamp': { type: 'timestamp', env: 'KAFKA_START_TIMESTAMP', nullable: true },
+  'kafka.startOffsets': { type: 'object', env: 'KAFKA_START_OFFSETS' },
+  'kafka.commitIntervalMs': { type: 'integer', env: 'KAFKA_COMMIT_INTERVAL_MS', min: 0 },
+  'kafka.sasl.mechanism': { type: 'string', env: 'KAFKA_SASL_MECHANISM', values: ['plain', 'scram-sha-256', 'scram-sha-512'] },
+
+  'trading.tradeSize': { type: 'number', env: 'TRADE_SIZE', exclusiveMin: 0 },
+  'trading.slippageThresholdA': { type: 'number', env: 'SLIPPAGE_THRESHOLD_A', min: 0, max: 1 },
+  'trading.slippageThresholdB': { type: 'number', env: 'SLIPPAGE_THRESHOLD_B', min: 0, max: 1 },
+  'trading.slopeThreshold': { type: 'number', env: 'SLOPE_THRESHOLD' },
+  'trading.costBasis': { type: 'string', env: 'COST_BASIS', values: ['FIFO', 'AVERAGE'] },
+  'trading.allowShort': { type: 'boolean', env: 'ALLOW_SHORT' },
+  'trading.strategies': { type: 'array', env: 'STRATEGY', minItems: 1 },
+
+  'markets.tokens': { type: 'object' },
+  'markets.pairs': { type: 'array' },
+  'markets.pools': { type: 'string[]', env: 'WATCH_POOLS' },
+  'markets.quoteCurrencies': { type: 'string[]' },
+
+  'execution.defaultPoolFeeBps': { type: 'number', min: 0, max: 10000 },
+  'execution.poolFees': { type: 'object' },
+  'execution.gasUnitsPerSwap': { type: 'integer', min: 0 },
+  'execution.gasPriceGwei': { type: 'number', env: 'GAS_PRICE_GWEI', min: 0 },
+  'execution.gasPriceSeriesFile': { type: 'string', env: 'GAS_PRICE_SERIES_FILE' },
+  'execution.ethPriceUsd': { type: 'number', env: 'ETH_PRICE_USD', nullable: true, exclusiveMin: 0 },
+
+  'features.window': { type: 'integer', env: 'FEATURE_WINDOW', min: 2, max: 10000 },
+  'features.smaPeriod': { type: 'integer', min: 1, max: 10000 },
+  'features.emaPeriod': { type: 'integer', min: 1, max: 10000 },
+
+  'risk.stopLossPct': { type: 'number', env: 'STOP_LOSS_PCT', nullable: true, exclusiveMin: 0 },
+  'risk.takeProfitPct': { type: 'number', env: 'TAKE_PROFIT_PCT', nullable: true, exclusiveMin: 0 },
+  'risk.maxPositionSize': { type: 'number', env: 'MAX_POSITION_SIZE', nullable: true, exclusiveMin: 0 },
+  'risk.maxTotalExposure': { type: 'number', env: 'MAX_TOTAL_EXPOSURE', nullable: true, exclusiveMin: 0 },
+  'risk.maxTradesPerWindow': { type: 'integer', env: 'MAX_TRADES_PER_WINDOW', nullable: true, min: 1 },
+  'risk.tradeWindowMs': { type: 'integer', exclusiveMin: 0 },
+  'risk.lossCooldownMs': { type: 'integer', env: 'LOSS_COOLDOWN_MS', min: 0 },
+  'risk.exitSlippage': { type: 'number', min: 0, max: 1 },
+  'risk.exitRetryMs': { type: 'integer', min: 0 },
+
+  'metrics.initialCapital': { type: 'number', env: 'INITIAL_CAPITAL', exclusiveMin: 0 },
+  'metrics.equitySampleMs': { type: 'integer', min: 0 },
+  'metrics.maxEquityPoints': { type: 'integer', min: 2 },
+
+  'results.enabled': { type: 'boolean', env: 'RESULTS_ENABLED' },
+  'results.dir': { type: 'string', env: 'RESULTS_DIR' },
+  'results.equitySnapshotMs': { type: 'integer', min: 0 },
+
+  'replay.file': { type: 'string', env: 'REPLAY_FILE' },
+  'replay.speed': { type: 'number', env: 'REPLAY_SPEED', min: 0 },
+  'replay.from': { type: 'timestamp', env: 'REPLAY_FROM', nullable: true },
+  'replay.to': { type: 'timestamp', env: 'REPLAY_TO', nullable: true },
+
+  'recording.dir': { type: 'string', env: 'RECORD_DIR' },
+  'recording.only': { type: 'boolean', env: 'RECORD_ONLY' },
+  'recording.maxSegmentBytes': { type: 'integer', exclusiveMin: 0 },
+  'recording.maxSegmentDurationMs': { type: 'integer', exclusiveMin: 0 },
+
+  'queue.maxSize': { type: 'integer', env: 'QUEUE_MAX_SIZE', min: 1 },
+  'queue.resumeSize': { type: 'integer', env: 'QUEUE_RESUME_SIZE', min: 0 },
+
+  'supervisor.initialBackoffMs': { type: 'integer', env: 'KAFKA_RECONNECT_BACKOFF_MS', exclusiveMin: 0 },
+  'supervisor.maxBackoffMs': { type: 'integer', env: 'KAFKA_RECONNECT_MAX_BACKOFF_MS', exclusiveMin: 0 },
+  'supervisor.maxRestarts': { type: 'integer', env: 'KAFKA_MAX_RESTARTS', nullable: true, min: 1 },
+  'supervisor.stallTimeoutMs': { type: 'integer', env: 'KAFKA_STALL_TIMEOUT_MS', nullable: true, exclusiveMin: 0 },
+  'supervisor.stallRestartMs': { type: 'integer', env: 'KAFKA_STALL_RESTART_MS', nullable: true, exclusiveMin: 0 },
+
+  'state.dir': { type: 'string', env: 'STATE_DIR' },
+  'state.snapshotIntervalMs': { type: 'integer', env: 'STATE_SNAPSHOT_INTERVAL_MS', exclusiveMin: 0 },
+  'state.resume': { type: 'boolean', env: 'STATE_RESUME' },
+
+  'monitor.port': { type: 'integer', env: 'MONITOR_PORT', nullable: true, min: 0, max: 65535 },
+  'monitor.host': { type: 'string', env: 'MONITOR_HOST' },
+  'monitor.name': { type: 'string', env: 'MONITOR_NAME' },
+  'monitor.maxTrades': { type: 'integer', min: 1 },
+
+  'logging.level': { type: 'string', env: 'LOG_LEVEL', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+  'logging.format': { type: 'string', env: 'LOG_FORMAT', values: ['pretty', 'json'] },
+  'logging.rateLimit': { type: 'integer', env: 'LOG_RATE_LIMIT', min: 0 },
+  'logging.rateLimitIntervalMs': { type: 'integer', env: 'LOG_RATE_LIMIT_INTERVAL_MS', exclusiveMin: 0 },
+  'logging.summaryIntervalMs': { type: 'integer', env: 'SUMMARY_INTERVAL_MS', nullable: true, exclusiveMin: 0 },
+
+  'alerts.webhookUrl': { type: 'string', env: 'ALERT_WEBHOOK_URL', secret: true },
+  'alerts.webhookHeaders': { type: 'object', secret: true },
+  'alerts.command': { type: 'string', env: 'ALERT_COMMAND' },
+  'alerts.file': { type: 'string', env: 'ALERT_FILE' },
+  'alerts.events': { type: 'string[]', env: 'ALERT_EVENTS', values: ['signal', 'trade', 'drawdown', 'loss', 'crash', 'disconnect', 'stall', 'health'] },
+  'alerts.maxDrawdownPct': { type: 'number', env: 'ALERT_MAX_DRAWDOWN_PCT', nullable: true, exclusiveMin: 0 },
+  'alerts.maxLoss': { type: 'number', env: 'ALERT_MAX_LOSS', nullable: true, exclusiveMin: 0 },
+  'alerts.stallSeconds': { type: 'number', env: 'ALERT_STALL_SECONDS', nullable: true, exclusiveMin: 0 },
+  'alerts.dedupWindowMs': { type: 'integer', env: 'ALERT_DEDUP_WINDOW_MS', min: 0 },
+  'alerts.maxPerMinute': { type: 'integer', env: 'ALERT_MAX_PER_MINUTE', min: 1 },
+  'alerts.timeoutMs': { type: 'integer', exclusiveMin: 0 }
+};
+
+// Shared state
+const config = {};
+let sources = {};
+let remainingArgs = [];
+
+/**
+ * Checks for a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Gets the value at a dot path
+ */
+function getPath(target, dotPath) {
+  return dotPath.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), target);
+}
+
+/**
+ * Sets the value at a dot path, creating intermediate objects
+ */
+function setPath(target, dotPath, value) {
+  const keys = dotPath.split('.');
+  let current = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(current[key])) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Converts a string from an environment variable, flag or config file to the setting's type
+ * Values that cannot be converted are returned unchanged so validation can report them
+ */
+function coerceValue(setting, value) {
+  if (typeof value !== 'string' || setting.type === 'string') {
+    return value;
+  }
+
+  const text = value.trim();
+  if (setting.nullable && (text === '' || text === 'null')) {
+    return null;
+  }
+
+  switch (setting.type) {
+    case 'number':
+    case 'integer':
+      return text !== '' && Number.isFinite(Number(text)) ? Number(text) : value;
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(text.toLowerCase())) {
+        return true;
+      }
+      if (['false', '0', 'no'].includes(text.toLowerCase())) {
+        return false;
+      }
+      return value;
+    case 'timestamp': {
+      if (/^\d+$/.test(text)) {
+        return Number(text);
+      }
+      const time = Date.parse(text);
+      return Number.isNaN(time) ? value : time;
+    }
+    case 'string[]':
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    case 'array':
+      if (text.startsWith('[')) {
+        try {
+          return JSON.parse(text);
+        } catch (error) {
+          return value;
+        }
+      }
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    case 'object':
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Flattens a config layer into { path: value } entries for known settings,
+ * collecting keys that do not correspond to any setting
+ */
+function flattenLayer(layer, prefix, entries, unknown) {
+  for (const [key, value] of Object.entries(layer)) {
+    const dotPath = prefix ? `${prefix}.${key}` : key;
+    if (SCHEMA[dotPath]) {
+      entries[dotPath] = coerceValue(SCHEMA[dotPath], value);
+    } else if (isPlainObject(value) && Object.keys(SCHEMA).some(name => name.startsWith(`${dotPath}.`))) {
+      flattenLayer(value, dotPath, entries, unknown);
+    } else {
+      unknown.push(dotPath);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Loads a JSON or YAML config file as a layer
  */
-function validateConfig() {
-  if (!config.kafka.username || !config.kafka.password) {
-    throw new Error('KAFKA_USERNAME and KAFKA_PASSWORD must be set');
+function loadConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
   }
-  if (!config.kafka.topic) {
-    throw new Error('KAFKA_TOPIC must be set');
+
+  const extension = path.extname(filePath).toLowerCase();
+  let layer;
+  try {
+    layer = extension === '.yaml' || extension === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse config file ${filePath}: ${error.message}`);
+  }
+
+  if (layer !== null && layer !== undefined && !isPlainObject(layer)) {
+    throw new Error(`Config file ${filePath} must contain an object`);
+  }
+  return layer || {};
+}
+
+/**
+ * Reads the environment variables of all settings as { path: value } entries
+ */
+function readEnvironment(env) {
+  const entries = {};
+  for (const [dotPath, setting] of Object.entries(SCHEMA)) {
+    if (setting.env && env[setting.env] !== undefined) {
+      entries[dotPath] = coerceValue(setting, env[setting.env]);
+    }
   }
+  return entries;
 }
 
+/**
+ * Parses configuration flags from command-line arguments
+ * Returns { file, entries, rest }: the config file, { path: value } entries and the
+ * arguments that are not configuration flags
+ */
+function parseArgs(argv) {
+  const result = { file: null, entries: {}, rest: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = /^--([^=]+)(?:=(.*))?$/s.exec(arg);
+    if (!match) {
+      result.rest.push(arg);
+      continue;
+    }
+
+    const name = match[1];
+    const takesValue = name === 'config' || name === 'set' || SCHEMA[name];
+    if (!takesValue) {
+      result.rest.push(arg);
+      continue;
+    }
+
+    let value = match[2];
+    if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for --${name}`);
+      }
+      value = argv[++i];
+    }
+
+    if (name === 'config') {
+      result.file = value;
+    } else if (name === 'set') {
+      const separator = value.indexOf('=');
+      const dotPath = value.slice(0, separator);
+      if (separator < 1 || !SCHEMA[dotPath]) {
+        throw new Error(`Unknown setting in --set ${value}`);
+      }
+      result.entries[dotPath] = coerceValue(SCHEMA[dotPath], value.slice(separator + 1));
+    } else {
+      result.entries[name] = coerceValue(SCHEMA[name], value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Describes where a value came from, for error messages
+ */
+function describeSource(dotPath) {
+  const source = sources[dotPath];
+  if (source === 'env') {
+    return `env ${SCHEMA[dotPath].env}`;
+  }
+  return source || 'default';
+}
+
+/**
+ * Validates a single setting against its schema entry
+ * Returns an error message, or null if the value is valid
+ */
+function checkSetting(setting, value) {
+  if (value === null) {
+    return setting.nullable ? null : 'must not be null';
+  }
+
+  switch (setting.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      break;
+    case 'number':
+    case 'integer':
+    case 'timestamp':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return setting.type === 'timestamp' ? 'must be a date (ISO 8601 or ms since epoch)' : 'must be a number';
+      }
+      if (setting.type === 'integer' && !Number.isInteger(value)) {
+        return 'must be an integer';
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return 'must be true or false';
+      }
+      break;
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return 'must be a list of strings';
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return 'must be a list';
+      }
+      break;
+    case 'object':
+      if (!isPlainObject(value)) {
+        return 'must be an object';
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (setting.values && (setting.type === 'string[]' ? value : [value]).some(item => !setting.values.includes(item))) {
+    return `must be ${setting.type === 'string[]' ? 'a list of' : 'one of'} ${setting.values.join(', ')}`;
+  }
+  if (setting.min !== undefined && value < setting.min) {
+    return `must be at least ${setting.min}`;
+  }
+  if (setting.max !== undefined && value > setting.max) {
+    return `must be at most ${setting.max}`;
+  }
+  if (setting.exclusiveMin !== undefined && value <= setting.exclusiveMin) {
+    return `must be greater than ${setting.exclusiveMin}`;
+  }
+  if (setting.minItems !== undefined && value.length < setting.minItems) {
+    return `must contain at least ${setting.minItems} item(s)`;
+  }
+  return null;
+}
+
+/**
+ * Formats a value for error messages and the effective config printout
+ */
+function formatValue(value) {
+  return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+/**
+ * Validates the configuration against the schema and the requirements of the selected mode
+ * options.offline: skip the Kafka requirements (commands that only read recordings or results)
+ * @throws {Error} Listing every problem found, with an `errors` array
+ */
+function validateConfig(options = {}) {
+  const errors = [];
+
+  for (const [dotPath, setting] of Object.entries(SCHEMA)) {
+    const value = getPath(config, dotPath);
+    const problem = checkSetting(setting, value);
+    if (problem) {
+      errors.push(`${dotPath} ${problem} (got ${formatValue(value)} from ${describeSource(dotPath)})`);
+    }
+  }
+
+  if (config.queue.resumeSize >= config.queue.maxSize) {
+    errors.push('queue.resumeSize must be less than queue.maxSize');
+  }
+  if (config.supervisor.maxBackoffMs < config.supervisor.initialBackoffMs) {
+    errors.push('supervisor.maxBackoffMs must not be less than supervisor.initialBackoffMs');
+  }
+  const { stallTimeoutMs, stallRestartMs } = config.supervisor;
+  if (stallTimeoutMs !== null && stallRestartMs !== null && stallRestartMs < stallTimeoutMs) {
+    errors.push('supervisor.stallRestartMs must not be less than supervisor.stallTimeoutMs');
+  }
+  if (config.markets.pairs.length === 0 && config.markets.pools.length === 0) {
+    errors.push('The watchlist must contain at least one pair or pool');
+  }
+  if (config.replay.file) {
+    if (config.replay.from !== null && config.replay.to !== null && config.replay.from > config.replay.to) {
+      errors.push('replay.from must not be after replay.to');
+    }
+  } else if (!options.offline) {
+    if (config.recording.only && !config.recording.dir) {
+      errors.push('RECORD_DIR must be set when RECORD_ONLY is enabled');
+    }
+    if (!config.kafka.username || !config.kafka.password) {
+      errors.push('KAFKA_USERNAME and KAFKA_PASSWORD must be set');
+    }
+    if (!config.kafka.topic) {
+      errors.push('KAFKA_TOPIC must be set');
+    }
+    if (config.kafka.startFrom === 'timestamp' && config.kafka.startTimestamp === null) {
+      errors.push("KAFKA_START_TIMESTAMP must be set when KAFKA_START_FROM is 'timestamp'");
+    }
+    if (config.kafka.startFrom === 'offsets') {
+      const offsets = Object.entries(config.kafka.startOffsets || {});
+      if (offsets.length === 0) {
+        errors.push("KAFKA_START_OFFSETS must be set when KAFKA_START_FROM is 'offsets'");
+      }
+      for (const [partition, offset] of offsets) {
+        if (!/^\d+$/.test(partition) || !/^\d+$/.test(String(offset))) {
+          errors.push(`kafka.startOffsets entry ${partition}: ${formatValue(offset)} must map a partition number to an offset`);
+        }
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+}
+
+/**
+ * Builds the configuration from defaults, config file, environment and command-line flags
+ * options: { argv, env, file } (defaults: no flags, process.env, CONFIG_FILE)
+ * Updates the shared config object in place, so modules holding it see the new values
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const cli = parseArgs(options.argv || []);
+  const file = cli.file || options.file || env.CONFIG_FILE || null;
+
+  const layers = [];
+  const unknown = [];
+  if (file) {
+    layers.push({ name: `file ${file}`, entries: flattenLayer(loadConfigFile(file), '', {}, unknown) });
+  }
+  layers.push({ name: 'env', entries: readEnvironment(env) });
+  layers.push({ name: 'cli', entries: cli.entries });
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown settings in config file ${file}: ${unknown.join(', ')}`);
+  }
+
+  const built = JSON.parse(JSON.stringify(DEFAULTS));
+  sources = {};
+  for (const layer of layers) {
+    for (const [dotPath, value] of Object.entries(layer.entries)) {
+      setPath(built, dotPath, value);
+      sources[dotPath] = layer.name;
+    }
+  }
+
+  for (const key of Object.keys(config)) {
+    delete config[key];
+  }
+  Object.assign(config, built);
+
+  remainingArgs = cli.rest;
+  return config;
+}
+
+/**
+ * Gets the command-line arguments that were not configuration flags
+ */
+function getArgs() {
+  return remainingArgs;
+}
+
+/**
+ * Logs every setting with its effective value and where it came from (secrets redacted),
+ * as one record with a settings field in JSON format
+ */
+function printConfig() {
+  if (!log.isLevelEnabled('info')) {
+    return;
+  }
+  const settings = {};
+  for (const [dotPath, setting] of Object.entries(SCHEMA)) {
+    const value = getPath(config, dotPath);
+    const redacted = setting.secret && (isPlainObject(value) ? Object.keys(value).length > 0 : Boolean(value));
+    settings[dotPath] = { value: redacted ? '***' : value, source: describeSource(dotPath) };
+  }
+
+  if (logger.isJsonFormat()) {
+    log.info('Effective configuration', { settings });
+    return;
+  }
+  log.info('Effective configuration');
+  for (const [dotPath, { value, source }] of Object.entries(settings)) {
+    const shown = SCHEMA[dotPath].secret && value === '***' ? value : formatValue(value);
+    console.log(`  ${dotPath} = ${shown} (${source})`);
+  }
+}
+
+// Environment variables apply as soon as the module is loaded
+loadConfig();
+
 module.exports = {
   config,
-  validateConfig
+  SCHEMA,
+  loadConfig,
+  parseArgs,
+  getArgs,
+  validateConfig,
+  printConfig
 };
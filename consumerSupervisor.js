@@ -0,0 +1,289 @@
+/**
+ * Consumer supervisor module
+ * Keeps the live Kafka consumer running: restarts it with exponential backoff
+ * after a crash kafkajs does not recover from or an unexpected disconnect,
+ * detects stalled streams and tracks the consumer's health.
+ *
+ * Health states:
+ *   starting      connecting for the first time
+ *   healthy       consuming, with a message within config.supervisor.stallTimeoutMs
+ *   degraded      no message for stallTimeoutMs, or kafkajs is recovering from a crash
+ *   reconnecting  waiting for or running a restart
+ *   failed        maxRestarts restarts in a row did not get messages flowing; the
+ *                 supervisor gives up (see waitForFailure)
+ *
+ * A restart replaces only the Kafka client (kafkaConsumer.restartConsumer):
+ * consumption continues after the last processed message, and the strategy,
+ * simulator and risk state fed by the processing queue carry on unchanged.
+ * Events: 'state' ({ state, previous, reason }), 'failed' (error)
+ */
+
+const EventEmitter = require('events');
+const kafkaConsumer = require('./kafkaConsumer');
+const prometheusMetrics = require('./prometheusMetrics');
+const logger = require('./logger');
+
+const log = logger.createLogger('Supervisor');
+
+const STATES = ['starting', 'healthy', 'degraded', 'reconnecting', 'failed'];
+const STALL_CHECK_INTERVAL = 1000;
+
+// Shared state
+let options = null;
+let state = 'starting';
+let stateSince = Date.now();
+let stateReason = null;
+let attempt = 0; // restarts since messages last flowed
+let restarts = 0;
+let lastError = null;
+let lastMessageTime = 0;
+let restarting = null; // promise of the running restart loop
+let stopped = true;
+let wakeUp = null; // resolves the current backoff wait early on stop
+let timer = null;
+let listeners = [];
+let failure = null;
+const emitter = new EventEmitter();
+
+/**
+ * Moves to a new health state
+ */
+function setState(next, reason) {
+  if (next === state) {
+    return;
+  }
+  const previous = state;
+  state = next;
+  stateSince = Date.now();
+  stateReason = reason || null;
+
+  const fields = { state: next, previous, reason: stateReason };
+  if (next === 'failed') {
+    log.error('Consumer health changed', fields);
+  } else if (next === 'healthy') {
+    log.info('Consumer health changed', fields);
+  } else {
+    log.warn('Consumer health changed', fields);
+  }
+  emitter.emit('state', fields);
+}
+
+/**
+ * Gets the delay before a restart attempt: doubling from initialBackoffMs up to
+ * maxBackoffMs, with up to 20% random jitter so instances do not reconnect in lockstep
+ */
+function getBackoff(restartAttempt) {
+  const delay = Math.min(options.initialBackoffMs * 2 ** (restartAttempt - 1), options.maxBackoffMs);
+  return Math.round(delay * (1 - Math.random() * 0.2));
+}
+
+/**
+ * Waits for a backoff delay, or until the supervisor is stopped
+ */
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timeout = setTimeout(resolve, ms);
+    wakeUp = () => {
+      clearTimeout(timeout);
+      resolve();
+    };
+  });
+}
+
+/**
+ * Restarts the consumer until it is running again, giving up after maxRestarts
+ * consecutive attempts
+ */
+function restart(reason) {
+  if (stopped || restarting || state === 'failed') {
+    return restarting;
+  }
+
+  setState('reconnecting', reason);
+  prometheusMetrics.increment('consumer_restarts_total', { reason: reason.split(':')[0] });
+  restarting = (async () => {
+    while (!stopped) {
+      attempt++;
+      if (options.maxRestarts !== null && attempt > options.maxRestarts) {
+        failure = new Error(`Kafka consumer failed after ${options.maxRestarts} restarts (last error: ${lastError || reason})`);
+        setState('failed', failure.message);
+        emitter.emit('failed', failure);
+        return;
+      }
+
+      const delay = getBackoff(attempt);
+      log.warn('Restarting consumer', { attempt, delayMs: delay, reason });
+      await sleep(delay);
+      if (stopped) {
+        return;
+      }
+
+      try {
+        await kafkaConsumer.restartConsumer();
+        restarts++;
+        lastMessageTime = Date.now();
+        setState('healthy', `restarted (attempt ${attempt})`);
+        return;
+      } catch (error) {
+        lastError = error.message;
+        log.error('Restart failed', { attempt, error: error.message });
+      }
+    }
+  })().finally(() => {
+    restarting = null;
+  });
+  return restarting;
+}
+
+/**
+ * Records a processed message: messages flowing again make the consumer healthy
+ */
+function onMessage() {
+  lastMessageTime = Date.now();
+  attempt = 0;
+  if (state === 'degraded' || state === 'starting') {
+    setState('healthy', 'messages flowing');
+  }
+}
+
+/**
+ * Handles a consumer crash: kafkajs restarts it after retriable errors,
+ * otherwise the supervisor does
+ */
+function onCrash(error, { restart: kafkaRestarts } = {}) {
+  lastError = error ? error.message : 'unknown error';
+  if (kafkaRestarts) {
+    if (state === 'healthy') {
+      setState('degraded', `crash: ${lastError} (kafkajs restarting)`);
+    }
+    return;
+  }
+  restart(`crash: ${lastError}`);
+}
+
+/**
+ * Marks the stream degraded, and restarts the consumer, after the stall windows
+ */
+function checkStall() {
+  if (restarting || state === 'failed') {
+    return;
+  }
+  const idleMs = Date.now() - lastMessageTime;
+  if (options.stallRestartMs !== null && idleMs >= options.stallRestartMs) {
+    restart(`stall: no messages for ${Math.round(idleMs / 1000)}s`);
+  } else if (options.stallTimeoutMs !== null && idleMs >= options.stallTimeoutMs && state === 'healthy') {
+    setState('degraded', `stall: no messages for ${Math.round(idleMs / 1000)}s`);
+  }
+}
+
+/**
+ * Sets the health gauge: 1 for the current state, 0 for the others
+ */
+function collectMetrics() {
+  for (const name of STATES) {
+    prometheusMetrics.setGauge('consumer_health', { state: name }, name === state ? 1 : 0);
+  }
+}
+
+/**
+ * Starts consuming under supervision
+ * The first connection is not retried: a failure (e.g. wrong credentials) is thrown
+ */
+async function startSupervisor(config, onMessageHandler) {
+  options = { ...config.supervisor };
+  stopped = false;
+  failure = null;
+  attempt = 0;
+  restarts = 0;
+  lastError = null;
+  state = 'starting';
+  stateSince = Date.now();
+  stateReason = null;
+  lastMessageTime = Date.now();
+
+  const kafkaEmitter = kafkaConsumer.getKafkaEmitter();
+  listeners = [
+    ['message', onMessage],
+    ['crash', onCrash],
+    ['disconnect', () => restart('disconnect')]
+  ];
+  for (const [event, listener] of listeners) {
+    kafkaEmitter.on(event, listener);
+  }
+  prometheusMetrics.registerCollector(collectMetrics);
+
+  await kafkaConsumer.startConsuming(onMessageHandler);
+  setState('healthy', 'consuming');
+
+  timer = setInterval(checkStall, STALL_CHECK_INTERVAL);
+  timer.unref();
+}
+
+/**
+ * Stops supervising (before a planned shutdown), waiting for a running restart
+ */
+async function stopSupervisor() {
+  stopped = true;
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  if (wakeUp) {
+    wakeUp();
+    wakeUp = null;
+  }
+
+  const kafkaEmitter = kafkaConsumer.getKafkaEmitter();
+  for (const [event, listener] of listeners) {
+    kafkaEmitter.off(event, listener);
+  }
+  listeners = [];
+  prometheusMetrics.unregisterCollector(collectMetrics);
+
+  if (restarting) {
+    await restarting;
+  }
+}
+
+/**
+ * Resolves with an error once the supervisor has given up on the consumer
+ */
+function waitForFailure() {
+  if (failure) {
+    return Promise.resolve(failure);
+  }
+  return new Promise(resolve => emitter.once('failed', resolve));
+}
+
+/**
+ * Gets the health state with restart and stall details
+ */
+function getHealth() {
+  return {
+    state,
+    since: new Date(stateSince).toISOString(),
+    reason: stateReason,
+    restarts,
+    attempt,
+    lastError,
+    lastMessageAt: lastMessageTime ? new Date(lastMessageTime).toISOString() : null,
+    idleMs: Date.now() - lastMessageTime
+  };
+}
+
+/**
+ * Get the event emitter for listening to health state changes
+ */
+function getSupervisorEmitter() {
+  return emitter;
+}
+
+module.exports = {
+  STATES,
+  getBackoff,
+  startSupervisor,
+  stopSupervisor,
+  waitForFailure,
+  getHealth,
+  getSupervisorEmitter
+};
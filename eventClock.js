@@ -0,0 +1,73 @@
+/**
+ * Event clock module
+ * Simulated clock driven by message event time (on-chain block/transaction time)
+ * instead of the wall clock, so trades, strategy history, risk rules and metrics
+ * see the same time in live mode, replays and sweeps.
+ *
+ * The clock only moves forward: an event older than the current time (e.g. a late
+ * message) does not rewind it. Until the first event it falls back to the wall clock.
+ */
+
+// Shared state
+let currentTime = null;
+let firstTime = null;
+
+/**
+ * Resets the clock (before a new run)
+ */
+function resetClock() {
+  currentTime = null;
+  firstTime = null;
+}
+
+/**
+ * Advances the clock to an event time (ms since epoch); ignored if missing or older
+ * Returns the current time
+ */
+function advanceClock(timestamp) {
+  if (Number.isFinite(timestamp) && (currentTime === null || timestamp > currentTime)) {
+    currentTime = timestamp;
+    if (firstTime === null) {
+      firstTime = timestamp;
+    }
+  }
+  return now();
+}
+
+/**
+ * Gets the current event time (ms since epoch)
+ */
+function now() {
+  return currentTime !== null ? currentTime : Date.now();
+}
+
+/**
+ * Gets the first and current event time (both null before the first event)
+ */
+function getTimeRange() {
+  return { from: firstTime, to: currentTime };
+}
+
+/**
+ * Exports the clock for state snapshots
+ */
+function exportState() {
+  return { currentTime, firstTime };
+}
+
+/**
+ * Restores an exported clock
+ */
+function importState(state) {
+  currentTime = state.currentTime ?? null;
+  firstTime = state.firstTime ?? null;
+}
+
+module.exports = {
+  resetClock,
+  advanceClock,
+  now,
+  getTimeRange,
+  exportState,
+  importState
+};
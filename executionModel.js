@@ -0,0 +1,236 @@
+/**
+ * Execution model module
+ * Estimates fill prices and trading costs for simulated swaps:
+ * - price impact interpolated across the SlippageBasisPoints buckets by order size
+ * - pool (LP) fee per configurable fee tier
+ * - gas cost per swap from a fixed gas price or a gas price series
+ *
+ * Bucket prices are base->quote (selling base). A SELL fills at the interpolated
+ * bucket price; a BUY pays the same relative impact above the best price.
+ */
+
+const fs = require('fs');
+const watchlist = require('./watchlist');
+const logger = require('./logger');
+
+const log = logger.createLogger('ExecutionModel');
+
+const GWEI = 1e-9;
+
+// Shared state
+let options = {
+  defaultPoolFeeBps: 30,
+  poolFees: {},
+  gasUnitsPerSwap: 150000,
+  gasPriceGwei: 20,
+  ethPriceUsd: null
+};
+let gasPriceSeries = [];
+
+/**
+ * Loads a gas price series: a JSON array of { timestamp, gwei } or CSV lines "timestamp,gwei"
+ * Timestamps are ms since epoch or ISO strings
+ */
+function loadGasPriceSeries(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let points;
+
+  if (filePath.endsWith('.json')) {
+    points = JSON.parse(content);
+  } else {
+    points = content.split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('timestamp'))
+      .map(line => {
+        const [timestamp, gwei] = line.split(',');
+        return { timestamp, gwei };
+      });
+  }
+
+  return points
+    .map(point => ({
+      timestamp: typeof point.timestamp === 'number' ? point.timestamp : (Number(point.timestamp) || Date.parse(point.timestamp)),
+      gwei: parseFloat(point.gwei)
+    }))
+    .filter(point => Number.isFinite(point.timestamp) && Number.isFinite(point.gwei))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Initializes the execution model with configuration
+ */
+function initializeExecutionModel(config) {
+  const execution = config.execution;
+  options = {
+    defaultPoolFeeBps: execution.defaultPoolFeeBps,
+    poolFees: Object.fromEntries(Object.entries(execution.poolFees).map(([address, bps]) => [address.toLowerCase(), bps])),
+    gasUnitsPerSwap: execution.gasUnitsPerSwap,
+    gasPriceGwei: execution.gasPriceGwei,
+    ethPriceUsd: execution.ethPriceUsd
+  };
+
+  gasPriceSeries = execution.gasPriceSeriesFile ? loadGasPriceSeries(execution.gasPriceSeriesFile) : [];
+  if (gasPriceSeries.length > 0) {
+    log.info('Loaded gas price series', { points: gasPriceSeries.length, file: execution.gasPriceSeriesFile });
+  }
+}
+
+/**
+ * Gets the gas price (gwei) in effect at a time: the latest series point at or before it,
+ * or the fixed gas price when no series is loaded
+ */
+function getGasPriceGwei(timestamp) {
+  if (gasPriceSeries.length === 0) {
+    return options.gasPriceGwei;
+  }
+
+  let low = 0;
+  let high = gasPriceSeries.length - 1;
+  if (timestamp < gasPriceSeries[0].timestamp) {
+    return gasPriceSeries[0].gwei;
+  }
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (gasPriceSeries[mid].timestamp <= timestamp) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return gasPriceSeries[low].gwei;
+}
+
+/**
+ * Gets the fee tier of a pool in basis points
+ */
+function getPoolFeeBps(poolAddress) {
+  const fee = options.poolFees[(poolAddress || '').toLowerCase()];
+  return fee !== undefined ? fee : options.defaultPoolFeeBps;
+}
+
+/**
+ * Normalizes price buckets into points sorted by slippage
+ * Field names can be SlippageBasisPoints/slippageBasisPoints, Price/price, MaxAmountIn/maxAmountIn
+ */
+function getBucketPoints(poolData) {
+  return (poolData.slippageBuckets || [])
+    .map(bucket => ({
+      bps: bucket.SlippageBasisPoints || bucket.slippageBasisPoints || 0,
+      price: bucket.Price || bucket.price || null,
+      maxAmountIn: parseFloat(bucket.MaxAmountIn || bucket.maxAmountIn || 0) || 0
+    }))
+    .filter(point => point.price)
+    .sort((a, b) => a.bps - b.bps);
+}
+
+/**
+ * Linearly interpolates y at x over points sorted by x; returns null beyond the last point
+ */
+function interpolate(points, x, xKey, yKey) {
+  if (x <= points[0][xKey]) {
+    return points[0][yKey];
+  }
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const next = points[i];
+    if (x <= next[xKey]) {
+      const span = next[xKey] - prev[xKey];
+      const weight = span > 0 ? (x - prev[xKey]) / span : 1;
+      return prev[yKey] + (next[yKey] - prev[yKey]) * weight;
+    }
+  }
+  return null;
+}
+
+/**
+ * Estimates the base->quote fill price for an order size
+ * Uses bucket depth (MaxAmountIn) when available, otherwise a constant-product
+ * impact estimate from liquidity; returns { price, impactBps } or null if the
+ * order is larger than the visible depth (impactBps is null when it cannot be estimated)
+ */
+function estimateImpact(points, poolData, amount, slippageBps) {
+  const bestPrice = points[0].price;
+
+  const depthPoints = points.filter(point => point.maxAmountIn > 0);
+  if (depthPoints.length > 0) {
+    const curve = [{ amount: 0, price: bestPrice, bps: 0 }]
+      .concat(depthPoints.map(point => ({ amount: point.maxAmountIn, price: point.price, bps: point.bps })));
+    const price = interpolate(curve, amount, 'amount', 'price');
+    if (price === null) {
+      return null;
+    }
+    return { price, impactBps: interpolate(curve, amount, 'amount', 'bps') };
+  }
+
+  const liquidity = parseFloat(poolData.liquidity) || 0;
+  if (liquidity > 0) {
+    const impactBps = (amount / (liquidity + amount)) * 10000;
+    const curve = [{ bps: 0, price: bestPrice }].concat(points);
+    const price = interpolate(curve, impactBps, 'bps', 'price');
+    return price === null ? null : { price, impactBps };
+  }
+
+  // No depth or liquidity information: fill at the bucket closest to the slippage tolerance
+  const closest = points.reduce((best, point) =>
+    Math.abs(point.bps - slippageBps) < Math.abs(best.bps - slippageBps) ? point : best
+  );
+  return { price: closest.price, impactBps: null };
+}
+
+/**
+ * Simulates a swap and returns its fill price and costs
+ * order: { side: 'BUY' | 'SELL', amount, slippage, timestamp }
+ * Returns null if no price is available; throws if the order exceeds depth or slippage tolerance
+ *
+ * Result: { price, bestPrice, impactBps, notional, poolFeeBps, poolFee, gasPriceGwei, gasCostEth, gasCost, totalCost }
+ * Costs are in the reference (quote-normalized) currency.
+ */
+function simulateFill(poolData, order) {
+  const points = getBucketPoints(poolData);
+  if (points.length === 0) {
+    return null;
+  }
+
+  const slippageBps = Math.round(order.slippage * 10000);
+  const impact = estimateImpact(points, poolData, order.amount, slippageBps);
+  if (!impact) {
+    throw new Error(`Order size ${order.amount} exceeds visible pool depth`);
+  }
+  if (impact.impactBps !== null && impact.impactBps > slippageBps) {
+    throw new Error(`Price impact ${impact.impactBps.toFixed(1)}bp exceeds slippage tolerance ${slippageBps}bp`);
+  }
+
+  const bestPrice = points[0].price;
+  const price = order.side === 'BUY'
+    ? bestPrice * (bestPrice / impact.price)
+    : impact.price;
+
+  const notional = price * order.amount;
+  const poolFeeBps = getPoolFeeBps(poolData.poolAddress);
+  const poolFee = notional * poolFeeBps / 10000;
+
+  const gasPriceGwei = getGasPriceGwei(order.timestamp);
+  const gasCostEth = options.gasUnitsPerSwap * gasPriceGwei * GWEI;
+  const ethPrice = watchlist.getReferenceRate('WETH') || options.ethPriceUsd || 0;
+  const gasCost = gasCostEth * ethPrice;
+
+  return {
+    price,
+    bestPrice,
+    impactBps: impact.impactBps,
+    notional,
+    poolFeeBps,
+    poolFee,
+    gasPriceGwei,
+    gasCostEth,
+    gasCost,
+    totalCost: poolFee + gasCost
+  };
+}
+
+module.exports = {
+  initializeExecutionModel,
+  simulateFill,
+  getGasPriceGwei,
+  getPoolFeeBps
+};
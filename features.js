@@ -0,0 +1,218 @@
+/**
+ * Feature library
+ * Computes per-pool features from the full price tables and the pool's recent
+ * history on every pool update. Strategies receive them as update.features and
+ * can combine them in their signal rules.
+ *
+ * Features (null while unavailable, e.g. until a rolling window has filled):
+ *   bidPrice         best price of the base->quote table (selling base)
+ *   askPrice         best price of the quote->base table (buying base), per base token
+ *   midPrice         mean of bid and ask (bid if the pool has no quote->base prices)
+ *   spread           (ask - bid) / mid
+ *   return           relative mid-price change since the previous update
+ *   slope            engine slope (1% vs 0.1% bucket)
+ *   curveSlope       least-squares slope of the price deviation across all buckets, per 100 bps
+ *   slopeSMA         simple moving average of slope over smaPeriod updates
+ *   slopeEMA         exponential moving average of slope over emaPeriod updates
+ *   slopeZScore      z-score of slope over the rolling window
+ *   priceZScore      z-score of midPrice over the rolling window
+ *   liquidity        base token liquidity of the pool
+ *   liquidityChange  relative liquidity change since the previous update
+ *   depthAsymmetry   (buy impact - sell impact) / (buy impact + sell impact) near the 1% bucket,
+ *                    in [-1, 1]; positive when buying base moves the price more than selling it
+ *   volatility       standard deviation of mid-price log returns over the rolling window
+ */
+
+const FEATURE_NAMES = [
+  'bidPrice', 'askPrice', 'midPrice', 'spread', 'return', 'slope', 'curveSlope', 'slopeSMA', 'slopeEMA',
+  'slopeZScore', 'priceZScore', 'liquidity', 'liquidityChange', 'depthAsymmetry', 'volatility'
+];
+
+// Shared state
+let options = { window: 50, smaPeriod: 20, emaPeriod: 10 };
+const series = new Map(); // pool address -> { midPrices, slopes, returns, liquidity, slopeEMA, slopeCount }
+
+/**
+ * Initializes the feature library from config.features
+ */
+function initializeFeatures(config) {
+  options = { ...config.features };
+  series.clear();
+}
+
+/**
+ * Gets the mean of a list of numbers
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Gets the (population) standard deviation of a list of numbers
+ */
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+/**
+ * Gets the z-score of the last value of a full window (null if the window is not full or flat)
+ */
+function zScore(values, window) {
+  if (values.length < window) {
+    return null;
+  }
+  const recent = values.slice(-window);
+  const deviation = standardDeviation(recent);
+  return deviation > 0 ? (recent[recent.length - 1] - mean(recent)) / deviation : null;
+}
+
+/**
+ * Appends a value to a series, keeping at most maxLength values
+ */
+function push(values, value, maxLength) {
+  values.push(value);
+  if (values.length > maxLength) {
+    values.shift();
+  }
+}
+
+/**
+ * Gets the buckets of a price table ({ bps: price }) sorted by slippage
+ */
+function sortedBuckets(prices) {
+  return Object.keys(prices || {})
+    .map(bps => ({ bps: parseInt(bps), price: prices[bps] }))
+    .filter(bucket => bucket.price)
+    .sort((a, b) => a.bps - b.bps);
+}
+
+/**
+ * Gets the relative price impact of a price table at the bucket closest to the target slippage
+ */
+function impactAt(buckets, targetBps) {
+  if (buckets.length < 2) {
+    return null;
+  }
+  const best = buckets[0].price;
+  const bucket = buckets.reduce((closest, candidate) =>
+    Math.abs(candidate.bps - targetBps) < Math.abs(closest.bps - targetBps) ? candidate : closest);
+  return Math.abs(bucket.price / best - 1);
+}
+
+/**
+ * Fits the price deviation from the best price against slippage across all buckets
+ * Returns the least-squares slope per 100 bps (null with fewer than two buckets)
+ */
+function fitCurveSlope(buckets) {
+  if (buckets.length < 2) {
+    return null;
+  }
+  const best = buckets[0].price;
+  const points = buckets.map(bucket => ({ x: bucket.bps, y: bucket.price / best - 1 }));
+  const meanX = mean(points.map(point => point.x));
+  const meanY = mean(points.map(point => point.y));
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const variance = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+  return variance > 0 ? (covariance / variance) * 100 : null;
+}
+
+/**
+ * Gets (or creates) the history of a pool
+ */
+function getSeries(poolAddress) {
+  if (!series.has(poolAddress)) {
+    series.set(poolAddress, { midPrices: [], slopes: [], returns: [], liquidity: null, slopeEMA: null, slopeCount: 0 });
+  }
+  return series.get(poolAddress);
+}
+
+/**
+ * Updates a pool's history with a pool update and computes its features
+ */
+function computeFeatures(poolData, slope) {
+  const history = getSeries(poolData.poolAddress);
+  const maxLength = Math.max(options.window, options.smaPeriod);
+
+  const sellBuckets = sortedBuckets(poolData.prices);
+  const buyBuckets = sortedBuckets(poolData.reversePrices);
+  const bidPrice = sellBuckets.length > 0 ? sellBuckets[0].price : null;
+  const askPrice = buyBuckets.length > 0 ? buyBuckets[0].price : null;
+  let midPrice = bidPrice;
+  if (bidPrice !== null && askPrice !== null) {
+    midPrice = (bidPrice + askPrice) / 2;
+  }
+
+  let priceReturn = null;
+  if (midPrice !== null) {
+    const previous = history.midPrices[history.midPrices.length - 1];
+    if (previous) {
+      priceReturn = midPrice / previous - 1;
+      push(history.returns, Math.log(midPrice / previous), options.window);
+    }
+    push(history.midPrices, midPrice, maxLength);
+  }
+
+  if (slope !== null) {
+    push(history.slopes, slope, maxLength);
+    const alpha = 2 / (options.emaPeriod + 1);
+    history.slopeEMA = history.slopeEMA === null ? slope : alpha * slope + (1 - alpha) * history.slopeEMA;
+    history.slopeCount++;
+  }
+
+  const liquidity = Number(poolData.liquidity) || null;
+  const liquidityChange = liquidity !== null && history.liquidity ? liquidity / history.liquidity - 1 : null;
+  if (liquidity !== null) {
+    history.liquidity = liquidity;
+  }
+
+  const sellImpact = impactAt(sellBuckets, 100);
+  const buyImpact = impactAt(buyBuckets, 100);
+  let depthAsymmetry = null;
+  if (sellImpact !== null && buyImpact !== null) {
+    depthAsymmetry = sellImpact + buyImpact > 0 ? (buyImpact - sellImpact) / (buyImpact + sellImpact) : 0;
+  }
+
+  return {
+    bidPrice,
+    askPrice,
+    midPrice,
+    spread: bidPrice !== null && askPrice !== null ? (askPrice - bidPrice) / midPrice : null,
+    return: priceReturn,
+    slope,
+    curveSlope: fitCurveSlope(sellBuckets),
+    slopeSMA: history.slopes.length >= options.smaPeriod ? mean(history.slopes.slice(-options.smaPeriod)) : null,
+    slopeEMA: history.slopeCount >= options.emaPeriod ? history.slopeEMA : null,
+    slopeZScore: slope !== null ? zScore(history.slopes, options.window) : null,
+    priceZScore: midPrice !== null ? zScore(history.midPrices, options.window) : null,
+    liquidity,
+    liquidityChange,
+    depthAsymmetry,
+    volatility: history.returns.length >= options.window ? standardDeviation(history.returns) : null
+  };
+}
+
+/**
+ * Exports the per-pool feature history for state snapshots
+ */
+function exportState() {
+  return { series: Array.from(series.entries()) };
+}
+
+/**
+ * Restores exported feature history
+ */
+function importState(state) {
+  series.clear();
+  for (const [poolAddress, poolSeries] of state.series || []) {
+    series.set(poolAddress, poolSeries);
+  }
+}
+
+module.exports = {
+  FEATURE_NAMES,
+  initializeFeatures,
+  computeFeatures,
+  exportState,
+  importState
+};
@@ -5,217 +5,242 @@
  * executes trading strategies, and simulates trades.
  * 
  * Usage:
- *   1. Set environment variables (see .env.example)
+ *   1. Set environment variables (see .env.example), or pass a config file: npm start -- --config config.yaml
  *   2. Run: npm start
+ *   3. Offline backtest: REPLAY_FILE=recording.jsonl.gz npm start
+ *   4. Record the stream: RECORD_DIR=./recordings npm start (add RECORD_ONLY=true to skip strategies)
+ *   5. Override any setting: npm start -- --trading.tradeSize 2 --set risk.stopLossPct=0.02
+ *   6. Persist and resume forward-test state: STATE_DIR=./state npm start
+ *   7. Monitoring API and dashboard: MONITOR_PORT=8080 npm start, then open http://127.0.0.1:8080/
+ *   8. Alerts: ALERT_WEBHOOK_URL=https://hooks.example.com/... npm start
+ * 
+ * Configuration layers (later ones win): defaults, config file (--config or CONFIG_FILE),
+ * environment variables, command-line flags. See SCHEMA in config.js for every setting.
  * 
  * Environment Variables:
  *   - KAFKA_USERNAME: Kafka SASL username (required)
  *   - KAFKA_PASSWORD: Kafka SASL password (required)
- *   - KAFKA_TOPIC: Kafka topic (default: ethereum.dexpool.proto)
+ *   - KAFKA_BROKERS: Comma-separated broker list (default: Bitquery brokers)
+ *   - KAFKA_TOPIC: Kafka topic (default: eth.dexpools.proto)
+ *   - KAFKA_GROUP_ID: Consumer group ID (default: <username>-strategy-tester)
+ *   - KAFKA_START_FROM: committed, latest, earliest, timestamp or offsets (default: committed)
+ *   - KAFKA_START_TIMESTAMP / KAFKA_START_OFFSETS: Start time or offsets for KAFKA_START_FROM (optional)
+ *   - KAFKA_RECONNECT_BACKOFF_MS / KAFKA_RECONNECT_MAX_BACKOFF_MS: Consumer restart backoff (default: 1000 / 60000)
+ *   - KAFKA_MAX_RESTARTS: Restarts in a row without messages before giving up (default: 20)
+ *   - KAFKA_STALL_TIMEOUT_MS / KAFKA_STALL_RESTART_MS: No messages for this long marks the stream degraded / restarts the consumer (default: 60000 / 180000)
+ *   - QUEUE_MAX_SIZE / QUEUE_RESUME_SIZE: Processing queue size at which consumption pauses / resumes (default: 1000 / 500)
  *   - TRADE_SIZE: Base trade size (default: 1.0)
  *   - SLIPPAGE_THRESHOLD_A: Slippage for Strategy A (default: 0.01 = 1%)
  *   - SLIPPAGE_THRESHOLD_B: Slippage for Strategy B (default: 0.005 = 0.5%)
  *   - SLOPE_THRESHOLD: Slope threshold for signals (default: -0.001 = -0.1%)
- *   - STRATEGY: Strategy to use 'A' or 'B' (default: 'A')
+ *   - STRATEGY: Comma-separated strategies, built-in 'A'/'B'/'C' or plugin module paths (default: A,B)
+ *   - FEATURE_WINDOW: Rolling window of feature z-scores and volatility, in updates (default: 50)
+ *   - GAS_PRICE_SERIES_FILE: Gas price series for execution costs (optional)
+ *   - STOP_LOSS_PCT / TAKE_PROFIT_PCT: Force a position closed at this fractional loss / gain (optional, off by default)
+ *   - RESULTS_DIR: Directory for run results (default: ./results)
+ *   - RESULTS_ENABLED: Set to 'false' to disable results files (default: true)
+ *   - REPLAY_FILE: Recording to replay instead of consuming Kafka (optional)
+ *   - REPLAY_SPEED: Replay speed multiplier, 0 = as fast as possible (default: 0)
+ *   - REPLAY_FROM / REPLAY_TO: Optional ISO time range to replay (optional)
+ *   - RECORD_DIR: Archive directory to record raw messages into (optional)
+ *   - RECORD_ONLY: Record without running strategies (default: false)
+ *   - STATE_DIR: Directory for live state snapshots (optional)
+ *   - STATE_SNAPSHOT_INTERVAL_MS: Snapshot interval (default: 30000)
+ *   - STATE_RESUME: Set to 'false' to ignore the last snapshot on startup (default: true)
+ *   - MONITOR_PORT: Port of the monitoring API, dashboard and /metrics (optional, disabled by default)
+ *   - MONITOR_HOST / MONITOR_NAME: Monitor bind address and instance name (default: 127.0.0.1 / <hostname>:<port>)
+ *   - LOG_LEVEL: debug, info, warn, error or silent (default: info)
+ *   - LOG_FORMAT: pretty or json, one JSON record per line (default: pretty)
+ *   - LOG_RATE_LIMIT / LOG_RATE_LIMIT_INTERVAL_MS: Max per-message log lines per interval, 0 = unlimited (default: 20 / 10000)
+ *   - SUMMARY_INTERVAL_MS: Event time between periodic performance summaries (default: 60000)
+ *   - ALERT_WEBHOOK_URL / ALERT_COMMAND / ALERT_FILE: Alert sinks, alerting is off without one (optional)
+ *   - ALERT_EVENTS: Comma-separated alert events (default: signal,trade,drawdown,loss,crash,disconnect,stall,health)
+ *   - ALERT_MAX_DRAWDOWN_PCT / ALERT_MAX_LOSS: Drawdown fraction / USD loss that triggers an alert (optional)
+ *   - ALERT_STALL_SECONDS: Alert when no message arrives for this long (default: 300)
+ *   - ALERT_DEDUP_WINDOW_MS / ALERT_MAX_PER_MINUTE: Alert deduplication window / throttle (default: 60000 / 30)
  */
 
 const kafkaConsumer = require('./kafkaConsumer');
+const replaySource = require('./replaySource');
 const protobufDecoder = require('./protobufDecoder');
-const strategyEngine = require('./strategyEngine');
-const tradeSimulator = require('./tradeSimulator');
-const { config, validateConfig } = require('./config');
-
-// Application state
-let messageCount = 0;
-let startTime = Date.now();
-let performanceSummaryTimer = null;
-
-// Performance summary interval (ms)
-const PERFORMANCE_SUMMARY_INTERVAL = 60000; // 1 minute
-
-/**
- * Handles incoming Kafka messages
- */
-async function handleMessage(message) {
-  try {
-    messageCount++;
-
-    const decodedMessage = protobufDecoder.decodeMessage(message.value);
-    
-    // Handle timestamp safely - Kafka timestamp can be a string or number
-    let timestamp;
-    try {
-      if (message.timestamp && typeof message.timestamp === 'string') {
-        timestamp = new Date(parseInt(message.timestamp)).toISOString();
-      } else if (message.timestamp) {
-        timestamp = new Date(message.timestamp).toISOString();
-      } else {
-        timestamp = new Date().toISOString();
-      }
-    } catch (e) {
-      timestamp = new Date().toISOString();
-    }
-
-    const strategyResult = strategyEngine.processPoolData(decodedMessage);
-
-    if (!strategyResult) {
-      // Message was filtered out (not USDT/WETH pool) or extraction failed
-      return;
-    }
-
-    const { poolData, slope, deltaSlope, signal } = strategyResult;
-
-    // Only log if we have valid pool data
-    if (poolData && poolData.poolAddress !== 'unknown') {
-      const directionLabel = poolData.isWETHtoUSDT ? 'WETH->USDT' : (poolData.isUSDTtoWETH ? 'USDT->WETH' : poolData.direction);
-      const slopeStr = slope !== null ? slope.toFixed(6) : 'N/A';
-      const deltaSlopeStr = deltaSlope !== null ? deltaSlope.toFixed(6) : 'N/A';
-      console.log(`[${timestamp}] Pool: ${poolData.poolAddress}, Direction: ${directionLabel}, Slope: ${slopeStr}, ΔSlope: ${deltaSlopeStr}`);
-    } else {
-      // Debug: Log when pool address is unknown
-      console.warn(`[App] Pool address is unknown. Message keys: ${Object.keys(decodedMessage).slice(0, 10).join(', ')}`);
-    }
-
-    if (signal) {
-      await executeStrategy(signal, poolData, slope, deltaSlope);
-    }
+const pipeline = require('./pipeline');
+const stateStore = require('./stateStore');
+const monitorServer = require('./monitorServer');
+const alerting = require('./alerting');
+const consumerSupervisor = require('./consumerSupervisor');
+const { config, loadConfig, getArgs, validateConfig, printConfig } = require('./config');
+const logger = require('./logger');
 
-  } catch (error) {
-    console.error('[App] Error handling message:', error);
-  }
-}
+const log = logger.createLogger('App');
 
 /**
- * Executes trading strategy based on signal
+ * Shuts down the application gracefully
  */
-async function executeStrategy(signal, poolData, slope, deltaSlope) {
-  const strategy = config.trading.strategy;
-  const slippage = strategyEngine.getSlippageThreshold(strategy);
-  const tradeSize = config.trading.tradeSize;
+async function shutdown() {
+  pipeline.logPerformanceSummary();
 
-  console.log(`[Strategy] ${signal} signal detected (Strategy ${strategy}, Slope: ${slope?.toFixed(6)}, ΔSlope: ${deltaSlope?.toFixed(6)})`);
+  // Before disconnecting, so the planned disconnect neither alerts nor restarts the consumer
+  await consumerSupervisor.stopSupervisor();
+  await alerting.stopAlerting();
+  await kafkaConsumer.shutdownKafka();
+  pipeline.saveState();
+  await pipeline.closeResults();
+  await monitorServer.stopMonitor();
 
-  try {
-    if (signal === 'BUY') {
-      if (strategy === 'A') {
-        const trade = tradeSimulator.executeBuy(poolData, tradeSize, slippage, strategy);
-        console.log(`[Trade] BUY executed: ID=${trade.id}, Amount=${trade.amount}, Price=${trade.entryPrice?.toFixed(6)}, Slippage=${slippage}`);
-      } else if (strategy === 'B') {
-        const chunkCount = strategyEngine.getChunkCount();
-        const chunkSize = tradeSize / chunkCount;
-
-        for (let i = 0; i < chunkCount; i++) {
-          const trade = tradeSimulator.executeBuy(poolData, chunkSize, slippage, strategy);
-          console.log(`[Trade] BUY chunk ${i + 1}/${chunkCount}: ID=${trade.id}, Amount=${trade.amount}, Price=${trade.entryPrice?.toFixed(6)}, Slippage=${slippage}`);
-        }
-      }
-    } else if (signal === 'SELL') {
-      if (strategy === 'A') {
-        const trade = tradeSimulator.executeSell(poolData, tradeSize, slippage, strategy);
-        if (trade) {
-          const pnl = tradeSimulator.calculatePnL(trade);
-          console.log(`[Trade] SELL executed: ID=${trade.id}, Entry=${trade.entryPrice?.toFixed(6)}, Exit=${trade.exitPrice?.toFixed(6)}, PnL=${pnl.toFixed(6)}`);
-        }
-      } else if (strategy === 'B') {
-        const chunkCount = strategyEngine.getChunkCount();
-        const chunkSize = tradeSize / chunkCount;
-
-        for (let i = 0; i < chunkCount; i++) {
-          const trade = tradeSimulator.executeSell(poolData, chunkSize, slippage, strategy);
-          if (trade) {
-            const pnl = tradeSimulator.calculatePnL(trade);
-            console.log(`[Trade] SELL chunk ${i + 1}/${chunkCount}: ID=${trade.id}, Entry=${trade.entryPrice?.toFixed(6)}, Exit=${trade.exitPrice?.toFixed(6)}, PnL=${pnl.toFixed(6)}`);
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`[Strategy] Error executing ${signal}:`, error);
-  }
+  log.info('Shutdown complete');
 }
 
 /**
- * Logs performance summary
+ * Resolves with the signal name once SIGINT or SIGTERM is received
  */
-function logPerformanceSummary() {
-  const summary = tradeSimulator.getPerformanceSummary();
-  const uptime = Math.floor((Date.now() - startTime) / 1000);
-
-  console.log('\n=== Performance Summary ===');
-  console.log(`Uptime: ${uptime}s`);
-  console.log(`Messages processed: ${messageCount}`);
-  console.log(`Total trades: ${summary.totalTrades}`);
-  console.log(`Closed trades: ${summary.closedTrades}`);
-  console.log(`Open position: ${summary.openPosition}`);
-  console.log(`Total PnL: ${summary.totalPnL.toFixed(6)}`);
-  console.log(`Win rate: ${(summary.winRate * 100).toFixed(2)}%`);
-  console.log(`Average execution price: ${summary.averageExecutionPrice.toFixed(6)}`);
-  console.log('========================\n');
+function waitForSignal() {
+  return new Promise(resolve => {
+    process.once('SIGINT', () => resolve('SIGINT'));
+    process.once('SIGTERM', () => resolve('SIGTERM'));
+  });
 }
 
 /**
- * Shuts down the application gracefully
+ * Runs an offline backtest by replaying a recording through the same pipeline
+ * Returns true if the replay ran to the end, false if it was interrupted
  */
-async function shutdown() {
-  if (performanceSummaryTimer) {
-    clearInterval(performanceSummaryTimer);
-  }
-
-  logPerformanceSummary();
-
-  await kafkaConsumer.shutdownKafka();
-
-  console.log('[App] Shutdown complete');
+async function runReplay() {
+  await protobufDecoder.initializeDecoder(config.kafka.topic);
+  pipeline.initializePipeline(config);
+  pipeline.openResults('replay', config.replay.file);
+  await monitorServer.startMonitor(config, { mode: 'replay', source: config.replay.file });
+  alerting.startAlerting(config, { mode: 'replay' });
+
+  log.info('All components initialized', { mode: 'replay' });
+
+  let interrupted = false;
+  waitForSignal().then(() => {
+    log.info('Stopping replay...');
+    interrupted = true;
+    replaySource.stopReplay();
+  });
+
+  await replaySource.startReplay(config.replay.file, {
+    speed: config.replay.speed,
+    from: config.replay.from,
+    to: config.replay.to,
+    onMessage: pipeline.handleMessage
+  });
+
+  pipeline.logPerformanceSummary();
+  await alerting.stopAlerting();
+  await pipeline.closeResults();
+  await monitorServer.stopMonitor();
+  log.info(interrupted ? 'Replay interrupted' : 'Replay complete');
+  return !interrupted;
 }
 
 /**
- * Starts the application
+ * Consumes the live Kafka stream until SIGINT/SIGTERM, forward-testing strategies
+ * and/or recording messages (config.recording), then shuts down gracefully
  */
-async function start() {
+async function runLive() {
   try {
-    validateConfig();
-    console.log('[App] Configuration validated');
-    // console.log(config.kafka.topic);
-    await protobufDecoder.initializeDecoder(config.kafka.topic);
     await kafkaConsumer.initializeKafka(config);
-    strategyEngine.initializeStrategy(config);
-
-    console.log('[App] All components initialized');
+    if (config.recording.dir) {
+      await kafkaConsumer.enableRecording(config.recording);
+    }
 
+    // Offsets are committed once the handler has finished with a message
+    let onMessage;
     const emitter = kafkaConsumer.getKafkaEmitter();
-    emitter.on('message', handleMessage);
+    pipeline.initializePipeline(config);
+    if (config.recording.only) {
+      onMessage = pipeline.countMessage;
+      log.info('All components initialized', { mode: 'record-only' });
+    } else {
+      await protobufDecoder.initializeDecoder(config.kafka.topic);
+      stateStore.initializeStateStore(config);
+
+      // Continue from the last snapshot: module state, results run and offsets
+      const snapshot = pipeline.restoreState();
+      pipeline.openResults('live', config.kafka.topic, snapshot ? snapshot.results : null);
+      if (snapshot) {
+        kafkaConsumer.resumeFrom(snapshot.offsets);
+      }
+      onMessage = pipeline.handleMessage;
+      await monitorServer.startMonitor(config, {
+        mode: 'live',
+        source: config.kafka.topic,
+        getConsumerStatus: kafkaConsumer.getConsumerStatus,
+        getHealth: consumerSupervisor.getHealth
+      });
+      log.info('All components initialized', { mode: 'live' });
+
+      // State survives reconnects in memory; snapshot it in case the restart never succeeds
+      consumerSupervisor.getSupervisorEmitter().on('state', ({ state }) => {
+        if (state === 'reconnecting') {
+          pipeline.saveState();
+        }
+      });
+    }
+
+    alerting.startAlerting(config, { mode: config.recording.only ? 'record' : 'live' });
+
     emitter.on('error', (error) => {
-      console.error('[App] Kafka error:', error);
+      log.error('Kafka error', { error });
     });
 
-    await kafkaConsumer.startConsuming();
-    console.log('[App] Started consuming messages');
+    // Consumer lag is logged next to every periodic performance summary
+    pipeline.getPipelineEmitter().on('summary', kafkaConsumer.logConsumerStatus);
 
-    performanceSummaryTimer = setInterval(() => {
-      logPerformanceSummary();
-    }, PERFORMANCE_SUMMARY_INTERVAL);
+    await consumerSupervisor.startSupervisor(config, onMessage);
+    log.info('Started consuming messages');
+  } catch (error) {
+    await shutdown();
+    throw error;
+  }
 
-    process.on('SIGINT', async () => {
-      console.log('\n[App] Shutting down...');
-      await shutdown();
-      process.exit(0);
-    });
+  const failure = await Promise.race([waitForSignal(), consumerSupervisor.waitForFailure()]);
+  log.info('Shutting down...');
+  await shutdown();
+  if (failure instanceof Error) {
+    throw failure;
+  }
+}
 
-    process.on('SIGTERM', async () => {
-      console.log('\n[App] Shutting down...');
-      await shutdown();
-      process.exit(0);
-    });
+/**
+ * Starts the application in the mode selected by the configuration (npm start)
+ */
+async function start() {
+  try {
+    loadConfig({ argv: process.argv.slice(2) });
+    if (getArgs().length > 0) {
+      throw new Error(`Unknown arguments: ${getArgs().join(' ')}`);
+    }
+    validateConfig();
+  } catch (error) {
+    console.error(`[App] ${error.message}`);
+    process.exit(1);
+  }
+  logger.initializeLogger(config);
+  printConfig();
+  log.info('Configuration validated');
 
+  try {
+    if (config.replay.file) {
+      await runReplay();
+    } else {
+      await runLive();
+    }
+    process.exit(0);
   } catch (error) {
-    console.error('[App] Fatal error:', error);
-    await shutdown();
+    log.error('Fatal error', { error });
     process.exit(1);
   }
 }
 
-// Start the application
-start().catch(error => {
-  console.error('[App] Failed to start:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  runLive,
+  runReplay,
+  shutdown
+};
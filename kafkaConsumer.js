@@ -1,6 +1,21 @@
 /**
  * Kafka consumer module for Bitquery DEXPool stream
  * Handles connection, authentication, and message consumption
+ *
+ * Offsets are committed explicitly, and only for messages whose handler has
+ * completed, so every message is processed at least once across restarts. When
+ * the handler fails, the partition's later messages are left unprocessed and the
+ * consumer crashes, so the supervisor's restart consumes the failed message again.
+ * The start position (committed offsets, latest, earliest, a timestamp or
+ * explicit offsets) is set by config.kafka.startFrom.
+ *
+ * Consumed messages go through a bounded processing queue (processingQueue.js)
+ * that handles them one at a time in order; the topic is paused while the queue
+ * is full. Consumer lag is tracked per partition from the fetched high watermarks.
+ *
+ * kafkajs does not restart the consumer once its retries are exhausted; the
+ * consumer supervisor (consumerSupervisor.js) restarts it with restartConsumer().
+ * 'disconnect' is only emitted for disconnects that were not requested.
  * 
  * Based on official Bitquery documentation:
  * https://docs.bitquery.io/docs/streams/protobuf/kafka-protobuf-js/
@@ -11,8 +26,12 @@ const bs58 = require("bs58");
 const { loadProto } = require("bitquery-protobuf-schema");
 const { CompressionTypes, CompressionCodecs } = require("kafkajs");
 const LZ4 = require("kafkajs-lz4");
-const { v4: uuidv4 } = require("uuid");
 const EventEmitter = require('events');
+const streamRecorder = require('./streamRecorder');
+const processingQueue = require('./processingQueue');
+const logger = require('./logger');
+
+const log = logger.createLogger('KafkaConsumer');
 
 CompressionCodecs[CompressionTypes.LZ4] = new LZ4().codec;
 
@@ -21,15 +40,44 @@ let kafka = null;
 let consumer = null;
 let consumerGroupId = null;
 let running = false;
+let consuming = false;
+let started = false; // consumption has been started once (later starts resume after the processed offsets)
 let config = null;
+let resumeOffsets = null;
+let pendingCommits = new Map(); // "topic:partition" -> next offset to consume
+let lastCommitTime = 0;
+const processedOffsets = new Map(); // "topic:partition" -> offset of the last processed message
+const failedPartitions = new Set(); // "topic:partition" with a failed message, until the next restart
+const highWatermarks = new Map(); // "topic:partition" -> high watermark of the last fetched batch
 const emitter = new EventEmitter();
 
+const queueEmitter = processingQueue.getQueueEmitter();
+queueEmitter.on('full', depth => {
+  log.warn('Processing queue full, pausing consumption', { queueDepth: depth });
+  consumer.pause([{ topic: config.kafka.topic }]);
+});
+queueEmitter.on('resume', depth => {
+  // Stay paused while shutting down
+  if (!running) {
+    return;
+  }
+  log.info('Processing queue drained, resuming consumption', { queueDepth: depth });
+  consumer.resume([{ topic: config.kafka.topic }]);
+});
+queueEmitter.on('error', (error, message) => {
+  log.error('Error processing message, consuming it again after a restart', { partition: message.partition, offset: message.offset, error });
+  failedPartitions.add(`${message.topic}:${message.partition}`);
+  emitter.emit('crash', error, { restart: false });
+  emitter.emit('error', error);
+});
+
 /**
  * Initializes the Kafka client and consumer
  */
 async function initializeKafka(kafkaConfig) {
   config = kafkaConfig;
-  consumerGroupId = `${config.kafka.username}-${uuidv4()}`;
+  // A stable group ID, so a restarted consumer is recognized as the same consumer
+  consumerGroupId = config.kafka.groupId || `${config.kafka.username}-strategy-tester`;
   
   try {
     kafka = new Kafka({
@@ -46,24 +94,44 @@ async function initializeKafka(kafkaConfig) {
       }
     });
 
-    consumer = kafka.consumer({groupId: consumerGroupId});
+    // Restarts after exhausted retries are left to the supervisor
+    const instance = kafka.consumer({
+      groupId: consumerGroupId,
+      retry: { initialRetryTime: 100, retries: 8, restartOnFailure: async () => false }
+    });
+    consumer = instance;
 
-    consumer.on(consumer.events.DISCONNECT, () => {
-      console.log('[KafkaConsumer] Disconnected from Kafka');
-      emitter.emit('disconnect');
+    // Events of a consumer that has since been replaced are ignored
+    instance.on(instance.events.DISCONNECT, () => {
+      if (instance !== consumer) {
+        return;
+      }
+      // Requested disconnects are logged by disconnectKafka
+      if (running) {
+        log.warn('Lost connection to Kafka');
+        emitter.emit('disconnect');
+      }
     });
 
-    consumer.on(consumer.events.CONNECT, () => {
-      console.log('[KafkaConsumer] Connected to Kafka');
+    instance.on(instance.events.CONNECT, () => {
+      if (instance !== consumer) {
+        return;
+      }
+      log.info('Connected to Kafka');
       emitter.emit('connect');
     });
 
-    consumer.on(consumer.events.CRASH, ({ error }) => {
-      console.error('[KafkaConsumer] Consumer crashed:', error);
-      emitter.emit('error', error);
+    instance.on(instance.events.CRASH, ({ payload }) => {
+      if (instance !== consumer) {
+        return;
+      }
+      // restart: kafkajs restarts the consumer itself (retriable error)
+      log.error('Consumer crashed', { restart: payload.restart, error: payload.error });
+      emitter.emit('crash', payload.error, { restart: payload.restart });
+      emitter.emit('error', payload.error);
     });
 
-    console.log(`[KafkaConsumer] Initialized with consumer group ID: ${consumerGroupId}`);
+    log.info('Initialized consumer', { groupId: consumerGroupId });
   } catch (error) {
     throw new Error(`Failed to initialize Kafka consumer: ${error.message}`);
   }
@@ -79,64 +147,282 @@ async function connectKafka() {
 
   try {
     await consumer.connect();
-    console.log(config.kafka.topic);
     await consumer.subscribe({
       topic: config.kafka.topic,
       fromBeginning: false
     });
 
-    console.log(`[KafkaConsumer] Subscribed to topic: ${config.kafka.topic}`);
+    log.info('Subscribed to topic', { topic: config.kafka.topic });
     running = true;
   } catch (error) {
     throw new Error(`Failed to connect to Kafka: ${error.message}`);
   }
 }
 
+/**
+ * Enables recording of every consumed message to an on-disk archive
+ */
+async function enableRecording(recordingOptions) {
+  await streamRecorder.openRecorder(recordingOptions);
+}
+
+/**
+ * Sets the last processed offset per "topic:partition" (from a restored state
+ * snapshot); with startFrom 'committed', consumption resumes right after them
+ * instead of at the committed offsets
+ */
+function resumeFrom(offsets) {
+  resumeOffsets = offsets && Object.keys(offsets).length > 0 ? offsets : null;
+}
+
+/**
+ * Splits a "topic:partition" key
+ */
+function parsePartitionKey(key) {
+  const separator = key.lastIndexOf(':');
+  return { topic: key.slice(0, separator), partition: parseInt(key.slice(separator + 1), 10) };
+}
+
+/**
+ * Resolves the configured start position to a list of { topic, partition, offset } seeks
+ * Empty for 'committed' without resume offsets: the group's committed offsets are
+ * used, or the latest offsets for a new group. After a restart, consumption continues
+ * right after the resume offsets whatever the configured start position.
+ */
+async function resolveStartOffsets() {
+  const { topic, startFrom, startTimestamp, startOffsets } = config.kafka;
+
+  if (startFrom === 'committed' || started) {
+    return Object.entries(resumeOffsets || {}).map(([key, offset]) => ({
+      ...parsePartitionKey(key),
+      offset: (BigInt(offset) + 1n).toString()
+    }));
+  }
+
+  if (resumeOffsets) {
+    log.warn('Start position overrides the offsets of the restored state snapshot', { startFrom });
+  }
+  if (startFrom === 'offsets') {
+    return Object.entries(startOffsets).map(([partition, offset]) => ({
+      topic,
+      partition: parseInt(partition, 10),
+      offset: String(offset)
+    }));
+  }
+
+  const admin = kafka.admin();
+  await admin.connect();
+  try {
+    if (startFrom === 'timestamp') {
+      const offsets = await admin.fetchTopicOffsetsByTimestamp(topic, startTimestamp);
+      return offsets.map(({ partition, offset }) => ({ topic, partition, offset }));
+    }
+    const offsets = await admin.fetchTopicOffsets(topic);
+    return offsets.map(({ partition, low, high }) => ({
+      topic,
+      partition,
+      offset: startFrom === 'earliest' ? low : high
+    }));
+  } finally {
+    await admin.disconnect();
+  }
+}
+
+/**
+ * Seeks partitions to their resolved start offsets
+ */
+function seekStartOffsets(seeks) {
+  for (const { topic, partition, offset } of seeks) {
+    consumer.seek({ topic, partition, offset });
+    log.info('Starting partition at offset', { topic, partition, offset });
+  }
+  resumeOffsets = null;
+}
+
+/**
+ * Marks a message as fully processed, so its offset is included in the next commit
+ */
+function markProcessed(topic, partition, offset) {
+  processedOffsets.set(`${topic}:${partition}`, offset);
+  pendingCommits.set(`${topic}:${partition}`, { topic, partition, offset: (BigInt(offset) + 1n).toString() });
+}
+
+/**
+ * Commits the offsets of processed messages if the commit interval has elapsed (or if forced)
+ * Offsets that fail to commit are retried with the next commit
+ */
+async function commitProcessed(force = false) {
+  if (pendingCommits.size === 0) {
+    return;
+  }
+  if (!force && Date.now() - lastCommitTime < config.kafka.commitIntervalMs) {
+    return;
+  }
+
+  const offsets = Array.from(pendingCommits.values());
+  pendingCommits = new Map();
+  lastCommitTime = Date.now();
+  try {
+    await consumer.commitOffsets(offsets);
+    log.debug('Committed offsets', { offsets: offsets.map(entry => `${entry.partition}:${entry.offset}`).join(',') });
+  } catch (error) {
+    log.error('Error committing offsets', { offsets: offsets.map(entry => `${entry.partition}:${entry.offset}`).join(','), error });
+    for (const entry of offsets) {
+      const key = `${entry.topic}:${entry.partition}`;
+      if (!pendingCommits.has(key)) {
+        pendingCommits.set(key, entry);
+      }
+    }
+  }
+}
+
+/**
+ * Queues a fetched message for processing, recording it first if recording is enabled
+ */
+async function consumeMessage(topic, partition, message) {
+  const msg = {
+    topic,
+    partition,
+    offset: message.offset,
+    timestamp: message.timestamp,
+    value: message.value
+  };
+
+  if (!msg.value) {
+    log.warn('Received message with no value', { partition, offset: message.offset });
+  } else if (streamRecorder.isRecording()) {
+    await streamRecorder.recordMessage(msg);
+  }
+  processingQueue.enqueue(msg);
+}
+
 /**
  * Starts consuming messages and emits 'message' events
+ * onMessage is awaited for each message, in order, and a message's offset is
+ * committed and its 'message' event emitted only once it has succeeded;
+ * 'message' event listeners are not awaited
  */
 async function startConsuming(onMessage) {
   if (!running) {
     await connectKafka();
   }
 
+  failedPartitions.clear();
+  processingQueue.initializeQueue(async msg => {
+    // Skipped until the restart after a failure, which consumes them again in order
+    if (failedPartitions.has(`${msg.topic}:${msg.partition}`)) {
+      return;
+    }
+    if (msg.value) {
+      if (onMessage) {
+        await onMessage(msg);
+      }
+      emitter.emit('message', msg);
+    }
+    markProcessed(msg.topic, msg.partition, msg.offset);
+    await commitProcessed();
+  }, config);
+
+  await runConsumer();
+}
+
+/**
+ * Runs the connected consumer, feeding fetched messages into the processing queue,
+ * and seeks to the start offsets
+ */
+async function runConsumer() {
   try {
+    const seeks = await resolveStartOffsets();
     await consumer.run({
       autoCommit: false,
-      eachMessage: async ({ topic, partition, message }) => {
-        try {
-          const timestamp = message.timestamp;
-          const offset = message.offset;
-          const value = message.value;
+      eachBatchAutoResolve: false,
+      eachBatch: async ({ batch, resolveOffset, heartbeat, isRunning, isStale }) => {
+        highWatermarks.set(`${batch.topic}:${batch.partition}`, batch.highWatermark);
 
-          if (!value) {
-            console.warn('[KafkaConsumer] Received message with no value');
-            return;
+        for (const message of batch.messages) {
+          // Unresolved messages are fetched again once consumption resumes
+          if (!running || !isRunning() || isStale() || processingQueue.isFull()) {
+            break;
           }
-
-          const msg = {
-            topic,
-            partition,
-            offset,
-            timestamp,
-            value: value
-          };
-
-          emitter.emit('message', msg);
-          if (onMessage) {
-            onMessage(msg);
+          try {
+            await consumeMessage(batch.topic, batch.partition, message);
+          } catch (error) {
+            log.error('Error consuming message', { partition: batch.partition, offset: message.offset, error });
+            emitter.emit('error', error);
           }
-        } catch (error) {
-          console.error('[KafkaConsumer] Error processing message:', error);
-          emitter.emit('error', error);
+          resolveOffset(message.offset);
         }
+        await heartbeat();
       }
     });
+    consuming = true;
+    started = true;
+
+    // Seeking is only possible once the consumer is running
+    seekStartOffsets(seeks);
   } catch (error) {
     throw new Error(`Failed to start consuming messages: ${error.message}`);
   }
 }
 
+/**
+ * Replaces the consumer with a new client and connection, continuing right after
+ * the last processed message of each partition
+ * Messages already queued are processed first, so none is skipped or handled twice;
+ * the processing queue, its handler and everything it feeds are left untouched.
+ * Partitions with a failed message continue at that message.
+ */
+async function restartConsumer() {
+  await disconnectKafka();
+
+  failedPartitions.clear();
+  resumeFrom(Object.fromEntries(processedOffsets));
+  await initializeKafka(config);
+  await connectKafka();
+  await runConsumer();
+}
+
+/**
+ * Gets the consumer group, processing queue and per-partition lag
+ * Lag: messages between the last processed offset and the high watermark of the last fetch
+ */
+function getConsumerStatus() {
+  const partitions = Array.from(highWatermarks.entries()).map(([key, highWatermark]) => {
+    const processedOffset = processedOffsets.has(key) ? processedOffsets.get(key) : null;
+    return {
+      ...parsePartitionKey(key),
+      highWatermark,
+      processedOffset,
+      lag: processedOffset !== null ? Number(BigInt(highWatermark) - BigInt(processedOffset) - 1n) : null
+    };
+  });
+
+  return {
+    groupId: consumerGroupId,
+    paused: processingQueue.isFull(),
+    queue: processingQueue.getQueueStatus(),
+    partitions,
+    totalLag: partitions.reduce((sum, p) => sum + (p.lag || 0), 0)
+  };
+}
+
+/**
+ * Logs consumer lag and processing queue depth
+ */
+function logConsumerStatus() {
+  const status = getConsumerStatus();
+  const lags = status.partitions.map(p => `p${p.partition}=${p.lag !== null ? p.lag : 'N/A'}`).join(', ');
+  log.info('Consumer status', {
+    lag: status.totalLag,
+    partitionLag: lags || undefined,
+    queueDepth: status.queue.depth,
+    queueMaxSize: status.queue.maxSize,
+    queueMaxDepth: status.queue.maxDepth,
+    pauses: status.queue.pauses,
+    paused: status.paused
+  });
+}
+
 /**
  * Disconnects from Kafka
  */
@@ -144,10 +430,21 @@ async function disconnectKafka() {
   running = false;
   if (consumer) {
     try {
+      // Stop fetching and finish the queued messages, so their offsets are committed
+      if (consuming) {
+        consuming = false;
+        try {
+          consumer.pause([{ topic: config.kafka.topic }]);
+        } catch (error) {
+          log.warn('Could not pause consumption', { error: error.message });
+        }
+        await processingQueue.waitForIdle();
+      }
+      await commitProcessed(true);
       await consumer.disconnect();
-      console.log('[KafkaConsumer] Disconnected from Kafka');
+      log.info('Disconnected from Kafka');
     } catch (error) {
-      console.error('[KafkaConsumer] Error disconnecting:', error);
+      log.error('Error disconnecting', { error });
     }
   }
 }
@@ -157,6 +454,7 @@ async function disconnectKafka() {
  */
 async function shutdownKafka() {
   await disconnectKafka();
+  await streamRecorder.closeRecorder();
 }
 
 /**
@@ -169,8 +467,13 @@ function getKafkaEmitter() {
 module.exports = {
   initializeKafka,
   connectKafka,
+  enableRecording,
+  resumeFrom,
   startConsuming,
+  restartConsumer,
   disconnectKafka,
   shutdownKafka,
+  getConsumerStatus,
+  logConsumerStatus,
   getKafkaEmitter
 };
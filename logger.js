@@ -0,0 +1,172 @@
+/**
+ * Logger module
+ * Leveled, structured logging with per-component loggers. Each record has a time,
+ * level, component, message and optional fields (pool, signal, trade ID, offset,
+ * slope, ...), written as one JSON object per line (format 'json', for machine
+ * ingestion) or as a readable line with the fields as key=value pairs ('pretty').
+ * debug and info go to stdout, warn and error to stderr.
+ *
+ *   const log = logger.createLogger('Pipeline');
+ *   log.info('Pool update', { pool, slope });
+ *   log.child({ strategy: 'A' }).warn('Order rejected', { reason });
+ *   log.limited('poolUpdate').info(...);  // rate-limited, for per-message lines
+ *
+ * Rate-limited loggers pass at most config.logging.rateLimit records per key in
+ * every rateLimitIntervalMs window; the next record that passes carries the number
+ * of suppressed ones in its `suppressed` field.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Shared state
+let options = { level: 'info', format: 'pretty', rateLimit: 20, rateLimitIntervalMs: 10000 };
+const rateLimits = new Map(); // "component:key" -> { windowStart, count, suppressed }
+
+/**
+ * Initializes the logger from config.logging
+ */
+function initializeLogger(config) {
+  options = { ...options, ...config.logging };
+  rateLimits.clear();
+}
+
+/**
+ * Checks whether records are written as JSON
+ */
+function isJsonFormat() {
+  return options.format === 'json';
+}
+
+/**
+ * Checks whether a level is enabled
+ */
+function isLevelEnabled(level) {
+  return LEVELS[level] >= LEVELS[options.level];
+}
+
+/**
+ * Converts an Error (also nested in fields) into plain data
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { message: value.message, name: value.name, stack: value.stack };
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  return value;
+}
+
+/**
+ * Formats a field value for pretty output
+ */
+function formatPrettyValue(value) {
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    return String(Number(value.toFixed(6)));
+  }
+  if (value instanceof Error) {
+    return JSON.stringify(value.message);
+  }
+  if (typeof value === 'string') {
+    return /[\s"=]/.test(value) || value === '' ? JSON.stringify(value) : value;
+  }
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Writes a record in the configured format
+ */
+function write(level, component, message, fields) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  const time = new Date().toISOString();
+
+  if (isJsonFormat()) {
+    const record = { time, level, component, message };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        record[key] = serializeValue(value);
+      }
+    }
+    stream.write(`${JSON.stringify(record)}\n`);
+    return;
+  }
+
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${formatPrettyValue(value)}`);
+  let line = `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${message}${pairs.length > 0 ? ` ${pairs.join(' ')}` : ''}`;
+  const error = Object.values(fields).find(value => value instanceof Error);
+  if (error && error.stack && LEVELS[level] >= LEVELS.error) {
+    line += `\n${error.stack}`;
+  }
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Checks a rate limit key, returning null if the record is suppressed, otherwise
+ * the number of records suppressed since the last one that passed
+ */
+function checkRateLimit(key) {
+  if (!options.rateLimit) {
+    return 0;
+  }
+
+  const now = Date.now();
+  let state = rateLimits.get(key);
+  if (!state || now - state.windowStart >= options.rateLimitIntervalMs) {
+    state = { windowStart: now, count: 0, suppressed: state ? state.suppressed : 0 };
+    rateLimits.set(key, state);
+  }
+
+  if (state.count >= options.rateLimit) {
+    state.suppressed++;
+    return null;
+  }
+  state.count++;
+  const suppressed = state.suppressed;
+  state.suppressed = 0;
+  return suppressed;
+}
+
+/**
+ * Creates a logger for a component, with fields added to every record
+ * rateLimitKey: rate limit records of this logger under the key (see limited)
+ */
+function createLogger(component, baseFields = {}, rateLimitKey = null) {
+  const log = (level, message, fields = {}) => {
+    if (!isLevelEnabled(level)) {
+      return;
+    }
+    let extra = {};
+    if (rateLimitKey) {
+      const suppressed = checkRateLimit(`${component}:${rateLimitKey}`);
+      if (suppressed === null) {
+        return;
+      }
+      if (suppressed > 0) {
+        extra = { suppressed };
+      }
+    }
+    write(level, component, message, { ...baseFields, ...fields, ...extra });
+  };
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    isLevelEnabled,
+    child: fields => createLogger(component, { ...baseFields, ...fields }, rateLimitKey),
+    limited: key => createLogger(component, baseFields, key)
+  };
+}
+
+module.exports = {
+  LEVELS,
+  initializeLogger,
+  isJsonFormat,
+  createLogger
+};
@@ -0,0 +1,401 @@
+/**
+ * Monitor server module
+ * Embedded HTTP server for watching a running forward test or replay: JSON
+ * endpoints for the current state, a server-sent events feed of pool updates,
+ * signals and trades, and a built-in dashboard page (dashboard.html).
+ *
+ * Endpoints (GET):
+ *   /                        dashboard
+ *   /api/status              instance name, mode, uptime, event time, message count and health
+ *   /api/health              consumer health state (503 while reconnecting or failed)
+ *   /api/summary             run summary per strategy (as in the results manifest)
+ *   /api/positions           open positions per strategy
+ *   /api/trades              recent trades (?strategy=<id>&limit=<n>)
+ *   /api/equity              equity curve per strategy (?strategy=<id>&limit=<n>)
+ *   /api/pools               tracked pools with their latest slope
+ *   /api/pools/<address>     slope history of a pool
+ *   /api/consumer            Kafka consumer lag and queue status (live mode only)
+ *   /api/events              server-sent events: poolUpdate, signal, trade, equity
+ *   /metrics                 Prometheus metrics (see prometheusMetrics.js)
+ *
+ * Responses allow any origin, so one page can poll several instances.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const pipeline = require('./pipeline');
+const strategyEngine = require('./strategyEngine');
+const tradeSimulator = require('./tradeSimulator');
+const performanceMetrics = require('./performanceMetrics');
+const eventClock = require('./eventClock');
+const prometheusMetrics = require('./prometheusMetrics');
+const logger = require('./logger');
+
+const log = logger.createLogger('Monitor');
+
+const DEFAULT_LIMIT = 500;
+const HEARTBEAT_INTERVAL = 15000;
+const EQUITY_EVENT_INTERVAL = 1000;
+const MAX_CLIENT_BUFFER = 1024 * 1024; // drop event clients that stop reading
+
+// Shared state
+let server = null;
+let options = { host: '127.0.0.1', port: null, name: '', maxTrades: 200 };
+let runInfo = { mode: null, source: null, getConsumerStatus: null, getHealth: null };
+let instanceName = '';
+let dashboard = '';
+let clients = new Set();
+let timers = [];
+let listeners = [];
+
+/**
+ * Refreshes the state gauges of the Prometheus metrics before a scrape
+ */
+function collectMetrics() {
+  for (const name of ['realized_pnl', 'unrealized_pnl', 'open_exposure', 'consumer_lag']) {
+    prometheusMetrics.clearGauge(name);
+  }
+
+  for (const portfolioId of tradeSimulator.getPortfolioIds()) {
+    const equity = tradeSimulator.getEquity(portfolioId);
+    prometheusMetrics.setGauge('realized_pnl', { strategy: portfolioId }, equity.realized);
+    prometheusMetrics.setGauge('unrealized_pnl', { strategy: portfolioId }, equity.unrealized);
+    prometheusMetrics.setGauge('open_exposure', { strategy: portfolioId }, equity.exposure);
+  }
+
+  const eventTime = eventClock.getTimeRange();
+  if (eventTime.to !== null) {
+    prometheusMetrics.setGauge('last_event_timestamp_seconds', {}, eventTime.to / 1000);
+  }
+
+  if (runInfo.getConsumerStatus) {
+    const status = runInfo.getConsumerStatus();
+    for (const partition of status.partitions) {
+      if (partition.lag !== null) {
+        prometheusMetrics.setGauge('consumer_lag', { topic: partition.topic, partition: partition.partition }, partition.lag);
+      }
+    }
+    prometheusMetrics.setGauge('queue_depth', {}, status.queue.depth);
+    prometheusMetrics.setGauge('consumer_paused', {}, status.paused ? 1 : 0);
+  }
+}
+
+/**
+ * Sends a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a positive integer query parameter, falling back to a default
+ */
+function getLimit(query, fallback) {
+  const limit = parseInt(query.get('limit'));
+  return Number.isFinite(limit) && limit > 0 ? limit : fallback;
+}
+
+/**
+ * Gets the requested strategy IDs (?strategy=<id>, all strategies if missing)
+ */
+function getPortfolioIds(query) {
+  const strategy = query.get('strategy');
+  const portfolioIds = tradeSimulator.getPortfolioIds();
+  return strategy ? portfolioIds.filter(id => id === strategy) : portfolioIds;
+}
+
+/**
+ * Gets the consumer health (always healthy without a consumer, e.g. in replays)
+ */
+function getHealth() {
+  return runInfo.getHealth ? runInfo.getHealth() : { state: 'healthy' };
+}
+
+/**
+ * Gets the instance status
+ */
+function getStatus() {
+  const eventTime = eventClock.getTimeRange();
+  return {
+    instance: instanceName,
+    mode: runInfo.mode,
+    source: runInfo.source,
+    pid: process.pid,
+    startedAt: new Date(pipeline.getStartTime()).toISOString(),
+    uptimeMs: Date.now() - pipeline.getStartTime(),
+    eventTime: {
+      from: eventTime.from !== null ? new Date(eventTime.from).toISOString() : null,
+      to: eventTime.to !== null ? new Date(eventTime.to).toISOString() : null
+    },
+    messagesProcessed: pipeline.getMessageCount(),
+    strategies: tradeSimulator.getPortfolioIds(),
+    health: getHealth().state,
+    eventClients: clients.size
+  };
+}
+
+/**
+ * Gets the open positions of every strategy, valued at the latest pool prices
+ */
+function getPositions() {
+  return tradeSimulator.getPortfolioIds().map(portfolioId => ({
+    strategy: portfolioId,
+    positions: tradeSimulator.getOpenPositions(portfolioId).map(({ lots, ...position }) => ({
+      ...position,
+      lots: lots.length
+    })),
+    equity: tradeSimulator.getEquity(portfolioId)
+  }));
+}
+
+/**
+ * Gets the most recent trades (oldest first) with their net PnL
+ */
+function getTrades(query) {
+  const limit = getLimit(query, options.maxTrades);
+  const trades = getPortfolioIds(query)
+    .flatMap(portfolioId => tradeSimulator.getPerformanceSummary(portfolioId).trades)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-limit);
+  return trades.map(trade => formatTrade(trade));
+}
+
+/**
+ * Formats a trade for the API and event feed
+ */
+function formatTrade(trade, pnl = tradeSimulator.calculatePnL(trade)) {
+  return {
+    id: trade.id,
+    strategy: trade.strategy,
+    timestamp: trade.timestamp,
+    side: trade.type,
+    poolAddress: trade.poolAddress,
+    amount: trade.amount,
+    price: trade.price,
+    slippage: trade.slippage,
+    costs: trade.costs.total,
+    pnl,
+    closedLots: trade.closedLots.length,
+    netPosition: trade.netPosition,
+    blockNumber: trade.blockNumber,
+    transactionHash: trade.transactionHash
+  };
+}
+
+/**
+ * Gets the latest equity curve points of every requested strategy
+ */
+function getEquity(query) {
+  const limit = getLimit(query, DEFAULT_LIMIT);
+  return getPortfolioIds(query).map(portfolioId => ({
+    strategy: portfolioId,
+    points: performanceMetrics.getEquityCurve(portfolioId).slice(-limit)
+  }));
+}
+
+/**
+ * Gets the tracked pools with their latest slope
+ */
+function getPools() {
+  return strategyEngine.getTrackedPools().map(poolAddress => {
+    const history = strategyEngine.getSlopeHistory(poolAddress);
+    return { poolAddress, updates: history.length, latest: history[history.length - 1] || null };
+  });
+}
+
+/**
+ * Opens a server-sent events stream
+ */
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write(`retry: 5000\n\n`);
+  clients.add(res);
+  req.on('close', () => clients.delete(res));
+}
+
+/**
+ * Sends an event to every connected event client
+ */
+function broadcast(event, data) {
+  if (clients.size === 0) {
+    return;
+  }
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients) {
+    if (res.writableLength > MAX_CLIENT_BUFFER) {
+      log.warn('Dropping slow event client', { buffered: res.writableLength });
+      clients.delete(res);
+      res.destroy();
+      continue;
+    }
+    res.write(message);
+  }
+}
+
+/**
+ * Routes a request to its endpoint
+ */
+function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const route = url.pathname.replace(/\/+$/, '') || '/';
+
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Only GET is supported' });
+    return;
+  }
+
+  try {
+    if (route === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(dashboard);
+    } else if (route === '/api/status') {
+      sendJson(res, 200, getStatus());
+    } else if (route === '/api/health') {
+      const health = getHealth();
+      sendJson(res, ['reconnecting', 'failed'].includes(health.state) ? 503 : 200, health);
+    } else if (route === '/api/summary') {
+      sendJson(res, 200, { ...pipeline.buildRunSummary(), equity: pipeline.getEquitySnapshots() });
+    } else if (route === '/api/positions') {
+      sendJson(res, 200, getPositions());
+    } else if (route === '/api/trades') {
+      sendJson(res, 200, getTrades(url.searchParams));
+    } else if (route === '/api/equity') {
+      sendJson(res, 200, getEquity(url.searchParams));
+    } else if (route === '/api/pools') {
+      sendJson(res, 200, getPools());
+    } else if (route.startsWith('/api/pools/')) {
+      const poolAddress = decodeURIComponent(route.slice('/api/pools/'.length));
+      if (!strategyEngine.getTrackedPools().includes(poolAddress)) {
+        sendJson(res, 404, { error: `Unknown pool ${poolAddress}` });
+        return;
+      }
+      sendJson(res, 200, { poolAddress, history: strategyEngine.getSlopeHistory(poolAddress) });
+    } else if (route === '/api/consumer') {
+      if (!runInfo.getConsumerStatus) {
+        sendJson(res, 404, { error: `No consumer in ${runInfo.mode} mode` });
+        return;
+      }
+      sendJson(res, 200, runInfo.getConsumerStatus());
+    } else if (route === '/api/events') {
+      openEventStream(req, res);
+    } else if (route === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(prometheusMetrics.renderMetrics());
+    } else {
+      sendJson(res, 404, { error: `Not found: ${route}` });
+    }
+  } catch (error) {
+    log.error('Error handling request', { route, error });
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * Forwards pipeline events to event clients and starts the heartbeat and equity timers
+ */
+function startFeed() {
+  const emitter = pipeline.getPipelineEmitter();
+  listeners = [
+    ['poolUpdate', update => broadcast('poolUpdate', update)],
+    ['signal', signal => broadcast('signal', signal)],
+    ['trade', ({ trade, pnl }) => broadcast('trade', formatTrade(trade, pnl))]
+  ];
+  for (const [event, listener] of listeners) {
+    emitter.on(event, listener);
+  }
+
+  timers = [
+    setInterval(() => {
+      for (const res of clients) {
+        res.write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_INTERVAL),
+    setInterval(() => {
+      broadcast('equity', { timestamp: eventClock.now(), portfolios: pipeline.getEquitySnapshots() });
+    }, EQUITY_EVENT_INTERVAL)
+  ];
+  timers.forEach(timer => timer.unref());
+}
+
+/**
+ * Starts the monitor server if config.monitor.port is set
+ * info: { mode, source, getConsumerStatus, getHealth } of the run being monitored
+ * Resolves once the server is listening
+ */
+async function startMonitor(config, info) {
+  options = { ...config.monitor };
+  if (options.port === null) {
+    return;
+  }
+
+  runInfo = { mode: null, source: null, getConsumerStatus: null, getHealth: null, ...info };
+  dashboard = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf8');
+  clients = new Set();
+
+  server = http.createServer(handleRequest);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+
+  const { port } = server.address();
+  instanceName = options.name || `${os.hostname()}:${port}`;
+  startFeed();
+  prometheusMetrics.registerCollector(collectMetrics);
+  log.info('Dashboard started', { instance: instanceName, url: `http://${options.host}:${port}/` });
+}
+
+/**
+ * Gets the address the monitor server listens on (null if not running)
+ */
+function getMonitorAddress() {
+  return server ? server.address() : null;
+}
+
+/**
+ * Closes event streams and stops the monitor server
+ */
+async function stopMonitor() {
+  if (!server) {
+    return;
+  }
+
+  const emitter = pipeline.getPipelineEmitter();
+  for (const [event, listener] of listeners) {
+    emitter.off(event, listener);
+  }
+  listeners = [];
+  prometheusMetrics.unregisterCollector(collectMetrics);
+  timers.forEach(clearInterval);
+  timers = [];
+
+  for (const res of clients) {
+    res.end();
+  }
+  clients.clear();
+
+  await new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  server = null;
+  log.info('Stopped');
+}
+
+module.exports = {
+  startMonitor,
+  getMonitorAddress,
+  stopMonitor
+};
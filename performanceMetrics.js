@@ -0,0 +1,218 @@
+/**
+ * Performance metrics module
+ * Samples a mark-to-market equity curve per portfolio and computes risk-adjusted
+ * performance metrics from it and from the trade ledger
+ *
+ * Percent-based metrics (returns, drawdown %, Sharpe, Sortino) are measured against
+ * a notional starting capital (config.metrics.initialCapital).
+ */
+
+const tradeSimulator = require('./tradeSimulator');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Shared state
+let options = {
+  initialCapital: 10000,
+  equitySampleMs: 1000,
+  maxEquityPoints: 100000
+};
+const equityCurves = new Map();
+
+/**
+ * Initializes the metrics module with configuration
+ */
+function initializeMetrics(config) {
+  options = { ...options, ...config.metrics };
+  equityCurves.clear();
+}
+
+/**
+ * Records an equity sample for a portfolio
+ * Within equitySampleMs of the last committed sample, the newest sample replaces the
+ * pending one instead of being appended, unless forced
+ */
+function recordEquity(portfolioId, timestamp, force = false) {
+  if (!equityCurves.has(portfolioId)) {
+    equityCurves.set(portfolioId, []);
+  }
+
+  const curve = equityCurves.get(portfolioId);
+  const { equity, exposure } = tradeSimulator.getEquity(portfolioId);
+  const point = { timestamp, equity, exposure };
+  const committed = curve[curve.length - 2];
+
+  if (committed && !force && timestamp - committed.timestamp < options.equitySampleMs) {
+    curve[curve.length - 1] = point;
+  } else {
+    curve.push(point);
+  }
+
+  if (curve.length > options.maxEquityPoints) {
+    curve.shift();
+  }
+}
+
+/**
+ * Gets the equity curve of a portfolio
+ */
+function getEquityCurve(portfolioId) {
+  return equityCurves.get(portfolioId) || [];
+}
+
+/**
+ * Computes maximum drawdown (absolute and relative to capital + peak equity) and
+ * the longest time spent below a previous equity peak
+ */
+function computeDrawdown(curve) {
+  let peak = -Infinity;
+  let peakTime = null;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  let maxDuration = 0;
+
+  for (const point of curve) {
+    if (point.equity >= peak) {
+      if (peakTime !== null) {
+        maxDuration = Math.max(maxDuration, point.timestamp - peakTime);
+      }
+      peak = point.equity;
+      peakTime = point.timestamp;
+      continue;
+    }
+
+    const drawdown = peak - point.equity;
+    maxDrawdown = Math.max(maxDrawdown, drawdown);
+    maxDrawdownPct = Math.max(maxDrawdownPct, drawdown / (options.initialCapital + peak));
+  }
+
+  // A drawdown still open at the end of the curve lasts until the last sample
+  const last = curve[curve.length - 1];
+  if (last && peakTime !== null && last.equity < peak) {
+    maxDuration = Math.max(maxDuration, last.timestamp - peakTime);
+  }
+
+  return { maxDrawdown, maxDrawdownPct, maxDrawdownDurationMs: maxDuration };
+}
+
+/**
+ * Computes annualized Sharpe and Sortino ratios from per-sample returns on capital
+ */
+function computeRatios(curve) {
+  if (curve.length < 3) {
+    return { sharpeRatio: null, sortinoRatio: null };
+  }
+
+  const returns = [];
+  for (let i = 1; i < curve.length; i++) {
+    const base = options.initialCapital + curve[i - 1].equity;
+    returns.push(base > 0 ? (curve[i].equity - curve[i - 1].equity) / base : 0);
+  }
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const downside = returns.reduce((sum, r) => sum + Math.min(0, r) ** 2, 0) / returns.length;
+
+  const averageIntervalMs = (curve[curve.length - 1].timestamp - curve[0].timestamp) / returns.length;
+  const annualization = averageIntervalMs > 0 ? Math.sqrt(YEAR_MS / averageIntervalMs) : 1;
+
+  return {
+    sharpeRatio: variance > 0 ? (mean / Math.sqrt(variance)) * annualization : null,
+    sortinoRatio: downside > 0 ? (mean / Math.sqrt(downside)) * annualization : null
+  };
+}
+
+/**
+ * Computes the fraction of the curve's time span with an open position
+ */
+function computeExposurePct(curve) {
+  if (curve.length < 2) {
+    return 0;
+  }
+
+  let exposedMs = 0;
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i - 1].exposure > 0) {
+      exposedMs += curve[i].timestamp - curve[i - 1].timestamp;
+    }
+  }
+
+  const spanMs = curve[curve.length - 1].timestamp - curve[0].timestamp;
+  return spanMs > 0 ? exposedMs / spanMs : 0;
+}
+
+/**
+ * Computes trade-based metrics: profit factor, expectancy and average holding time
+ */
+function computeTradeMetrics(trades) {
+  const closing = trades.filter(trade => trade.closedLots.length > 0);
+  const pnls = closing.map(tradeSimulator.calculatePnL);
+  const grossProfit = pnls.filter(pnl => pnl > 0).reduce((sum, pnl) => sum + pnl, 0);
+  const grossLoss = -pnls.filter(pnl => pnl < 0).reduce((sum, pnl) => sum + pnl, 0);
+
+  let heldAmount = 0;
+  let heldTime = 0;
+  for (const trade of closing) {
+    for (const lot of trade.closedLots) {
+      heldAmount += lot.amount;
+      heldTime += lot.amount * (lot.exitTimestamp - lot.entryTimestamp);
+    }
+  }
+
+  return {
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : null),
+    expectancy: pnls.length > 0 ? pnls.reduce((sum, pnl) => sum + pnl, 0) / pnls.length : null,
+    averageHoldingTimeMs: heldAmount > 0 ? heldTime / heldAmount : null
+  };
+}
+
+/**
+ * Computes all metrics for a portfolio
+ */
+function computeMetrics(portfolioId) {
+  const curve = getEquityCurve(portfolioId);
+  const { trades } = tradeSimulator.getPerformanceSummary(portfolioId);
+  const current = tradeSimulator.getEquity(portfolioId);
+
+  return {
+    portfolioId,
+    equity: current.equity,
+    unrealizedPnL: current.unrealized,
+    totalReturnPct: current.equity / options.initialCapital,
+    ...computeDrawdown(curve),
+    ...computeRatios(curve),
+    ...computeTradeMetrics(trades),
+    exposurePct: computeExposurePct(curve),
+    equityPoints: curve.length
+  };
+}
+
+/**
+ * Exports the equity curves for state snapshots
+ */
+function exportState() {
+  return { equityCurves: Array.from(equityCurves.entries()) };
+}
+
+/**
+ * Restores exported equity curves for the given portfolio IDs
+ */
+function importState(state, portfolioIds) {
+  equityCurves.clear();
+  for (const [portfolioId, curve] of state.equityCurves || []) {
+    if (portfolioIds.includes(portfolioId)) {
+      equityCurves.set(portfolioId, curve);
+    }
+  }
+}
+
+module.exports = {
+  initializeMetrics,
+  recordEquity,
+  getEquityCurve,
+  computeDrawdown,
+  computeRatios,
+  computeMetrics,
+  exportState,
+  importState
+};
@@ -0,0 +1,610 @@
+/**
+ * Processing pipeline module
+ * Runs decoded pool updates through the strategy engine, registered strategies,
+ * risk manager and trade simulator, and reports the results. Shared by live,
+ * replay and sweep runs.
+ *
+ * Time comes from the event clock, driven by the event time of the processed
+ * messages (see eventClock.js), never from the wall clock. This includes the
+ * periodic performance summaries, logged whenever the event time crosses a
+ * multiple of config.logging.summaryIntervalMs, in live and replay runs alike.
+ *
+ * In live mode the state of every module can be snapshotted to the state store
+ * together with the last processed offsets, and restored on startup.
+ *
+ * Events: 'poolUpdate' (slope and signal of a processed pool update), 'signal'
+ * (strategy order intent and risk decision), 'trade' ({ trade, pnl }), 'summary'
+ * (event time of a periodic performance summary)
+ */
+
+const EventEmitter = require('events');
+const protobufDecoder = require('./protobufDecoder');
+const strategyEngine = require('./strategyEngine');
+const tradeSimulator = require('./tradeSimulator');
+const strategyRegistry = require('./strategyRegistry');
+const riskManager = require('./riskManager');
+const performanceMetrics = require('./performanceMetrics');
+const resultsWriter = require('./resultsWriter');
+const watchlist = require('./watchlist');
+const stateStore = require('./stateStore');
+const eventClock = require('./eventClock');
+const prometheusMetrics = require('./prometheusMetrics');
+const logger = require('./logger');
+
+const log = logger.createLogger('App');
+const poolLog = logger.createLogger('Pool').limited('poolUpdate');
+const filteredLog = logger.createLogger('Pool').limited('filtered');
+const strategyLog = logger.createLogger('Strategy');
+const tradeLog = logger.createLogger('Trade');
+
+// Shared state
+let config = null;
+let messageCount = 0;
+let startTime = Date.now();
+let processedOffsets = {}; // "topic:partition" -> offset of the last processed message
+let nextSummaryTime = null; // event time of the next periodic performance summary
+const emitter = new EventEmitter();
+
+/**
+ * Handles an incoming raw message (from Kafka or a replay)
+ * Throws if processing fails after decoding; the message is then not recorded as processed
+ */
+async function handleMessage(message) {
+  const endTimer = prometheusMetrics.startTimer('handler_duration_seconds');
+  let decoded = false;
+  try {
+    messageCount++;
+    prometheusMetrics.increment('messages_consumed_total');
+
+    const decodedMessage = protobufDecoder.decodeMessage(message.value);
+    prometheusMetrics.increment('messages_decoded_total');
+    decoded = true;
+
+    // Event time: the message's transaction/block time, or its Kafka timestamp if it has none
+    const messageInfo = strategyEngine.extractEventInfo(decodedMessage);
+    eventClock.advanceClock(messageInfo.timestamp !== null ? messageInfo.timestamp : parseKafkaTimestamp(message.timestamp));
+
+    // One result per watched pool event; empty if no pool in the message is watched
+    const strategyResults = strategyEngine.processPoolData(decodedMessage);
+    if (strategyResults.length === 0) {
+      prometheusMetrics.increment('messages_filtered_total');
+      filteredLog.debug('No watched pool event in message', { partition: message.partition, offset: message.offset });
+    }
+
+    for (const strategyResult of strategyResults) {
+      const { poolData, slope, deltaSlope } = strategyResult;
+      eventClock.advanceClock(poolData.timestamp);
+
+      // Only log if we have valid pool data
+      if (poolData.poolAddress !== 'unknown') {
+        poolLog.info('Pool update', {
+          eventTime: new Date(poolData.timestamp).toISOString(),
+          pool: poolData.poolAddress,
+          pair: poolData.pair,
+          direction: poolData.direction,
+          slope,
+          deltaSlope,
+          signal: strategyResult.signal
+        });
+      } else {
+        // Debug: Log when pool address is unknown
+        log.warn('Pool address is unknown', { messageKeys: Object.keys(decodedMessage).slice(0, 10).join(',') });
+      }
+
+      emitter.emit('poolUpdate', {
+        timestamp: poolData.timestamp,
+        poolAddress: poolData.poolAddress,
+        pair: poolData.pair,
+        slope,
+        deltaSlope,
+        signal: strategyResult.signal
+      });
+
+      tradeSimulator.updateMarkPrice(poolData);
+      await runStrategies(strategyResult);
+      recordEquity();
+    }
+
+  } catch (error) {
+    // A message that cannot be decoded never will be and is skipped; any other failure
+    // is rethrown and the message is not recorded as processed, so it is consumed again
+    if (decoded) {
+      log.error('Error handling message', { partition: message.partition, offset: message.offset, error });
+      throw error;
+    }
+    log.error('Skipping message that cannot be decoded', { partition: message.partition, offset: message.offset, error });
+  } finally {
+    endTimer();
+  }
+
+  recordOffset(message);
+  logSummaryIfDue();
+  if (stateStore.isSnapshotDue()) {
+    saveState();
+  }
+}
+
+/**
+ * Logs the performance summary when the event time has crossed an interval boundary
+ * since the last one (once, however many boundaries were crossed)
+ */
+function logSummaryIfDue() {
+  const interval = config.logging.summaryIntervalMs;
+  if (interval === null) {
+    return;
+  }
+  const now = eventClock.now();
+  const due = nextSummaryTime !== null && now >= nextSummaryTime;
+  if (nextSummaryTime === null || due) {
+    nextSummaryTime = (Math.floor(now / interval) + 1) * interval;
+  }
+  if (due) {
+    logPerformanceSummary();
+    emitter.emit('summary', now);
+  }
+}
+
+/**
+ * Parses a Kafka message timestamp (string or number of ms), null if missing or invalid
+ */
+function parseKafkaTimestamp(value) {
+  const timestamp = typeof value === 'string' ? parseInt(value) : value;
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+/**
+ * Records a message as processed
+ */
+function recordOffset(message) {
+  if (message.offset === undefined || message.offset === null || message.partition === undefined) {
+    return;
+  }
+  const key = `${message.topic}:${message.partition}`;
+  const previous = processedOffsets[key];
+  if (previous === undefined || BigInt(message.offset) > BigInt(previous)) {
+    processedOffsets[key] = String(message.offset);
+  }
+}
+
+/**
+ * Gets the context passed to a strategy with a pool update: its open position in the pool
+ */
+function getStrategyContext(strategy, poolData) {
+  const position = tradeSimulator.getOpenPositions(strategy.id)
+    .find(open => open.poolAddress === poolData.poolAddress);
+  return { position: position || null };
+}
+
+/**
+ * Runs every registered strategy against a processed pool update
+ */
+async function runStrategies(strategyResult) {
+  for (const strategy of strategyRegistry.getStrategies()) {
+    // Stop-loss / take-profit exits take precedence over new strategy orders
+    for (const intent of riskManager.checkPositions(strategy.id, strategyResult.poolData)) {
+      await executeStrategy(strategy, intent, strategyResult);
+    }
+
+    let intents;
+    try {
+      intents = strategy.onPoolUpdate(strategyResult, strategy.params, getStrategyContext(strategy, strategyResult.poolData)) || [];
+    } catch (error) {
+      strategyLog.error('Strategy failed on pool update', { strategy: strategy.id, pool: strategyResult.poolData.poolAddress, error });
+      continue;
+    }
+
+    for (const intent of intents) {
+      await executeStrategy(strategy, intent, strategyResult);
+    }
+  }
+}
+
+/**
+ * Executes an order intent returned by a strategy
+ */
+async function executeStrategy(strategy, intent, strategyResult) {
+  const { poolData, slope, deltaSlope } = strategyResult;
+  const { side, slippage } = intent;
+
+  let decision = { approved: true, size: intent.size, reason: intent.reason || null };
+  if (intent.forced) {
+    strategyLog.info(`${side} forced by risk manager`, { strategy: strategy.id, pool: poolData.poolAddress, signal: side, reason: intent.reason });
+  } else {
+    strategyLog.info(`${side} signal detected`, { strategy: strategy.id, rule: intent.rule, pool: poolData.poolAddress, signal: side, slope, deltaSlope });
+    decision = riskManager.checkOrder(strategy.id, intent, poolData);
+  }
+
+  const signal = {
+    timestamp: eventClock.now(),
+    blockNumber: poolData.blockNumber,
+    transactionHash: poolData.transactionHash,
+    strategy: strategy.id,
+    poolAddress: poolData.poolAddress,
+    pair: poolData.pair,
+    side,
+    size: intent.size,
+    slippage,
+    chunks: intent.chunks || 1,
+    slope,
+    deltaSlope,
+    forced: Boolean(intent.forced),
+    approved: decision.approved,
+    approvedSize: decision.size,
+    reason: decision.reason
+  };
+  resultsWriter.writeSignal(signal);
+  prometheusMetrics.increment('signals_total', {
+    strategy: strategy.id,
+    side,
+    decision: intent.forced ? 'forced' : (decision.approved ? 'approved' : 'rejected')
+  });
+  emitter.emit('signal', signal);
+
+  if (!decision.approved) {
+    return;
+  }
+  const size = decision.size;
+
+  const chunkCount = Math.max(1, Math.floor(intent.chunks || 1));
+  const chunkSize = size / chunkCount;
+
+  let executed = false;
+  try {
+    for (let i = 0; i < chunkCount; i++) {
+      const chunkLabel = chunkCount > 1 ? ` chunk ${i + 1}/${chunkCount}` : ' executed';
+
+      let trade;
+      if (side === 'BUY') {
+        trade = tradeSimulator.executeBuy(poolData, chunkSize, slippage, strategy.id);
+      } else if (side === 'SELL') {
+        trade = tradeSimulator.executeSell(poolData, chunkSize, slippage, strategy.id);
+      } else {
+        strategyLog.warn('Ignoring intent with unknown side', { strategy: strategy.id, side });
+        return;
+      }
+
+      if (trade) {
+        executed = true;
+        riskManager.recordTrade(strategy.id, trade);
+        prometheusMetrics.increment('trades_total', { strategy: strategy.id, side });
+        const pnl = tradeSimulator.calculatePnL(trade);
+        resultsWriter.writeTrade(trade, pnl);
+        emitter.emit('trade', { trade, pnl });
+        const closed = trade.closedLots.length > 0;
+        tradeLog.info(`${side}${chunkLabel}`, {
+          tradeId: trade.id,
+          strategy: strategy.id,
+          pool: trade.poolAddress,
+          amount: trade.amount,
+          price: trade.price,
+          slippage,
+          fees: trade.costs.total,
+          closedLots: closed ? trade.closedLots.map(lot => lot.lotId).join('|') : undefined,
+          pnl: closed ? pnl : undefined,
+          netPosition: trade.netPosition
+        });
+      }
+    }
+  } catch (error) {
+    strategyLog.error(`Error executing ${side}`, { strategy: strategy.id, pool: poolData.poolAddress, error });
+  }
+
+  if (intent.forced) {
+    riskManager.completeForcedExit(strategy.id, intent, poolData, executed);
+  }
+}
+
+/**
+ * Samples the mark-to-market equity of every portfolio
+ */
+function recordEquity() {
+  const now = eventClock.now();
+  for (const portfolioId of tradeSimulator.getPortfolioIds()) {
+    performanceMetrics.recordEquity(portfolioId, now);
+  }
+  resultsWriter.writeEquitySnapshots(now, getEquitySnapshots);
+}
+
+/**
+ * Gets the current equity snapshot of every portfolio
+ */
+function getEquitySnapshots() {
+  return tradeSimulator.getPortfolioIds().map(portfolioId => {
+    const equity = tradeSimulator.getEquity(portfolioId);
+    const metrics = performanceMetrics.computeMetrics(portfolioId);
+    return {
+      strategy: portfolioId,
+      equity: equity.equity,
+      realizedPnL: equity.realized,
+      unrealizedPnL: equity.unrealized,
+      exposure: equity.exposure,
+      maxDrawdown: metrics.maxDrawdown,
+      sharpeRatio: metrics.sharpeRatio,
+      trades: tradeSimulator.getPerformanceSummary(portfolioId).totalTrades
+    };
+  });
+}
+
+/**
+ * Builds the final run summary stored in the results manifest
+ */
+function buildRunSummary() {
+  const { trades, ...overall } = tradeSimulator.getPerformanceSummary();
+  return {
+    messagesProcessed: messageCount,
+    overall,
+    portfolios: tradeSimulator.getComparisonTable().map(row => ({
+      ...row,
+      risk: riskManager.getRiskSummary(row.portfolioId),
+      metrics: performanceMetrics.computeMetrics(row.portfolioId)
+    }))
+  };
+}
+
+/**
+ * Writes final equity snapshots and closes the results run, if one is open
+ */
+async function closeResults() {
+  if (!resultsWriter.getRunDir()) {
+    return;
+  }
+  resultsWriter.writeEquitySnapshots(eventClock.now(), getEquitySnapshots, true);
+  await resultsWriter.closeRun(buildRunSummary());
+}
+
+/**
+ * Formats a possibly missing number
+ */
+function formatNumber(value, digits) {
+  if (value === null || value === undefined) {
+    return 'N/A';
+  }
+  return Number.isFinite(value) ? value.toFixed(digits) : String(value);
+}
+
+/**
+ * Logs equity-curve and trade metrics of every portfolio
+ */
+function logMetrics() {
+  for (const portfolioId of tradeSimulator.getPortfolioIds()) {
+    const m = performanceMetrics.computeMetrics(portfolioId);
+    console.log(`[${portfolioId}] Equity: ${formatNumber(m.equity, 6)} (unrealized ${formatNumber(m.unrealizedPnL, 6)}), Return: ${formatNumber(m.totalReturnPct * 100, 2)}%, Max DD: ${formatNumber(m.maxDrawdown, 6)} (${formatNumber(m.maxDrawdownPct * 100, 2)}%, ${Math.round(m.maxDrawdownDurationMs / 1000)}s)`);
+    console.log(`[${portfolioId}] Sharpe: ${formatNumber(m.sharpeRatio, 2)}, Sortino: ${formatNumber(m.sortinoRatio, 2)}, Profit factor: ${formatNumber(m.profitFactor, 2)}, Expectancy: ${formatNumber(m.expectancy, 6)}, Avg hold: ${m.averageHoldingTimeMs !== null ? `${Math.round(m.averageHoldingTimeMs / 1000)}s` : 'N/A'}, Exposure: ${formatNumber(m.exposurePct * 100, 2)}%`);
+  }
+}
+
+/**
+ * Pads a table cell to a fixed width
+ */
+function pad(value, width) {
+  return String(value).padEnd(width);
+}
+
+/**
+ * Logs a side-by-side comparison of every strategy portfolio
+ */
+function logComparisonTable() {
+  const rows = tradeSimulator.getComparisonTable();
+  if (rows.length < 2) {
+    return;
+  }
+
+  const idWidth = Math.max(8, ...rows.map(row => row.portfolioId.length)) + 2;
+  console.log('--- Strategy Comparison ---');
+  console.log(`${pad('Strategy', idWidth)}${pad('Trades', 8)}${pad('Closed', 8)}${pad('Open', 6)}${pad('PnL', 14)}${pad('Win rate', 10)}${pad('Avg price', 14)}Rejected/Reduced/Forced`);
+  for (const row of rows) {
+    const risk = riskManager.getRiskSummary(row.portfolioId);
+    console.log(`${pad(row.portfolioId, idWidth)}${pad(row.totalTrades, 8)}${pad(row.closedTrades, 8)}${pad(row.openPosition, 6)}${pad(row.totalPnL.toFixed(6), 14)}${pad(`${(row.winRate * 100).toFixed(2)}%`, 10)}${pad(row.averageExecutionPrice.toFixed(6), 14)}${risk.rejected}/${risk.reduced}/${risk.forced}`);
+  }
+}
+
+/**
+ * Logs performance summary
+ * Printed as a report in pretty format, and as a single record with the run summary
+ * in JSON format
+ */
+function logPerformanceSummary() {
+  if (!log.isLevelEnabled('info')) {
+    return;
+  }
+  const summary = tradeSimulator.getPerformanceSummary();
+  const uptime = Math.floor((Date.now() - startTime) / 1000);
+  const eventTime = eventClock.getTimeRange();
+
+  if (logger.isJsonFormat()) {
+    const { overall, portfolios } = buildRunSummary();
+    log.info('Performance summary', {
+      uptime,
+      eventTimeFrom: eventTime.from !== null ? new Date(eventTime.from).toISOString() : null,
+      eventTimeTo: eventTime.to !== null ? new Date(eventTime.to).toISOString() : null,
+      messagesProcessed: messageCount,
+      overall,
+      portfolios
+    });
+    return;
+  }
+
+  console.log('\n=== Performance Summary ===');
+  console.log(`Uptime: ${uptime}s`);
+  if (eventTime.from !== null) {
+    console.log(`Event time: ${new Date(eventTime.from).toISOString()} - ${new Date(eventTime.to).toISOString()} (${Math.round((eventTime.to - eventTime.from) / 1000)}s)`);
+  }
+  console.log(`Messages processed: ${messageCount}`);
+  console.log(`Total trades: ${summary.totalTrades}`);
+  console.log(`Closed trades: ${summary.closedTrades}`);
+  console.log(`Open positions: ${summary.openPosition}`);
+  console.log(`Total PnL: ${summary.totalPnL.toFixed(6)} (gross ${summary.grossPnL.toFixed(6)}, costs ${summary.totalCosts.toFixed(6)})`);
+  console.log(`Win rate: ${(summary.winRate * 100).toFixed(2)}%`);
+  console.log(`Average execution price: ${summary.averageExecutionPrice.toFixed(6)}`);
+  const risk = tradeSimulator.getPortfolioIds()
+    .map(riskManager.getRiskSummary)
+    .reduce((total, r) => ({
+      rejected: total.rejected + r.rejected,
+      reduced: total.reduced + r.reduced,
+      forced: total.forced + r.forced
+    }), { rejected: 0, reduced: 0, forced: 0 });
+  console.log(`Risk: ${risk.rejected} rejected, ${risk.reduced} reduced, ${risk.forced} forced`);
+  logComparisonTable();
+  console.log('--- Metrics ---');
+  logMetrics();
+  console.log('========================\n');
+}
+
+/**
+ * Initializes the strategy engine, loads the configured strategies and creates an
+ * isolated portfolio for each
+ */
+function initializePipeline(cfg) {
+  config = cfg;
+  messageCount = 0;
+  startTime = Date.now();
+  processedOffsets = {};
+  nextSummaryTime = null;
+  eventClock.resetClock();
+
+  strategyEngine.initializeStrategy(config);
+  tradeSimulator.initializeSimulator(config);
+  riskManager.initializeRiskManager(config);
+  performanceMetrics.initializeMetrics(config);
+  for (const strategy of strategyRegistry.initializeStrategies(config)) {
+    tradeSimulator.createPortfolio(strategy.id);
+  }
+}
+
+/**
+ * Opens a results run directory if results output is enabled
+ * resumeDir: run directory of a restored snapshot, continued instead of opening a new run
+ */
+function openResults(mode, source, resumeDir = null) {
+  if (!config.results.enabled) {
+    return;
+  }
+  resultsWriter.openRun(config, {
+    mode,
+    source,
+    strategies: strategyRegistry.getStrategies().map(strategy => ({
+      id: strategy.id,
+      name: strategy.name,
+      params: strategy.params
+    }))
+  }, resumeDir);
+}
+
+/**
+ * Exports the state of every module, the processed offsets and the open results run
+ */
+function exportState() {
+  return {
+    topic: config.kafka.topic,
+    messageCount,
+    offsets: { ...processedOffsets },
+    results: resultsWriter.getRunDir(),
+    modules: {
+      clock: eventClock.exportState(),
+      simulator: tradeSimulator.exportState(),
+      strategyEngine: strategyEngine.exportState(),
+      watchlist: watchlist.exportState(),
+      risk: riskManager.exportState(),
+      metrics: performanceMetrics.exportState()
+    }
+  };
+}
+
+/**
+ * Saves a state snapshot, if the state store is enabled
+ */
+function saveState() {
+  if (stateStore.isEnabled()) {
+    stateStore.saveSnapshot(exportState());
+  }
+}
+
+/**
+ * Restores module state from the latest snapshot, if the state store is enabled and
+ * config.state.resume is set. Call after initializePipeline.
+ * Only portfolios of currently configured strategies are restored.
+ * Returns the restored snapshot ({ offsets, results, ... }) or null
+ */
+function restoreState() {
+  if (!stateStore.isEnabled() || !config.state.resume) {
+    return null;
+  }
+
+  const snapshot = stateStore.loadSnapshot();
+  if (!snapshot) {
+    log.info('No state snapshot found, starting fresh');
+    return null;
+  }
+  if (snapshot.topic !== config.kafka.topic) {
+    log.warn('Ignoring state snapshot of another topic, starting fresh', { snapshotTopic: snapshot.topic, topic: config.kafka.topic });
+    return null;
+  }
+
+  const { modules } = snapshot;
+  const portfolioIds = tradeSimulator.getPortfolioIds();
+  eventClock.importState(modules.clock || {});
+  const skipped = tradeSimulator.importState(modules.simulator, portfolioIds);
+  strategyEngine.importState(modules.strategyEngine);
+  watchlist.importState(modules.watchlist);
+  riskManager.importState(modules.risk, portfolioIds);
+  performanceMetrics.importState(modules.metrics, portfolioIds);
+
+  messageCount = snapshot.messageCount || 0;
+  processedOffsets = { ...snapshot.offsets };
+
+  if (skipped.length > 0) {
+    log.warn('Snapshot portfolios not restored (no longer configured)', { portfolios: skipped.join(',') });
+  }
+  const trades = portfolioIds.reduce((sum, portfolioId) => sum + tradeSimulator.getPerformanceSummary(portfolioId).totalTrades, 0);
+  const restored = modules.simulator.portfolios.length - skipped.length;
+  log.info('Restored state', { portfolios: restored, trades, messagesProcessed: messageCount });
+  return snapshot;
+}
+
+/**
+ * Counts a message that bypasses processing (record-only mode); its Kafka timestamp
+ * drives the event clock and the periodic summaries
+ */
+function countMessage(message) {
+  messageCount++;
+  prometheusMetrics.increment('messages_consumed_total');
+  eventClock.advanceClock(parseKafkaTimestamp(message.timestamp));
+  logSummaryIfDue();
+}
+
+/**
+ * Gets the number of messages handled
+ */
+function getMessageCount() {
+  return messageCount;
+}
+
+/**
+ * Gets the wall-clock time the pipeline was initialized (ms since epoch)
+ */
+function getStartTime() {
+  return startTime;
+}
+
+/**
+ * Get the event emitter for listening to pipeline events
+ */
+function getPipelineEmitter() {
+  return emitter;
+}
+
+module.exports = {
+  initializePipeline,
+  handleMessage,
+  countMessage,
+  getMessageCount,
+  getStartTime,
+  getEquitySnapshots,
+  getPipelineEmitter,
+  logPerformanceSummary,
+  buildRunSummary,
+  openResults,
+  closeResults,
+  saveState,
+  restoreState
+};
@@ -0,0 +1,209 @@
+/**
+ * Position book module
+ * Tracks open lots per pool and applies fills with FIFO or average-cost accounting
+ *
+ * Long positions are built from BUY lots and closed by SELLs; with shorting enabled,
+ * a SELL beyond the long position opens a short lot that later BUYs close.
+ */
+
+// Shared state
+let lotCounter = 0;
+
+/**
+ * Creates an empty position book
+ */
+function createBook() {
+  return {
+    positions: new Map()
+  };
+}
+
+/**
+ * Gets (or creates) the position of a pool
+ */
+function getPosition(book, poolAddress) {
+  if (!book.positions.has(poolAddress)) {
+    book.positions.set(poolAddress, {
+      poolAddress,
+      lots: [],
+      realizedPnL: 0
+    });
+  }
+  return book.positions.get(poolAddress);
+}
+
+/**
+ * Gets the net position of a pool (positive = long, negative = short)
+ */
+function getNetPosition(book, poolAddress) {
+  const position = book.positions.get(poolAddress);
+  if (!position) {
+    return 0;
+  }
+  return position.lots.reduce((sum, lot) => sum + (lot.side === 'LONG' ? lot.amount : -lot.amount), 0);
+}
+
+/**
+ * Gets the amount-weighted average entry price of the open lots of a pool
+ */
+function getAverageEntryPrice(book, poolAddress) {
+  const position = book.positions.get(poolAddress);
+  if (!position || position.lots.length === 0) {
+    return null;
+  }
+  const amount = position.lots.reduce((sum, lot) => sum + lot.amount, 0);
+  const cost = position.lots.reduce((sum, lot) => sum + lot.amount * lot.price, 0);
+  return amount > 0 ? cost / amount : null;
+}
+
+/**
+ * Gets every pool with open lots
+ */
+function getOpenPositions(book) {
+  return Array.from(book.positions.values())
+    .filter(position => position.lots.length > 0)
+    .map(position => ({
+      poolAddress: position.poolAddress,
+      side: position.lots[0].side,
+      netAmount: getNetPosition(book, position.poolAddress),
+      averageEntryPrice: getAverageEntryPrice(book, position.poolAddress),
+      realizedPnL: position.realizedPnL,
+      lots: position.lots.map(lot => ({ ...lot }))
+    }));
+}
+
+/**
+ * Gets the part of an order the book can fill: all of it, except that without
+ * shorting a SELL is capped at the long position
+ */
+function getFillableAmount(book, poolAddress, side, amount, options = {}) {
+  if (side === 'BUY' || options.allowShort) {
+    return amount;
+  }
+  return Math.min(amount, Math.max(0, getNetPosition(book, poolAddress)));
+}
+
+/**
+ * Applies a fill to the book
+ * fill: { tradeId, poolAddress, side: 'BUY' | 'SELL', amount, price, timestamp }
+ * options: { costBasis: 'FIFO' | 'AVERAGE', allowShort }
+ *
+ * Returns { filledAmount, closedLots, openedLot, realizedPnL }, where closedLots lists
+ * each lot (fully or partially) consumed with the amount taken and its PnL.
+ * Without shorting, a SELL is filled only up to the long position.
+ */
+function applyFill(book, fill, options = {}) {
+  const costBasis = options.costBasis || 'FIFO';
+  const position = getPosition(book, fill.poolAddress);
+  const closingSide = fill.side === 'BUY' ? 'SHORT' : 'LONG';
+  const direction = closingSide === 'LONG' ? 1 : -1;
+
+  // Average cost: every closed unit uses the average entry price of the open lots
+  const averageEntryPrice = getAverageEntryPrice(book, fill.poolAddress);
+
+  const closedLots = [];
+  let remaining = fill.amount;
+  let realizedPnL = 0;
+
+  while (remaining > 0 && position.lots.length > 0 && position.lots[0].side === closingSide) {
+    const lot = position.lots[0];
+    const amount = Math.min(lot.amount, remaining);
+    const entryPrice = costBasis === 'AVERAGE' ? averageEntryPrice : lot.price;
+    const pnl = (fill.price - entryPrice) * amount * direction;
+
+    closedLots.push({
+      lotId: lot.lotId,
+      openTradeId: lot.tradeId,
+      amount,
+      entryPrice,
+      exitPrice: fill.price,
+      entryTimestamp: lot.timestamp,
+      exitTimestamp: fill.timestamp,
+      pnl
+    });
+
+    lot.amount -= amount;
+    remaining -= amount;
+    realizedPnL += pnl;
+
+    if (lot.amount <= 1e-12) {
+      position.lots.shift();
+    }
+  }
+
+  // Average cost: the remaining lots carry the average they were closed at, so later
+  // closes and unrealized PnL use the same basis
+  if (costBasis === 'AVERAGE' && closedLots.length > 0) {
+    for (const lot of position.lots) {
+      if (lot.side === closingSide) {
+        lot.price = averageEntryPrice;
+      }
+    }
+  }
+
+  let openedLot = null;
+  const canOpen = fill.side === 'BUY' || options.allowShort;
+  if (remaining > 1e-12 && canOpen) {
+    openedLot = {
+      lotId: `lot-${++lotCounter}`,
+      tradeId: fill.tradeId,
+      side: fill.side === 'BUY' ? 'LONG' : 'SHORT',
+      amount: remaining,
+      originalAmount: remaining,
+      price: fill.price,
+      timestamp: fill.timestamp
+    };
+    position.lots.push(openedLot);
+    remaining = 0;
+  }
+
+  position.realizedPnL += realizedPnL;
+
+  return {
+    filledAmount: fill.amount - remaining,
+    closedLots,
+    openedLot: openedLot ? { ...openedLot } : null,
+    realizedPnL
+  };
+}
+
+/**
+ * Exports a position book as plain data for state snapshots
+ */
+function exportBook(book) {
+  return { positions: Array.from(book.positions.values()) };
+}
+
+/**
+ * Restores a position book from exported data
+ */
+function importBook(data) {
+  return { positions: new Map(data.positions.map(position => [position.poolAddress, position])) };
+}
+
+/**
+ * Exports the lot counter, so restored books keep unique lot IDs
+ */
+function exportState() {
+  return { lotCounter };
+}
+
+/**
+ * Restores the lot counter
+ */
+function importState(state) {
+  lotCounter = state.lotCounter || 0;
+}
+
+module.exports = {
+  createBook,
+  applyFill,
+  getFillableAmount,
+  getNetPosition,
+  getAverageEntryPrice,
+  getOpenPositions,
+  exportBook,
+  importBook,
+  exportState,
+  importState
+};
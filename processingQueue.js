@@ -0,0 +1,128 @@
+/**
+ * Processing queue module
+ * Decouples consuming messages from processing them: consumed messages are queued
+ * and handled one at a time, strictly in arrival order, so updates of a partition
+ * (and of a pool) are never processed concurrently or out of order. Slope and
+ * deltaSlope depend on the previous update of a pool, so ordering matters.
+ *
+ * The queue is bounded: it reports 'full' once maxSize messages are waiting (the
+ * consumer pauses fetching) and 'resume' once it has drained to resumeSize.
+ *
+ * Events: 'full', 'resume', 'error' (handler errors, with the failed message)
+ */
+
+const EventEmitter = require('events');
+
+// Shared state
+let handler = null;
+let maxSize = 1000;
+let resumeSize = 500;
+let queue = [];
+let processing = false;
+let full = false;
+let idleWaiters = [];
+let stats = { enqueued: 0, processed: 0, maxDepth: 0, pauses: 0 };
+const emitter = new EventEmitter();
+
+/**
+ * Initializes the queue with the message handler (awaited for each message) and
+ * the queue limits from config.queue
+ */
+function initializeQueue(messageHandler, config) {
+  handler = messageHandler;
+  maxSize = config.queue.maxSize;
+  resumeSize = config.queue.resumeSize;
+  queue = [];
+  full = false;
+  stats = { enqueued: 0, processed: 0, maxDepth: 0, pauses: 0 };
+}
+
+/**
+ * Checks whether the queue has reached its maximum size
+ */
+function isFull() {
+  return full;
+}
+
+/**
+ * Adds a message to the queue and starts processing if idle
+ */
+function enqueue(message) {
+  queue.push(message);
+  stats.enqueued++;
+  stats.maxDepth = Math.max(stats.maxDepth, queue.length);
+
+  if (!full && queue.length >= maxSize) {
+    full = true;
+    stats.pauses++;
+    emitter.emit('full', queue.length);
+  }
+  if (!processing) {
+    processQueue();
+  }
+}
+
+/**
+ * Processes queued messages one at a time until the queue is empty
+ */
+async function processQueue() {
+  processing = true;
+  while (queue.length > 0) {
+    const message = queue.shift();
+    try {
+      await handler(message);
+    } catch (error) {
+      emitter.emit('error', error, message);
+    }
+    stats.processed++;
+
+    if (full && queue.length <= resumeSize) {
+      full = false;
+      emitter.emit('resume', queue.length);
+    }
+  }
+  processing = false;
+
+  const waiters = idleWaiters;
+  idleWaiters = [];
+  waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Resolves once every queued message has been processed
+ */
+function waitForIdle() {
+  if (!processing && queue.length === 0) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => idleWaiters.push(resolve));
+}
+
+/**
+ * Gets the queue depth, limits and counters
+ */
+function getQueueStatus() {
+  return {
+    depth: queue.length,
+    maxSize,
+    resumeSize,
+    full,
+    ...stats
+  };
+}
+
+/**
+ * Get the event emitter for listening to queue events
+ */
+function getQueueEmitter() {
+  return emitter;
+}
+
+module.exports = {
+  initializeQueue,
+  isFull,
+  enqueue,
+  waitForIdle,
+  getQueueStatus,
+  getQueueEmitter
+};
@@ -0,0 +1,208 @@
+/**
+ * Prometheus metrics module
+ * Counters, gauges and histograms describing consumer, engine and simulator
+ * health, rendered in the Prometheus text exposition format for the monitor
+ * server's /metrics endpoint. Modules update them as they process messages;
+ * gauges of the current state (PnL, exposure, lag) are refreshed by collectors
+ * right before rendering.
+ *
+ * Counters and histograms accumulate over the lifetime of the process.
+ */
+
+const logger = require('./logger');
+
+const log = logger.createLogger('Prometheus');
+
+const PREFIX = 'strategy_tester_';
+
+// Handler latency buckets, in seconds
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const DEFINITIONS = {
+  messages_consumed_total: { type: 'counter', help: 'Messages received by the message handler' },
+  messages_decoded_total: { type: 'counter', help: 'Messages decoded successfully' },
+  decode_failures_total: { type: 'counter', help: 'Messages that failed Protobuf decoding' },
+  messages_filtered_total: { type: 'counter', help: 'Decoded messages without any processed pool event' },
+  pool_events_total: { type: 'counter', help: 'Pool events by extraction result (processed, unwatched, no_quote_rate)', labels: ['result'] },
+  null_slopes_total: { type: 'counter', help: 'Processed pool updates without a slope', labels: ['pool'] },
+  signals_total: { type: 'counter', help: 'Strategy order intents by side and risk decision', labels: ['strategy', 'side', 'decision'] },
+  trades_total: { type: 'counter', help: 'Executed trades (or chunks) by strategy and side', labels: ['strategy', 'side'] },
+  handler_duration_seconds: { type: 'histogram', help: 'Time to process one message, from decoding to trades', buckets: LATENCY_BUCKETS },
+  realized_pnl: { type: 'gauge', help: 'Realized PnL net of costs by strategy (USD)', labels: ['strategy'] },
+  unrealized_pnl: { type: 'gauge', help: 'Unrealized PnL of open positions by strategy (USD)', labels: ['strategy'] },
+  open_exposure: { type: 'gauge', help: 'Open position exposure at the latest prices by strategy (USD)', labels: ['strategy'] },
+  consumer_lag: { type: 'gauge', help: 'Messages behind the partition high watermark', labels: ['topic', 'partition'] },
+  queue_depth: { type: 'gauge', help: 'Messages waiting in the processing queue' },
+  consumer_paused: { type: 'gauge', help: '1 while consumption is paused for backpressure' },
+  consumer_health: { type: 'gauge', help: '1 for the current consumer health state, 0 for the others', labels: ['state'] },
+  consumer_restarts_total: { type: 'counter', help: 'Consumer restarts by trigger (crash, disconnect, stall)', labels: ['reason'] },
+  last_event_timestamp_seconds: { type: 'gauge', help: 'Event time of the last processed message' },
+  alerts_total: { type: 'counter', help: 'Alerts by event type and result (sent, deduplicated, throttled)', labels: ['type', 'result'] },
+  alert_sink_failures_total: { type: 'counter', help: 'Failed alert deliveries by sink', labels: ['sink'] }
+};
+
+// Shared state
+const series = new Map(); // metric name -> Map(label key -> { labels, value } or histogram state)
+let collectors = [];
+
+/**
+ * Gets the series of a metric, validating its name
+ */
+function getSeries(name) {
+  if (!DEFINITIONS[name]) {
+    throw new Error(`Unknown metric ${name}`);
+  }
+  if (!series.has(name)) {
+    series.set(name, new Map());
+  }
+  return series.get(name);
+}
+
+/**
+ * Gets (or creates) the series entry of a metric for a set of labels
+ */
+function getEntry(name, labels, create) {
+  const entries = getSeries(name);
+  const key = JSON.stringify(labels);
+  if (!entries.has(key)) {
+    entries.set(key, { labels, ...create() });
+  }
+  return entries.get(key);
+}
+
+/**
+ * Increments a counter
+ */
+function increment(name, labels = {}, value = 1) {
+  getEntry(name, labels, () => ({ value: 0 })).value += value;
+}
+
+/**
+ * Sets a gauge
+ */
+function setGauge(name, labels = {}, value) {
+  getEntry(name, labels, () => ({ value: 0 })).value = value;
+}
+
+/**
+ * Removes every series of a gauge (before a collector sets the current ones)
+ */
+function clearGauge(name) {
+  getSeries(name).clear();
+}
+
+/**
+ * Records a histogram observation
+ */
+function observe(name, labels = {}, value) {
+  const { buckets } = DEFINITIONS[name];
+  const entry = getEntry(name, labels, () => ({ counts: buckets.map(() => 0), count: 0, sum: 0 }));
+  buckets.forEach((bound, i) => {
+    if (value <= bound) {
+      entry.counts[i]++;
+    }
+  });
+  entry.count++;
+  entry.sum += value;
+}
+
+/**
+ * Starts a timer; calling the returned function records the elapsed seconds
+ */
+function startTimer(name, labels = {}) {
+  const start = process.hrtime.bigint();
+  return () => observe(name, labels, Number(process.hrtime.bigint() - start) / 1e9);
+}
+
+/**
+ * Registers a function that refreshes gauges before each render
+ */
+function registerCollector(collector) {
+  collectors.push(collector);
+}
+
+/**
+ * Removes a registered collector
+ */
+function unregisterCollector(collector) {
+  collectors = collectors.filter(c => c !== collector);
+}
+
+/**
+ * Escapes a label value for the text format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set, e.g. {strategy="A",side="BUY"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Formats a sample value
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity || value === -Infinity) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Renders every metric in the Prometheus text exposition format (version 0.0.4)
+ */
+function renderMetrics() {
+  for (const collector of collectors) {
+    try {
+      collector();
+    } catch (error) {
+      log.error('Error collecting metrics', { error });
+    }
+  }
+
+  const lines = [];
+  for (const [name, definition] of Object.entries(DEFINITIONS)) {
+    const fullName = PREFIX + name;
+    lines.push(`# HELP ${fullName} ${definition.help}`);
+    lines.push(`# TYPE ${fullName} ${definition.type}`);
+
+    const entries = Array.from(getSeries(name).values());
+    // Unlabelled counters are reported from zero
+    if (entries.length === 0 && definition.type === 'counter' && !definition.labels) {
+      lines.push(`${fullName} 0`);
+    }
+
+    for (const entry of entries) {
+      if (definition.type !== 'histogram') {
+        lines.push(`${fullName}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      definition.buckets.forEach((bound, i) => {
+        lines.push(`${fullName}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`);
+      });
+      lines.push(`${fullName}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${fullName}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${fullName}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  increment,
+  setGauge,
+  clearGauge,
+  observe,
+  startTimer,
+  registerCollector,
+  unregisterCollector,
+  renderMetrics
+};
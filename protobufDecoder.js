@@ -7,6 +7,10 @@
  */
 
 const { loadProto } = require('bitquery-protobuf-schema');
+const prometheusMetrics = require('./prometheusMetrics');
+const logger = require('./logger');
+
+const log = logger.createLogger('ProtobufDecoder');
 
 // Shared state
 let messageType = null;
@@ -29,7 +33,7 @@ async function initializeDecoder(topic) {
   try {
     messageType = await loadProto(topic);
     initialized = true;
-    console.log(`[ProtobufDecoder] Loaded schema for topic: ${topic}`);
+    log.info('Loaded schema', { topic });
   } catch (error) {
     throw new Error(`Failed to load Protobuf schema for topic ${topic}: ${error.message}`);
   }
@@ -87,6 +91,7 @@ function decodeMessage(messageBuffer) {
     // Step 3: Convert Buffer fields to hex strings (with 0x prefix for EVM)
     return convertBytesToHex(obj);
   } catch (error) {
+    prometheusMetrics.increment('decode_failures_total');
     throw new Error(`Failed to decode Protobuf message: ${error.message}`);
   }
 }
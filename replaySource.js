@@ -0,0 +1,345 @@
+/**
+ * Replay source module
+ * Reads previously recorded raw DEXPool messages from disk and emits them in the
+ * same shape as kafkaConsumer, so strategies can be backtested offline
+ *
+ * Recording format: one JSON object per line (optionally gzip-compressed, .gz)
+ *   { "topic": "...", "partition": 0, "offset": "123", "timestamp": "1700000000000", "value": "<base64>" }
+ *
+ * A recording can also be an archive directory written by streamRecorder, in which
+ * case its index is used to select the segments overlapping the requested time range.
+ *
+ * Compressed files are read one gzip member at a time: a member that cannot be
+ * decompressed (e.g. cut short by a crash, with later members appended after it)
+ * is logged and skipped after recovering what it holds, instead of failing the file.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Readable } = require('stream');
+const EventEmitter = require('events');
+const streamRecorder = require('./streamRecorder');
+const logger = require('./logger');
+
+const log = logger.createLogger('ReplaySource');
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b, 0x08]);
+const GZIP_TRAILER_BYTES = 8; // CRC32 and uncompressed size
+const GZIP_HEADER_READ_BYTES = 4096;
+const SCAN_CHUNK_BYTES = 64 * 1024;
+
+// Shared state
+let running = false;
+const emitter = new EventEmitter();
+
+/**
+ * Converts a Kafka timestamp (string or number) to milliseconds since epoch
+ */
+function toMillis(timestamp) {
+  const value = typeof timestamp === 'string' ? parseInt(timestamp, 10) : timestamp;
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parses a single recorded line into a message object
+ */
+function parseRecord(line) {
+  const record = JSON.parse(line);
+
+  if (!record.value) {
+    throw new Error('Recorded message has no value');
+  }
+
+  return {
+    topic: record.topic,
+    partition: record.partition,
+    offset: record.offset,
+    timestamp: record.timestamp,
+    value: Buffer.from(record.value, 'base64')
+  };
+}
+
+/**
+ * Gets the length of the gzip member header at the start of a buffer, or 0 if the
+ * buffer does not start with a complete header
+ */
+function getGzipHeaderLength(buffer) {
+  if (buffer.length < 10 || buffer.compare(GZIP_MAGIC, 0, GZIP_MAGIC.length, 0, GZIP_MAGIC.length) !== 0) {
+    return 0;
+  }
+  const flags = buffer[3];
+  let length = 10;
+  if (flags & 0x04) { // FEXTRA
+    length = length + 2 <= buffer.length ? length + 2 + buffer.readUInt16LE(length) : Infinity;
+  }
+  for (const flag of [0x08, 0x10]) { // FNAME, FCOMMENT: zero-terminated
+    if (flags & flag) {
+      const end = buffer.indexOf(0, length);
+      length = end >= 0 ? end + 1 : Infinity;
+    }
+  }
+  if (flags & 0x02) { // FHCRC
+    length += 2;
+  }
+  return length <= buffer.length ? length : 0;
+}
+
+/**
+ * Finds the next gzip member header at or after a file position, or -1 if there is none
+ */
+async function findGzipMember(handle, position) {
+  const chunk = Buffer.alloc(SCAN_CHUNK_BYTES);
+  for (;;) {
+    const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+    if (bytesRead < GZIP_MAGIC.length) {
+      return -1;
+    }
+    const found = chunk.subarray(0, bytesRead).indexOf(GZIP_MAGIC);
+    if (found >= 0) {
+      return position + found;
+    }
+    position += bytesRead - (GZIP_MAGIC.length - 1);
+  }
+}
+
+/**
+ * Inflates the deflate data of a gzip member from start up to end (exclusive, default:
+ * end of file), yielding the output; inflation stops at the end of the member's data
+ * progress: { output, consumed } bytes produced and compressed bytes used
+ */
+async function* inflateMember(filePath, start, end, progress) {
+  const input = fs.createReadStream(filePath, { start, end: end === undefined ? Infinity : end - 1 });
+  const inflate = zlib.createInflateRaw({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  input.pipe(inflate);
+  try {
+    for await (const chunk of inflate) {
+      progress.output += chunk.length;
+      yield chunk;
+    }
+    progress.consumed = inflate.bytesWritten;
+  } finally {
+    input.destroy();
+  }
+}
+
+/**
+ * Decompresses a gzip file member by member
+ * A member that fails to inflate is skipped after yielding what it holds up to the
+ * next member, so one interrupted recorder session does not make the rest unreadable
+ */
+async function* readGzip(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    let position = 0;
+
+    while (position < size) {
+      const header = Buffer.alloc(Math.min(GZIP_HEADER_READ_BYTES, size - position));
+      await handle.read(header, 0, header.length, position);
+      const headerLength = getGzipHeaderLength(header);
+      if (headerLength === 0) {
+        if (position === 0) {
+          throw new Error('not a gzip file');
+        }
+        const next = await findGzipMember(handle, position + 1);
+        log.warn('Skipping data between gzip members', { file: filePath, offset: position, bytes: (next >= 0 ? next : size) - position });
+        if (next < 0) {
+          break;
+        }
+        position = next;
+        continue;
+      }
+
+      const dataStart = position + headerLength;
+      const progress = { output: 0, consumed: 0 };
+      try {
+        yield* inflateMember(filePath, dataStart, undefined, progress);
+        position = dataStart + progress.consumed + GZIP_TRAILER_BYTES;
+      } catch (error) {
+        const next = await findGzipMember(handle, dataStart);
+        log.warn('Skipping corrupt gzip member', { file: filePath, offset: position, error: error.message });
+
+        // Inflating only up to the next member recovers the data of a truncated one;
+        // the output already yielded is skipped
+        let skip = progress.output;
+        try {
+          for await (const chunk of inflateMember(filePath, dataStart, next >= 0 ? next : size, { output: 0, consumed: 0 })) {
+            if (skip < chunk.length) {
+              yield chunk.subarray(skip);
+            }
+            skip = Math.max(0, skip - chunk.length);
+          }
+        } catch (retryError) {
+          // Nothing more can be recovered from this member
+        }
+        // Ends a partial last line, so it does not run into the next member's first line
+        yield Buffer.from('\n');
+
+        if (next < 0) {
+          break;
+        }
+        position = next;
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Reads a recording file and yields messages in file order
+ */
+async function* readRecording(filePath) {
+  const input = filePath.endsWith('.gz') ? Readable.from(readGzip(filePath)) : fs.createReadStream(filePath);
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      yield parseRecord(line);
+    } catch (error) {
+      log.warn('Skipping malformed record', { file: filePath, line: lineNumber, error: error.message });
+    }
+  }
+}
+
+/**
+ * Reads a recording file or archive directory and yields messages within [from, to] (ms)
+ */
+async function* readSource(sourcePath, range = {}) {
+  const from = range.from !== undefined && range.from !== null ? range.from : -Infinity;
+  const to = range.to !== undefined && range.to !== null ? range.to : Infinity;
+
+  const files = fs.statSync(sourcePath).isDirectory()
+    ? streamRecorder.findSegments(sourcePath, range.from, range.to).map(segment => segment.path)
+    : [sourcePath];
+
+  for (const file of files) {
+    for await (const msg of readRecording(file)) {
+      const timestamp = toMillis(msg.timestamp);
+      if (timestamp !== null && (timestamp < from || timestamp > to)) {
+        continue;
+      }
+      yield msg;
+    }
+  }
+}
+
+/**
+ * Gets the first and last message timestamps (ms) of a recording file or archive directory
+ * Archives are answered from their index; files are scanned
+ */
+async function getTimeRange(sourcePath) {
+  let first = null;
+  let last = null;
+
+  if (fs.statSync(sourcePath).isDirectory()) {
+    for (const segment of streamRecorder.readIndex(sourcePath).segments) {
+      if (segment.firstTimestamp !== null && (first === null || segment.firstTimestamp < first)) {
+        first = segment.firstTimestamp;
+      }
+      if (segment.lastTimestamp !== null && (last === null || segment.lastTimestamp > last)) {
+        last = segment.lastTimestamp;
+      }
+    }
+    return { from: first, to: last };
+  }
+
+  for await (const msg of readRecording(sourcePath)) {
+    const timestamp = toMillis(msg.timestamp);
+    if (timestamp === null) {
+      continue;
+    }
+    first = first === null ? timestamp : Math.min(first, timestamp);
+    last = last === null ? timestamp : Math.max(last, timestamp);
+  }
+  return { from: first, to: last };
+}
+
+/**
+ * Waits for the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Replays a recording file or archive, awaiting onMessage for each message so processing stays ordered
+ * speed: 0 replays as fast as possible, otherwise recorded gaps are divided by speed
+ * from/to: optional time range (ms since epoch) to replay
+ */
+async function startReplay(filePath, options = {}) {
+  const speed = options.speed || 0;
+  const onMessage = options.onMessage;
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Recording not found: ${filePath}`);
+  }
+
+  running = true;
+  let replayed = 0;
+  let previousTimestamp = null;
+
+  log.info('Replaying', { file: filePath, speed: speed > 0 ? `${speed}x` : 'max' });
+
+  try {
+    for await (const msg of readSource(filePath, { from: options.from, to: options.to })) {
+      if (!running) {
+        break;
+      }
+
+      const timestamp = toMillis(msg.timestamp);
+      if (speed > 0 && previousTimestamp !== null && timestamp !== null && timestamp > previousTimestamp) {
+        await sleep((timestamp - previousTimestamp) / speed);
+      }
+      if (timestamp !== null) {
+        previousTimestamp = timestamp;
+      }
+
+      replayed++;
+      emitter.emit('message', msg);
+      if (onMessage) {
+        await onMessage(msg);
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to replay recording ${filePath}: ${error.message}`, { cause: error });
+  } finally {
+    running = false;
+  }
+
+  log.info('Replay finished', { messages: replayed });
+  emitter.emit('end', { replayed });
+
+  return replayed;
+}
+
+/**
+ * Stops an in-progress replay after the current message
+ */
+function stopReplay() {
+  running = false;
+}
+
+/**
+ * Get the event emitter for listening to events
+ */
+function getReplayEmitter() {
+  return emitter;
+}
+
+module.exports = {
+  readRecording,
+  readSource,
+  getTimeRange,
+  startReplay,
+  stopReplay,
+  getReplayEmitter
+};
@@ -0,0 +1,259 @@
+/**
+ * Results report module
+ * Renders a report from a saved run directory (see resultsWriter.js), or from a
+ * sweep / walk-forward directory, as text, Markdown or JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_FORMATS = ['text', 'markdown', 'json'];
+
+/**
+ * Counts the records of a JSON Lines file (0 if it does not exist)
+ */
+function countRecords(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return 0;
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+  return text.split('\n').filter(line => line.trim()).length;
+}
+
+/**
+ * Finds the most recent run directory in a results base directory
+ */
+function findLatestRun(resultsDir) {
+  const runs = fs.readdirSync(resultsDir)
+    .filter(name => name.startsWith('run-') && fs.existsSync(path.join(resultsDir, name, 'manifest.json')))
+    .sort();
+  return runs.length > 0 ? path.join(resultsDir, runs[runs.length - 1]) : null;
+}
+
+/**
+ * Loads a saved results directory
+ * Accepts a run directory, a sweep or walk-forward directory, or a results base
+ * directory (its latest run is used)
+ * Returns { type: 'run' | 'sweep' | 'walkforward', dir, ... }
+ */
+function loadResults(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Results directory not found: ${dir}`);
+  }
+
+  if (fs.existsSync(path.join(dir, 'ranking.json'))) {
+    return { type: 'sweep', dir, ...JSON.parse(fs.readFileSync(path.join(dir, 'ranking.json'), 'utf8')) };
+  }
+  if (fs.existsSync(path.join(dir, 'walkforward.json'))) {
+    return { type: 'walkforward', dir, ...JSON.parse(fs.readFileSync(path.join(dir, 'walkforward.json'), 'utf8')) };
+  }
+
+  const manifestPath = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    const latest = findLatestRun(dir);
+    if (!latest) {
+      throw new Error(`No run manifest or run directories found in ${dir}`);
+    }
+    return loadResults(latest);
+  }
+
+  return {
+    type: 'run',
+    dir,
+    manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf8')),
+    tradeCount: countRecords(path.join(dir, 'trades.jsonl')),
+    signalCount: countRecords(path.join(dir, 'signals.jsonl'))
+  };
+}
+
+/**
+ * Formats a possibly missing number
+ */
+function formatNumber(value, digits) {
+  if (value === null || value === undefined) {
+    return 'N/A';
+  }
+  return Number.isFinite(value) ? value.toFixed(digits) : String(value);
+}
+
+/**
+ * Formats a fraction as a percentage
+ */
+function formatPct(value) {
+  return value === null || value === undefined ? 'N/A' : `${formatNumber(value * 100, 2)}%`;
+}
+
+/**
+ * Renders rows as an aligned text table or a Markdown table
+ */
+function renderTable(columns, rows, markdown) {
+  if (markdown) {
+    return [
+      `| ${columns.join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.join(' | ')} |`)
+    ].join('\n');
+  }
+
+  const widths = columns.map((column, i) => Math.max(column.length, ...rows.map(row => String(row[i]).length)) + 2);
+  return [columns, ...rows].map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('').trimEnd()).join('\n');
+}
+
+/**
+ * Renders a heading
+ */
+function renderHeading(title, markdown) {
+  return markdown ? `## ${title}` : `=== ${title} ===`;
+}
+
+/**
+ * Renders "label: value" lines, as a list in Markdown
+ */
+function renderFacts(facts, markdown) {
+  return facts.map(fact => (markdown ? `- ${fact}` : fact)).join('\n');
+}
+
+/**
+ * Renders the report of a single run
+ */
+function renderRun(results, markdown) {
+  const { manifest } = results;
+  const summary = manifest.summary;
+  const lines = [
+    markdown ? `# Run ${manifest.runId}` : `=== Run ${manifest.runId} ===`,
+    '',
+    renderFacts([
+      `Mode: ${manifest.mode || 'N/A'}`,
+      `Source: ${manifest.source || 'N/A'}`,
+      `Started: ${manifest.startedAt}`,
+      `Finished: ${manifest.finishedAt || 'not finished'}`,
+      `Trades recorded: ${results.tradeCount}, signals recorded: ${results.signalCount}`
+    ], markdown)
+  ];
+
+  if (!summary) {
+    lines.push('', 'No summary was recorded (the run did not shut down cleanly).');
+    return lines.join('\n');
+  }
+
+  lines.push(
+    '',
+    renderHeading('Summary', markdown),
+    '',
+    renderFacts([
+      `Messages processed: ${summary.messagesProcessed}`,
+      `Total trades: ${summary.overall.totalTrades} (${summary.overall.closedTrades} closing, ${summary.overall.openPosition} open positions)`,
+      `Total PnL: ${formatNumber(summary.overall.totalPnL, 6)} (gross ${formatNumber(summary.overall.grossPnL, 6)}, costs ${formatNumber(summary.overall.totalCosts, 6)})`,
+      `Win rate: ${formatPct(summary.overall.winRate)}`
+    ], markdown),
+    '',
+    renderHeading('Strategies', markdown),
+    '',
+    renderTable(
+      ['Strategy', 'Trades', 'Closed', 'Open', 'PnL', 'Costs', 'Win rate', 'Rejected/Reduced/Forced'],
+      summary.portfolios.map(row => [
+        row.portfolioId, row.totalTrades, row.closedTrades, row.openPosition, formatNumber(row.totalPnL, 6),
+        formatNumber(row.totalCosts, 6), formatPct(row.winRate),
+        row.risk ? `${row.risk.rejected}/${row.risk.reduced}/${row.risk.forced}` : 'N/A'
+      ]),
+      markdown
+    ),
+    '',
+    renderHeading('Metrics', markdown),
+    '',
+    renderTable(
+      ['Strategy', 'Return', 'Max DD', 'Max DD %', 'Sharpe', 'Sortino', 'Profit factor', 'Expectancy', 'Exposure'],
+      summary.portfolios.filter(row => row.metrics).map(({ portfolioId, metrics: m }) => [
+        portfolioId, formatPct(m.totalReturnPct), formatNumber(m.maxDrawdown, 6), formatPct(m.maxDrawdownPct),
+        formatNumber(m.sharpeRatio, 2), formatNumber(m.sortinoRatio, 2), formatNumber(m.profitFactor, 2),
+        formatNumber(m.expectancy, 6), formatPct(m.exposurePct)
+      ]),
+      markdown
+    )
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Renders the ranking of a sweep
+ */
+function renderSweep(results, markdown) {
+  return [
+    markdown ? `# Sweep ${path.basename(results.dir)}` : `=== Sweep ${path.basename(results.dir)} ===`,
+    '',
+    `Source: ${results.spec.source}, ranked by ${results.spec.rankBy || 'totalPnL'}`,
+    '',
+    renderTable(
+      ['#', 'Combination', 'Strategy', 'PnL', 'Trades', 'Win rate', 'Max DD', 'Sharpe', 'Sortino', 'Profit factor'],
+      results.rows.map((row, i) => [
+        i + 1, row.combination, row.strategy, formatNumber(row.totalPnL, 6), row.totalTrades, formatPct(row.winRate),
+        formatNumber(row.maxDrawdown, 6), formatNumber(row.sharpeRatio, 2), formatNumber(row.sortinoRatio, 2),
+        formatNumber(row.profitFactor, 2)
+      ]),
+      markdown
+    )
+  ].join('\n');
+}
+
+/**
+ * Renders the windows and stitched results of a walk-forward validation
+ */
+function renderWalkForward(results, markdown) {
+  const windowRows = [];
+  for (const window of results.windows) {
+    for (const [strategyId, run] of Object.entries(window.strategies)) {
+      windowRows.push([
+        window.index, new Date(window.outOfSample.from).toISOString(), strategyId, run.inSample.combination,
+        formatNumber(run.inSample.totalPnL, 6), formatNumber(run.outOfSample.row.totalPnL, 6), run.outOfSample.row.totalTrades
+      ]);
+    }
+  }
+
+  return [
+    markdown ? `# Walk-forward ${path.basename(results.dir)}` : `=== Walk-forward ${path.basename(results.dir)} ===`,
+    '',
+    `Source: ${results.spec.source}, ranked by ${results.spec.rankBy || 'totalPnL'}`,
+    '',
+    renderHeading('Windows', markdown),
+    '',
+    renderTable(['#', 'Out-of-sample from', 'Strategy', 'Combination', 'IS PnL', 'OOS PnL', 'OOS trades'], windowRows, markdown),
+    '',
+    renderHeading('Stitched Out-of-Sample', markdown),
+    '',
+    renderTable(
+      ['Strategy', 'Windows', 'Profitable', 'PnL', 'Trades', 'Win rate', 'Max DD', 'Sharpe', 'IS PnL'],
+      results.stitched.map(row => [
+        row.strategy, row.windows, row.profitableWindows, formatNumber(row.totalPnL, 6), row.totalTrades,
+        formatPct(row.winRate), formatNumber(row.maxDrawdown, 6), formatNumber(row.sharpeRatio, 2), formatNumber(row.inSamplePnL, 6)
+      ]),
+      markdown
+    )
+  ].join('\n');
+}
+
+/**
+ * Renders a report of loaded results in the given format ('text', 'markdown' or 'json')
+ */
+function renderReport(results, format = 'text') {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format '${format}' (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+  if (format === 'json') {
+    return JSON.stringify(results, null, 2);
+  }
+
+  const markdown = format === 'markdown';
+  if (results.type === 'sweep') {
+    return renderSweep(results, markdown);
+  }
+  if (results.type === 'walkforward') {
+    return renderWalkForward(results, markdown);
+  }
+  return renderRun(results, markdown);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  loadResults,
+  renderReport
+};
@@ -0,0 +1,243 @@
+/**
+ * Results writer module
+ * Persists a run's trades, signals and periodic equity snapshots to CSV and JSON
+ * Lines files in a run directory, together with a manifest of the config used
+ *
+ * Run directory layout:
+ *   <dir>/run-<timestamp>/manifest.json
+ *   <dir>/run-<timestamp>/trades.csv, trades.jsonl
+ *   <dir>/run-<timestamp>/signals.csv, signals.jsonl
+ *   <dir>/run-<timestamp>/equity.csv, equity.jsonl
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.createLogger('ResultsWriter');
+
+const TRADE_COLUMNS = [
+  'id', 'strategy', 'type', 'poolAddress', 'timestamp', 'blockNumber', 'transactionHash', 'requestedAmount', 'amount', 'price', 'slippage',
+  'impactBps', 'poolFee', 'gasCost', 'totalCost', 'realizedPnL', 'netPnL', 'netPosition', 'closedLots', 'openedLot'
+];
+const SIGNAL_COLUMNS = [
+  'timestamp', 'blockNumber', 'transactionHash', 'strategy', 'poolAddress', 'pair', 'side', 'size', 'slippage', 'chunks', 'slope', 'deltaSlope',
+  'forced', 'approved', 'approvedSize', 'reason'
+];
+const EQUITY_COLUMNS = [
+  'timestamp', 'strategy', 'equity', 'realizedPnL', 'unrealizedPnL', 'exposure', 'maxDrawdown', 'sharpeRatio', 'trades'
+];
+
+// Shared state
+let runDir = null;
+let manifest = null;
+let streams = {};
+let snapshotIntervalMs = 10000;
+let lastSnapshotTime = null;
+
+/**
+ * Escapes a value for CSV output
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Opens a CSV/JSON Lines stream pair, writing the CSV header unless appending
+ */
+function openStreamPair(name, columns, append = false) {
+  const flags = append ? 'a' : 'w';
+  const csv = fs.createWriteStream(path.join(runDir, `${name}.csv`), { flags });
+  const jsonl = fs.createWriteStream(path.join(runDir, `${name}.jsonl`), { flags });
+  if (!append) {
+    csv.write(columns.join(',') + '\n');
+  }
+  return { csv, jsonl, columns };
+}
+
+/**
+ * Writes a row to a stream pair: selected columns to CSV, the full record to JSON Lines
+ */
+function writeRow(name, row, record) {
+  const pair = streams[name];
+  if (!pair) {
+    return;
+  }
+  pair.csv.write(pair.columns.map(column => toCsvValue(row[column])).join(',') + '\n');
+  pair.jsonl.write(JSON.stringify(record || row) + '\n');
+}
+
+/**
+ * Returns a copy of the config that is safe to store (credentials redacted)
+ */
+function redactConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  if (copy.kafka) {
+    copy.kafka.password = copy.kafka.password ? '***' : '';
+  }
+  return copy;
+}
+
+/**
+ * Writes the manifest file
+ */
+function writeManifest() {
+  fs.writeFileSync(path.join(runDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Opens a new run directory and writes the initial manifest
+ * If resumeDir is an existing run directory (from a restored state snapshot), that
+ * run is continued instead: its files are appended to and the resume is recorded
+ * in the manifest
+ * Returns the run directory path
+ */
+function openRun(config, runInfo = {}, resumeDir = null) {
+  snapshotIntervalMs = config.results.equitySnapshotMs;
+  lastSnapshotTime = null;
+
+  if (resumeDir && fs.existsSync(path.join(resumeDir, 'manifest.json'))) {
+    runDir = resumeDir;
+    manifest = JSON.parse(fs.readFileSync(path.join(runDir, 'manifest.json'), 'utf8'));
+    manifest.resumedAt = (manifest.resumedAt || []).concat(new Date().toISOString());
+    manifest.finishedAt = null;
+    manifest.summary = null;
+    writeManifest();
+
+    streams = {
+      trades: openStreamPair('trades', TRADE_COLUMNS, true),
+      signals: openStreamPair('signals', SIGNAL_COLUMNS, true),
+      equity: openStreamPair('equity', EQUITY_COLUMNS, true)
+    };
+
+    log.info('Resuming results', { dir: runDir });
+    return runDir;
+  }
+
+  const startedAt = new Date();
+  const runId = `run-${startedAt.toISOString().replace(/[:.]/g, '-')}`;
+
+  runDir = path.join(config.results.dir, runId);
+  fs.mkdirSync(runDir, { recursive: true });
+
+  manifest = {
+    runId,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    ...runInfo,
+    config: redactConfig(config),
+    summary: null
+  };
+  writeManifest();
+
+  streams = {
+    trades: openStreamPair('trades', TRADE_COLUMNS),
+    signals: openStreamPair('signals', SIGNAL_COLUMNS),
+    equity: openStreamPair('equity', EQUITY_COLUMNS)
+  };
+
+  log.info('Writing results', { dir: runDir });
+  return runDir;
+}
+
+/**
+ * Writes an executed trade
+ */
+function writeTrade(trade, netPnL) {
+  const costs = trade.costs || {};
+  writeRow('trades', {
+    ...trade,
+    timestamp: new Date(trade.timestamp).toISOString(),
+    impactBps: costs.impactBps,
+    poolFee: costs.poolFee,
+    gasCost: costs.gasCost,
+    totalCost: costs.total,
+    netPnL,
+    closedLots: trade.closedLots.map(lot => lot.lotId).join('|'),
+    openedLot: trade.openedLot ? trade.openedLot.lotId : ''
+  }, { ...trade, netPnL });
+}
+
+/**
+ * Writes a strategy signal (order intent) and the risk decision taken on it
+ * signal: { timestamp, blockNumber, transactionHash, strategy, poolAddress, pair, side, size, slippage, chunks, slope, deltaSlope, forced, approved, approvedSize, reason }
+ */
+function writeSignal(signal) {
+  writeRow('signals', {
+    ...signal,
+    timestamp: new Date(signal.timestamp).toISOString()
+  }, signal);
+}
+
+/**
+ * Writes an equity snapshot row per portfolio if the snapshot interval has elapsed (or if forced)
+ * snapshots: [{ strategy, equity, realizedPnL, unrealizedPnL, exposure, maxDrawdown, sharpeRatio, trades }]
+ */
+function writeEquitySnapshots(timestamp, getSnapshots, force = false) {
+  if (!streams.equity) {
+    return;
+  }
+  if (!force && lastSnapshotTime !== null && timestamp - lastSnapshotTime < snapshotIntervalMs) {
+    return;
+  }
+
+  lastSnapshotTime = timestamp;
+  for (const snapshot of getSnapshots()) {
+    writeRow('equity', { ...snapshot, timestamp: new Date(timestamp).toISOString() }, { timestamp, ...snapshot });
+  }
+}
+
+/**
+ * Ends a stream and waits until it is flushed
+ */
+function endStream(stream) {
+  return new Promise(resolve => {
+    stream.on('finish', resolve);
+    stream.on('error', resolve);
+    stream.end();
+  });
+}
+
+/**
+ * Closes the run: flushes all files and records the final summary in the manifest
+ */
+async function closeRun(summary) {
+  if (!runDir) {
+    return;
+  }
+
+  const pending = [];
+  for (const pair of Object.values(streams)) {
+    pending.push(endStream(pair.csv), endStream(pair.jsonl));
+  }
+  await Promise.all(pending);
+  streams = {};
+
+  manifest.finishedAt = new Date().toISOString();
+  manifest.summary = summary || null;
+  writeManifest();
+
+  log.info('Results saved', { dir: runDir });
+  runDir = null;
+}
+
+/**
+ * Gets the current run directory (null if no run is open)
+ */
+function getRunDir() {
+  return runDir;
+}
+
+module.exports = {
+  openRun,
+  writeTrade,
+  writeSignal,
+  writeEquitySnapshots,
+  closeRun,
+  getRunDir,
+  toCsvValue
+};
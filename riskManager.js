@@ -0,0 +1,292 @@
+/**
+ * Risk manager module
+ * Sits between strategies and the trade simulator and enforces, per portfolio:
+ * - stop-loss and take-profit on open positions (checked on every pool update)
+ * - maximum position size per pool and maximum total exposure
+ * - maximum number of trades per time window
+ * - a cooldown after losing trades
+ *
+ * Orders that only reduce a position are never blocked by the exposure, rate or
+ * cooldown limits. Every rejected, reduced or forced order is logged with a reason
+ * and counted; a forced exit only once it has executed. A position with a forced exit
+ * in flight is not forced again until the exit fails and exitRetryMs has passed.
+ * Trade windows, cooldowns and retries run on event time (eventClock.js).
+ */
+
+const tradeSimulator = require('./tradeSimulator');
+const eventClock = require('./eventClock');
+const logger = require('./logger');
+
+const log = logger.createLogger('Risk');
+const eventLog = log.limited('riskEvent');
+
+// Shared state
+let options = {
+  stopLossPct: null,
+  takeProfitPct: null,
+  maxPositionSize: null,
+  maxTotalExposure: null,
+  maxTradesPerWindow: null,
+  tradeWindowMs: 60 * 60 * 1000,
+  lossCooldownMs: 0,
+  exitSlippage: 0.01,
+  exitRetryMs: 60 * 1000
+};
+const portfolioStates = new Map();
+const lastPrices = new Map(); // pool address -> latest best price
+
+/**
+ * Initializes the risk manager with configuration
+ */
+function initializeRiskManager(config) {
+  options = { ...options, ...config.risk };
+  portfolioStates.clear();
+  lastPrices.clear();
+}
+
+/**
+ * Gets (or creates) the risk state of a portfolio
+ */
+function getState(portfolioId) {
+  if (!portfolioStates.has(portfolioId)) {
+    portfolioStates.set(portfolioId, {
+      tradeTimes: [],
+      cooldownUntil: 0,
+      counts: { rejected: 0, reduced: 0, forced: 0 },
+      reasons: {},
+      pendingExits: {} // pool address -> event time from which a forced exit may be retried
+    });
+  }
+  return portfolioStates.get(portfolioId);
+}
+
+/**
+ * Counts and logs a risk event
+ */
+function recordEvent(portfolioId, kind, reason, detail) {
+  const state = getState(portfolioId);
+  state.counts[kind]++;
+  state.reasons[reason] = (state.reasons[reason] || 0) + 1;
+  eventLog.warn(`Order ${kind}`, { strategy: portfolioId, order: detail, reason });
+}
+
+/**
+ * Gets the best (lowest slippage) price of a pool update
+ */
+function getMarkPrice(poolData) {
+  const prices = poolData.prices || {};
+  const basisPoints = Object.keys(prices).map(k => parseInt(k)).sort((a, b) => a - b);
+  return basisPoints.length > 0 ? prices[basisPoints[0]] : null;
+}
+
+/**
+ * Gets the total absolute exposure of a portfolio in the reference currency
+ */
+function getTotalExposure(portfolioId) {
+  return tradeSimulator.getOpenPositions(portfolioId).reduce((sum, position) => {
+    const price = lastPrices.get(position.poolAddress) || position.averageEntryPrice || 0;
+    return sum + Math.abs(position.netAmount) * price;
+  }, 0);
+}
+
+/**
+ * Checks the open position of a portfolio in the updated pool against stop-loss and
+ * take-profit levels; returns forced closing order intents (with a reason)
+ */
+function checkPositions(portfolioId, poolData) {
+  const markPrice = getMarkPrice(poolData);
+  if (!markPrice) {
+    return [];
+  }
+  lastPrices.set(poolData.poolAddress, markPrice);
+
+  if (options.stopLossPct === null && options.takeProfitPct === null) {
+    return [];
+  }
+
+  const position = tradeSimulator.getOpenPositions(portfolioId)
+    .find(p => p.poolAddress === poolData.poolAddress);
+  if (!position || !position.averageEntryPrice || position.netAmount === 0) {
+    return [];
+  }
+
+  const state = getState(portfolioId);
+  const now = eventClock.now();
+  if (state.pendingExits[poolData.poolAddress] > now) {
+    return [];
+  }
+
+  const isLong = position.netAmount > 0;
+  const change = (markPrice - position.averageEntryPrice) / position.averageEntryPrice;
+  const returnPct = isLong ? change : -change;
+
+  let reason = null;
+  if (options.stopLossPct !== null && returnPct <= -options.stopLossPct) {
+    reason = `stop-loss (${(returnPct * 100).toFixed(2)}% <= -${(options.stopLossPct * 100).toFixed(2)}%)`;
+  } else if (options.takeProfitPct !== null && returnPct >= options.takeProfitPct) {
+    reason = `take-profit (${(returnPct * 100).toFixed(2)}% >= ${(options.takeProfitPct * 100).toFixed(2)}%)`;
+  }
+
+  if (!reason) {
+    return [];
+  }
+
+  const intent = {
+    side: isLong ? 'SELL' : 'BUY',
+    size: Math.abs(position.netAmount),
+    slippage: options.exitSlippage,
+    chunks: 1,
+    forced: true,
+    reason
+  };
+  state.pendingExits[poolData.poolAddress] = now + options.exitRetryMs;
+  return [intent];
+}
+
+/**
+ * Records the outcome of a forced exit returned by checkPositions: an executed exit is
+ * counted and clears the pending mark, a failed one is retried after exitRetryMs
+ */
+function completeForcedExit(portfolioId, intent, poolData, executed) {
+  const state = getState(portfolioId);
+  const reason = intent.reason.split(' ')[0];
+  if (!executed) {
+    log.warn('Forced exit failed, retrying later', { strategy: portfolioId, pool: poolData.poolAddress, reason, retryInMs: options.exitRetryMs });
+    return;
+  }
+  delete state.pendingExits[poolData.poolAddress];
+  recordEvent(portfolioId, 'forced', reason, `${intent.side} ${intent.size} on ${poolData.poolAddress}`);
+}
+
+/**
+ * Checks an order intent against the portfolio's limits
+ * Returns { approved, size, reason }; size may be reduced to fit the position limit
+ */
+function checkOrder(portfolioId, intent, poolData) {
+  const state = getState(portfolioId);
+  const now = eventClock.now();
+  const detail = `${intent.side} ${intent.size} on ${poolData.poolAddress}`;
+
+  const position = tradeSimulator.getOpenPositions(portfolioId)
+    .find(p => p.poolAddress === poolData.poolAddress);
+  const netAmount = position ? position.netAmount : 0;
+  const signedSize = intent.side === 'BUY' ? intent.size : -intent.size;
+
+  // Orders that only reduce the current position are always allowed
+  const reducesOnly = netAmount !== 0 && Math.sign(signedSize) !== Math.sign(netAmount) && intent.size <= Math.abs(netAmount);
+  if (reducesOnly) {
+    return { approved: true, size: intent.size, reason: null };
+  }
+
+  if (state.cooldownUntil > now) {
+    recordEvent(portfolioId, 'rejected', 'loss-cooldown', detail);
+    return { approved: false, size: 0, reason: 'loss-cooldown' };
+  }
+
+  if (options.maxTradesPerWindow !== null) {
+    state.tradeTimes = state.tradeTimes.filter(time => now - time < options.tradeWindowMs);
+    if (state.tradeTimes.length >= options.maxTradesPerWindow) {
+      recordEvent(portfolioId, 'rejected', 'max-trades-per-window', detail);
+      return { approved: false, size: 0, reason: 'max-trades-per-window' };
+    }
+  }
+
+  let size = intent.size;
+  let reason = null;
+
+  if (options.maxPositionSize !== null) {
+    const excess = Math.abs(netAmount + signedSize) - options.maxPositionSize;
+    const allowed = excess > 0 ? Math.max(0, size - excess) : size;
+    if (allowed <= 0) {
+      recordEvent(portfolioId, 'rejected', 'max-position-size', detail);
+      return { approved: false, size: 0, reason: 'max-position-size' };
+    }
+    if (allowed < size) {
+      size = allowed;
+      reason = 'max-position-size';
+    }
+  }
+
+  if (options.maxTotalExposure !== null) {
+    const price = getMarkPrice(poolData) || 0;
+    const headroom = options.maxTotalExposure - getTotalExposure(portfolioId);
+    const allowed = price > 0 ? Math.min(size, Math.max(0, headroom) / price) : size;
+    if (allowed <= 0) {
+      recordEvent(portfolioId, 'rejected', 'max-total-exposure', detail);
+      return { approved: false, size: 0, reason: 'max-total-exposure' };
+    }
+    if (allowed < size) {
+      size = allowed;
+      reason = 'max-total-exposure';
+    }
+  }
+
+  if (reason) {
+    recordEvent(portfolioId, 'reduced', reason, `${detail} to ${size}`);
+  }
+
+  return { approved: true, size, reason };
+}
+
+/**
+ * Records an executed trade for rate limiting and loss cooldowns
+ */
+function recordTrade(portfolioId, trade) {
+  const state = getState(portfolioId);
+  const now = eventClock.now();
+  state.tradeTimes.push(now);
+
+  if (trade.closedLots.length > 0 && tradeSimulator.calculatePnL(trade) < 0 && options.lossCooldownMs > 0) {
+    state.cooldownUntil = now + options.lossCooldownMs;
+    log.warn('Loss, cooling down', { strategy: portfolioId, tradeId: trade.id, cooldownMs: options.lossCooldownMs });
+  }
+}
+
+/**
+ * Gets the risk event counts of a portfolio
+ */
+function getRiskSummary(portfolioId) {
+  const state = getState(portfolioId);
+  return {
+    ...state.counts,
+    reasons: { ...state.reasons },
+    inCooldown: state.cooldownUntil > eventClock.now()
+  };
+}
+
+/**
+ * Exports per-portfolio risk state (trade times, cooldowns, counts) and pool prices for state snapshots
+ */
+function exportState() {
+  return {
+    portfolios: Array.from(portfolioStates.entries()),
+    lastPrices: Array.from(lastPrices.entries())
+  };
+}
+
+/**
+ * Restores exported risk state for the given portfolio IDs
+ */
+function importState(state, portfolioIds) {
+  portfolioStates.clear();
+  lastPrices.clear();
+  for (const [portfolioId, portfolioState] of state.portfolios || []) {
+    if (portfolioIds.includes(portfolioId)) {
+      portfolioStates.set(portfolioId, { pendingExits: {}, ...portfolioState });
+    }
+  }
+  for (const [poolAddress, price] of state.lastPrices || []) {
+    lastPrices.set(poolAddress, price);
+  }
+}
+
+module.exports = {
+  initializeRiskManager,
+  checkPositions,
+  completeForcedExit,
+  checkOrder,
+  recordTrade,
+  getRiskSummary,
+  exportState,
+  importState
+};
@@ -0,0 +1,342 @@
+/**
+ * Rule strategy module
+ * Loads declarative strategy specs (JSON or YAML files) and turns them into strategy
+ * plugins. A spec lists rules with conditions over the engine outputs; the strategy
+ * engine evaluates them on every pool update in place of generateSignal.
+ *
+ * Spec:
+ *   name: zscore-reversion          # optional, defaults to the file name
+ *   description: ...                # optional
+ *   params:                         # optional numeric parameters, referenced as $name;
+ *     entryZScore: -1.5             # tradeSize and slippage default to the trading config
+ *   rules:                          # evaluated in order, the first matching rule trades
+ *     - name: exit                  # optional, used in error messages
+ *       side: SELL                  # BUY or SELL
+ *       when:                       # a condition, a list of conditions (all must hold),
+ *         - position.side == LONG   # or { all: [...] }, { any: [...] }, { not: ... }
+ *         - any:
+ *             - slopeZScore >= 0
+ *             - position.return <= -0.05
+ *       size: position.size         # optional, default $tradeSize
+ *       slippage: 0.01              # optional, default $slippage
+ *       chunks: 1                   # optional, default 1
+ *
+ * A condition is "<operand> <op> <operand>" with op one of < <= > >= == !=. An operand
+ * is a number, a $param, an input (see strategyEngine.RULE_INPUTS, plus price.<bps>
+ * for a bucket price) or, with == and !=, one of BUY, SELL, LONG, SHORT, FLAT, null.
+ * Ordering comparisons with a missing (null) input are false.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const strategyEngine = require('./strategyEngine');
+
+const COMPARISONS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+const CONSTANTS = { BUY: 'BUY', SELL: 'SELL', LONG: 'LONG', SHORT: 'SHORT', FLAT: 'FLAT', null: null };
+const SPEC_KEYS = ['name', 'description', 'params', 'rules'];
+const RULE_KEYS = ['name', 'side', 'when', 'size', 'slippage', 'chunks'];
+const DEFAULT_PARAMS = ['tradeSize', 'slippage'];
+
+/**
+ * Checks whether a value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compiles an operand into { kind, type, get(inputs, params) }
+ * kind: 'number' | 'param' | 'input' | 'constant'; type: 'number' | 'string'
+ * Returns an error message instead if the operand is invalid
+ */
+function compileOperand(token, paramNames) {
+  if (typeof token === 'number') {
+    return Number.isFinite(token) ? { kind: 'number', type: 'number', get: () => token } : `invalid number ${token}`;
+  }
+  if (typeof token !== 'string' || token === '') {
+    return `expected a number, $param or input, got ${JSON.stringify(token)}`;
+  }
+
+  if (/^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(token)) {
+    const value = Number(token);
+    return { kind: 'number', type: 'number', get: () => value };
+  }
+  if (token.startsWith('$')) {
+    const name = token.slice(1);
+    if (!paramNames.includes(name)) {
+      return `unknown parameter '${token}' (defined: ${paramNames.map(p => `$${p}`).join(', ')})`;
+    }
+    return { kind: 'param', type: 'number', get: (inputs, params) => params[name] ?? null };
+  }
+  if (Object.prototype.hasOwnProperty.call(CONSTANTS, token)) {
+    const value = CONSTANTS[token];
+    return { kind: 'constant', type: value === null ? 'null' : 'string', get: () => value };
+  }
+  if (strategyEngine.RULE_INPUTS.includes(token) || /^price\.\d+$/.test(token)) {
+    const type = strategyEngine.STRING_RULE_INPUTS.includes(token) ? 'string' : 'number';
+    return { kind: 'input', type, get: inputs => inputs[token] ?? null };
+  }
+  return `unknown input '${token}' (expected one of ${strategyEngine.RULE_INPUTS.join(', ')} or price.<bps>)`;
+}
+
+/**
+ * Compiles a comparison string such as "slopeZScore <= $entryZScore" into a predicate
+ */
+function compileComparison(text, location, paramNames, errors) {
+  const match = text.match(/^\s*([^<>=!\s]+)\s*(<=|>=|==|!=|<|>)\s*([^<>=!\s]+)\s*$/);
+  if (!match) {
+    errors.push(`${location}: cannot parse condition '${text}' (expected "<operand> <op> <operand>" with op one of ${Object.keys(COMPARISONS).join(' ')})`);
+    return null;
+  }
+
+  const [, leftToken, op, rightToken] = match;
+  const left = compileOperand(leftToken, paramNames);
+  const right = compileOperand(rightToken, paramNames);
+  let valid = true;
+  for (const operand of [left, right]) {
+    if (typeof operand === 'string') {
+      errors.push(`${location}: ${operand} in '${text}'`);
+      valid = false;
+    }
+  }
+  if (!valid) {
+    return null;
+  }
+
+  const ordering = op !== '==' && op !== '!=';
+  if (ordering && (left.type !== 'number' || right.type !== 'number')) {
+    errors.push(`${location}: '${op}' needs numeric operands in '${text}'`);
+    return null;
+  }
+  if (!ordering && left.type !== 'null' && right.type !== 'null' && left.type !== right.type) {
+    errors.push(`${location}: cannot compare a ${left.type} with a ${right.type} in '${text}'`);
+    return null;
+  }
+
+  const compare = COMPARISONS[op];
+  return (inputs, params) => {
+    const a = left.get(inputs, params);
+    const b = right.get(inputs, params);
+    if (ordering && (a === null || b === null)) {
+      return false;
+    }
+    return compare(a, b);
+  };
+}
+
+/**
+ * Compiles a condition (comparison string, list, or { all | any | not }) into a predicate
+ */
+function compileCondition(condition, location, paramNames, errors) {
+  if (typeof condition === 'string') {
+    return compileComparison(condition, location, paramNames, errors);
+  }
+
+  // A list is shorthand for all
+  let combinator = 'all';
+  let value = condition;
+  let listLocation = location;
+  if (!Array.isArray(condition)) {
+    if (!isPlainObject(condition) || Object.keys(condition).length !== 1) {
+      errors.push(`${location}: expected a condition string, a list, or an object with exactly one of all, any, not`);
+      return null;
+    }
+
+    [combinator, value] = Object.entries(condition)[0];
+    listLocation = `${location}.${combinator}`;
+    if (combinator === 'not') {
+      const predicate = compileCondition(value, listLocation, paramNames, errors);
+      return predicate && ((inputs, params) => !predicate(inputs, params));
+    }
+    if (combinator !== 'all' && combinator !== 'any') {
+      errors.push(`${location}: unknown combinator '${combinator}' (expected all, any or not)`);
+      return null;
+    }
+  }
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${listLocation}: expected a non-empty list of conditions`);
+    return null;
+  }
+
+  const predicates = value.map((item, i) => compileCondition(item, `${listLocation}[${i}]`, paramNames, errors));
+  if (predicates.includes(null)) {
+    return null;
+  }
+  return combinator === 'all'
+    ? (inputs, params) => predicates.every(predicate => predicate(inputs, params))
+    : (inputs, params) => predicates.some(predicate => predicate(inputs, params));
+}
+
+/**
+ * Compiles a sizing or execution setting (number, $param or input) of a rule
+ */
+function compileSetting(value, location, paramNames, errors) {
+  const operand = compileOperand(value, paramNames);
+  if (typeof operand === 'string') {
+    errors.push(`${location}: ${operand}`);
+    return null;
+  }
+  if (operand.type !== 'number') {
+    errors.push(`${location}: expected a numeric value, got ${JSON.stringify(value)}`);
+    return null;
+  }
+  return operand.get;
+}
+
+/**
+ * Compiles a single rule, reporting problems with their location in the spec
+ */
+function compileRule(rule, index, paramNames, errors) {
+  const label = isPlainObject(rule) && typeof rule.name === 'string' ? ` (${rule.name})` : '';
+  const location = `rules[${index}]${label}`;
+  if (!isPlainObject(rule)) {
+    errors.push(`${location}: expected an object with side and when`);
+    return null;
+  }
+
+  const errorCount = errors.length;
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) {
+      errors.push(`${location}: unknown key '${key}' (expected ${RULE_KEYS.join(', ')})`);
+    }
+  }
+  if (rule.name !== undefined && typeof rule.name !== 'string') {
+    errors.push(`${location}.name: expected a string`);
+  }
+  if (rule.side !== 'BUY' && rule.side !== 'SELL') {
+    errors.push(`${location}.side: expected BUY or SELL, got ${JSON.stringify(rule.side)}`);
+  }
+
+  let condition = null;
+  if (rule.when === undefined) {
+    errors.push(`${location}.when: missing condition`);
+  } else {
+    condition = compileCondition(rule.when, `${location}.when`, paramNames, errors);
+  }
+
+  const size = compileSetting(rule.size ?? '$tradeSize', `${location}.size`, paramNames, errors);
+  const slippage = compileSetting(rule.slippage ?? '$slippage', `${location}.slippage`, paramNames, errors);
+  const chunks = compileSetting(rule.chunks ?? 1, `${location}.chunks`, paramNames, errors);
+
+  if (errors.length > errorCount) {
+    return null;
+  }
+  return { name: rule.name || `rules[${index}]`, side: rule.side, condition, size, slippage, chunks };
+}
+
+/**
+ * Validates and compiles a parsed strategy spec
+ * @throws {Error} Listing every problem found, with an `errors` array
+ */
+function compileSpec(spec, source) {
+  const errors = [];
+  let rules = [];
+
+  if (!isPlainObject(spec)) {
+    errors.push('the spec must be an object with a rules list');
+  } else {
+    for (const key of Object.keys(spec)) {
+      if (!SPEC_KEYS.includes(key)) {
+        errors.push(`unknown key '${key}' (expected ${SPEC_KEYS.join(', ')})`);
+      }
+    }
+    if (spec.name !== undefined && (typeof spec.name !== 'string' || spec.name === '')) {
+      errors.push('name: expected a non-empty string');
+    }
+    if (spec.description !== undefined && typeof spec.description !== 'string') {
+      errors.push('description: expected a string');
+    }
+
+    const params = spec.params ?? {};
+    if (!isPlainObject(params)) {
+      errors.push('params: expected an object of numeric parameters');
+    } else {
+      for (const [name, value] of Object.entries(params)) {
+        if (value !== null && !Number.isFinite(value)) {
+          errors.push(`params.${name}: expected a number or null, got ${JSON.stringify(value)}`);
+        }
+      }
+    }
+    const paramNames = [...new Set([...DEFAULT_PARAMS, ...Object.keys(isPlainObject(params) ? params : {})])];
+
+    if (!Array.isArray(spec.rules) || spec.rules.length === 0) {
+      errors.push('rules: expected a non-empty list of rules');
+    } else {
+      rules = spec.rules.map((rule, index) => compileRule(rule, index, paramNames, errors));
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid strategy spec ${source}:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return rules;
+}
+
+/**
+ * Loads a JSON or YAML strategy spec and returns a strategy plugin
+ * ({ name, description, defaultParams, onPoolUpdate }) for the strategy registry
+ */
+function loadRuleStrategy(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read strategy spec ${filePath}: ${error.message}`);
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  let spec;
+  try {
+    spec = extension === '.yaml' || extension === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse strategy spec ${filePath}: ${error.message}`);
+  }
+
+  const rules = compileSpec(spec, filePath);
+
+  return {
+    name: spec.name || path.basename(filePath, extension),
+    description: spec.description || `Rule-based strategy from ${path.basename(filePath)}`,
+
+    /**
+     * Default parameters: the trading config size and slippage, then the spec params
+     */
+    defaultParams(config) {
+      return {
+        tradeSize: config.trading.tradeSize,
+        slippage: config.trading.slippageThresholdA,
+        ...spec.params
+      };
+    },
+
+    /**
+     * Returns the order intent of the first matching rule
+     */
+    onPoolUpdate(update, params, context) {
+      return strategyEngine.evaluateRules(rules, update, params, context);
+    }
+  };
+}
+
+/**
+ * Checks whether a strategy source refers to a rule spec file
+ */
+function isRuleSpec(source) {
+  return ['.json', '.yaml', '.yml'].includes(path.extname(source).toLowerCase());
+}
+
+module.exports = {
+  compileSpec,
+  loadRuleStrategy,
+  isRuleSpec
+};
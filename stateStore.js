@@ -0,0 +1,125 @@
+/**
+ * State store module
+ * Persists snapshots of the simulator, strategy engine, risk manager and metrics
+ * state, together with the last processed Kafka offsets, so a restarted forward
+ * test continues where it stopped instead of starting from scratch
+ *
+ * Layout:
+ *   <dir>/snapshot.json       latest snapshot
+ *   <dir>/snapshot.prev.json  previous snapshot, used if the latest one is unreadable
+ *
+ * Snapshots are written to a temporary file and renamed into place, so a crash
+ * while saving never leaves a partially written snapshot behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.createLogger('StateStore');
+
+const SNAPSHOT_VERSION = 1;
+
+// Shared state
+let dir = '';
+let snapshotIntervalMs = 30000;
+let lastSaveTime = 0;
+
+/**
+ * Initializes the state store from config.state
+ */
+function initializeStateStore(config) {
+  dir = config.state.dir;
+  snapshotIntervalMs = config.state.snapshotIntervalMs;
+  lastSaveTime = Date.now();
+
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    log.info('Saving state snapshots', { dir, intervalSeconds: Math.round(snapshotIntervalMs / 1000) });
+  }
+}
+
+/**
+ * Checks whether state snapshots are enabled
+ */
+function isEnabled() {
+  return Boolean(dir);
+}
+
+/**
+ * Checks whether the snapshot interval has elapsed since the last save
+ */
+function isSnapshotDue() {
+  return isEnabled() && Date.now() - lastSaveTime >= snapshotIntervalMs;
+}
+
+/**
+ * Reads a snapshot file, returning null if it is missing or unreadable
+ */
+function readSnapshot(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      log.warn('Ignoring snapshot with unsupported version', { file: filePath, version: snapshot.version });
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    log.warn('Ignoring unreadable snapshot', { file: filePath, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Loads the latest readable snapshot (null if there is none)
+ */
+function loadSnapshot() {
+  if (!isEnabled()) {
+    return null;
+  }
+
+  for (const name of ['snapshot.json', 'snapshot.prev.json']) {
+    const snapshot = readSnapshot(path.join(dir, name));
+    if (snapshot) {
+      log.info('Loaded snapshot', { savedAt: snapshot.savedAt, file: path.join(dir, name) });
+      return snapshot;
+    }
+  }
+  return null;
+}
+
+/**
+ * Saves a snapshot atomically, keeping the previous one as a fallback
+ * state: { topic, offsets, results, modules } (see pipeline.exportState)
+ */
+function saveSnapshot(state) {
+  if (!isEnabled()) {
+    return;
+  }
+
+  const snapshotPath = path.join(dir, 'snapshot.json');
+  const tempPath = path.join(dir, `snapshot.${process.pid}.tmp`);
+  const snapshot = { version: SNAPSHOT_VERSION, savedAt: new Date().toISOString(), ...state };
+
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+    if (fs.existsSync(snapshotPath)) {
+      fs.renameSync(snapshotPath, path.join(dir, 'snapshot.prev.json'));
+    }
+    fs.renameSync(tempPath, snapshotPath);
+    lastSaveTime = Date.now();
+  } catch (error) {
+    log.error('Error saving snapshot', { error });
+  }
+}
+
+module.exports = {
+  initializeStateStore,
+  isEnabled,
+  isSnapshotDue,
+  loadSnapshot,
+  saveSnapshot
+};
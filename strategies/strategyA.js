@@ -0,0 +1,35 @@
+/**
+ * Strategy A
+ * Single trade of the full size at a fixed slippage, following the engine's slope signal
+ */
+
+module.exports = {
+  name: 'A',
+  description: 'Single large trade at a fixed slippage',
+
+  /**
+   * Default parameters, derived from the trading configuration
+   */
+  defaultParams(config) {
+    return {
+      tradeSize: config.trading.tradeSize,
+      slippage: config.trading.slippageThresholdA
+    };
+  },
+
+  /**
+   * Returns order intents for a processed pool update
+   */
+  onPoolUpdate(update, params) {
+    if (!update.signal) {
+      return [];
+    }
+
+    return [{
+      side: update.signal,
+      size: params.tradeSize,
+      slippage: params.slippage,
+      chunks: 1
+    }];
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Strategy B
+ * Splits each trade into equal chunks at a smaller slippage, following the engine's slope signal
+ */
+
+module.exports = {
+  name: 'B',
+  description: 'Trade split into chunks at a smaller slippage',
+
+  /**
+   * Default parameters, derived from the trading configuration
+   */
+  defaultParams(config) {
+    return {
+      tradeSize: config.trading.tradeSize,
+      slippage: config.trading.slippageThresholdB,
+      chunks: 2
+    };
+  },
+
+  /**
+   * Returns order intents for a processed pool update
+   */
+  onPoolUpdate(update, params) {
+    if (!update.signal) {
+      return [];
+    }
+
+    return [{
+      side: update.signal,
+      size: params.tradeSize,
+      slippage: params.slippage,
+      chunks: params.chunks
+    }];
+  }
+};
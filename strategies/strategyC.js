@@ -0,0 +1,52 @@
+/**
+ * Strategy C
+ * Slope mean reversion on the feature library: buys when the slope is unusually
+ * steep for the pool (low z-score) and still falling (EMA below SMA), unless
+ * liquidity is draining or volatility is too high; sells a long position once the
+ * slope z-score has reverted above the exit level
+ */
+
+module.exports = {
+  name: 'C',
+  description: 'Slope z-score mean reversion with trend, liquidity and volatility filters',
+
+  /**
+   * Default parameters, derived from the trading configuration
+   */
+  defaultParams(config) {
+    return {
+      tradeSize: config.trading.tradeSize,
+      slippage: config.trading.slippageThresholdA,
+      entryZScore: -2, // buy at or below this slope z-score
+      exitZScore: 0, // sell at or above this slope z-score
+      minLiquidityChange: -0.02, // skip entries when liquidity dropped more than 2% since the last update
+      maxVolatility: null // skip entries above this mid-price volatility (null = no limit)
+    };
+  },
+
+  /**
+   * Returns order intents for a processed pool update
+   * context: { position } with the open position in the pool, null if flat
+   */
+  onPoolUpdate(update, params, context = {}) {
+    const f = update.features;
+    if (!f || f.slopeZScore === null) {
+      return [];
+    }
+
+    const order = side => [{ side, size: params.tradeSize, slippage: params.slippage, chunks: 1 }];
+
+    if (f.slopeZScore >= params.exitZScore) {
+      const long = Boolean(context.position) && context.position.netAmount > 0;
+      return long ? order('SELL') : [];
+    }
+
+    const falling = f.slopeEMA !== null && f.slopeSMA !== null && f.slopeEMA < f.slopeSMA;
+    const liquidityOk = f.liquidityChange === null || f.liquidityChange >= params.minLiquidityChange;
+    const volatilityOk = params.maxVolatility === null || (f.volatility !== null && f.volatility <= params.maxVolatility);
+    if (f.slopeZScore <= params.entryZScore && falling && liquidityOk && volatilityOk) {
+      return order('BUY');
+    }
+    return [];
+  }
+};
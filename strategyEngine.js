@@ -1,109 +1,134 @@
 /**
  * Strategy engine module
- * Implements trading strategies based on slope calculations from DEXPool data
+ * Implements trading strategies based on slope calculations from DEXPool data,
+ * computes the feature library (features.js) for every pool update and evaluates
+ * the rules of rule-based strategies (ruleStrategy.js)
  */
 
+const watchlist = require('./watchlist');
+const eventClock = require('./eventClock');
+const features = require('./features');
+const prometheusMetrics = require('./prometheusMetrics');
+const logger = require('./logger');
+
+const log = logger.createLogger('StrategyEngine');
+const nullSlopeLog = log.limited('nullSlope');
+
 // Shared state
 const priceHistory = new Map();
 const slopeHistory = new Map();
 const maxHistorySize = 100;
 let config = null;
 
-// Supported token addresses (USDT and WETH)
-const USDT_ADDRESS = '0xdac17f958d2ee523a2206206994597c13d831ec7';
-const WETH_ADDRESS = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+/**
+ * Initializes the strategy engine with configuration
+ */
+function initializeStrategy(cfg) {
+  config = cfg;
+  watchlist.initializeWatchlist(cfg);
+  features.initializeFeatures(cfg);
+}
 
 /**
- * Checks if a token address matches USDT or WETH
+ * Converts a Protobuf long ({ low, high }), string or number to a number (null if missing)
  */
-function isSupportedToken(address) {
-  if (!address) return false;
-  const addr = address.toLowerCase();
-  return addr === USDT_ADDRESS.toLowerCase() || addr === WETH_ADDRESS.toLowerCase();
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  // Long integer format: high part is multiplied by 2^32 (4294967296)
+  if (value.low !== undefined && value.high !== undefined) {
+    return (value.low >>> 0) + (value.high * 4294967296);
+  }
+  const number = typeof value === 'string' ? parseInt(value) : value;
+  return Number.isFinite(number) ? number : null;
 }
 
 /**
- * Initializes the strategy engine with configuration
+ * Extracts the event time (ms since epoch), block number and transaction hash of a
+ * decoded message or pool event from its TransactionHeader and block Header
+ * Missing fields are null
  */
-function initializeStrategy(cfg) {
-  config = cfg;
+function extractEventInfo(source) {
+  const txHeader = source.TransactionHeader || source.transactionHeader || {};
+  const blockHeader = source.Header || source.Block || {};
+  const timestamp = toNumber(txHeader.Time);
+  const blockNumber = toNumber(blockHeader.Number);
+  return {
+    timestamp: timestamp !== null ? timestamp : toNumber(blockHeader.Time),
+    blockNumber: blockNumber !== null ? blockNumber : toNumber(txHeader.BlockNumber),
+    transactionHash: txHeader.Hash || null
+  };
 }
 
 /**
- * Extracts relevant pool data from decoded Protobuf message
- * Filters for USDT/WETH pools only
+ * Extracts pool data for every watched pool event in a decoded Protobuf message
  * Based on actual message structure:
  * - Pool.SmartContract (pool address)
  * - Pool.CurrencyA and CurrencyB (token addresses)
  * - PoolPriceTable.AtoBPrices and BtoAPrices (direction-specific price buckets)
- * - TransactionHeader.Time (timestamp)
+ * - TransactionHeader.Time / Hash and block Header.Number (event time, transaction, block),
+ *   per pool event if present, otherwise of the message; the event clock is the
+ *   fallback for the time
+ *
+ * Prices are taken from the base->quote price table and normalized to the
+ * reference currency (USD) using the watchlist quote rates. The quote->base table
+ * is kept as reversePrices (also per base token) for the feature library.
  */
 function extractPoolData(decodedMessage) {
+  const results = [];
+
   try {
-    // Extract pool currencies - try different possible field names (avoid optional chaining for compatibility)
-    const poolEvents = decodedMessage.PoolEvents || {};
+    const poolEvents = decodedMessage.PoolEvents || [];
+    const messageInfo = extractEventInfo(decodedMessage);
 
     for (const poolEvent of poolEvents) {
+      const eventInfo = extractEventInfo(poolEvent);
+      let timestamp = eventInfo.timestamp !== null ? eventInfo.timestamp : messageInfo.timestamp;
+      if (timestamp === null) {
+        timestamp = eventClock.now();
+      }
+
       const pool = poolEvent.Pool || {};
       const currencyA = pool.CurrencyA || pool.currencyA || {};
       const currencyB = pool.CurrencyB || pool.currencyB || {};
-      // console.log(poolEvent.PoolPriceTable.AtoBPrices);
       const addressA = currencyA.SmartContract || '';
       const addressB = currencyB.SmartContract || '';
-  
-      // Filter: Only process pools with USDT/WETH pairs
-      if (!isSupportedToken(addressA) || !isSupportedToken(addressB)) {
-        return null; // Skip this pool - not USDT/WETH
-      }
-  
-      // Determine direction based on token addresses
-      // If A is WETH and B is USDT, we're trading WETH->USDT (AtoB)
-      // If A is USDT and B is WETH, we're trading USDT->WETH (AtoB) but might want BtoA
-      const isWETHtoUSDT = addressA.toLowerCase() === WETH_ADDRESS.toLowerCase() && 
-                            addressB.toLowerCase() === USDT_ADDRESS.toLowerCase();
-      const isUSDTtoWETH = addressA.toLowerCase() === USDT_ADDRESS.toLowerCase() && 
-                            addressB.toLowerCase() === WETH_ADDRESS.toLowerCase();
-      
+
       // Extract pool address from Pool.SmartContract
       const poolAddress = pool.SmartContract || pool.smartContract || decodedMessage.poolAddress || 'unknown';
-  
-      // Extract timestamp from TransactionHeader.Time
-      let timestamp = Date.now();
-      const txHeader = decodedMessage.TransactionHeader || decodedMessage.transactionHeader;
-      if (txHeader && txHeader.Time) {
-        const timeObj = txHeader.Time;
-        // Handle long integer format with low and high
-        if (timeObj.low !== undefined && timeObj.high !== undefined) {
-          // Combine low and high to get full timestamp (milliseconds since epoch)
-          // High part is multiplied by 2^32 (4294967296)
-          timestamp = timeObj.low + (timeObj.high * 4294967296);
-        } else if (typeof timeObj === 'string' || typeof timeObj === 'number') {
-          timestamp = typeof timeObj === 'string' ? parseInt(timeObj) : timeObj;
-        }
+
+      // Filter: Only process pools on the watchlist
+      const market = watchlist.matchPool(poolAddress, addressA, addressB);
+      if (!market) {
+        prometheusMetrics.increment('pool_events_total', { result: 'unwatched' });
+        continue;
       }
-  
-      // Extract liquidity
-      const liquidity = poolEvent.Liquidity.AmountCurrencyA || 0;
-  
-      // Extract price table
+
+      // Base is currency A: trade A->B (AtoBPrices); base is currency B: trade B->A (BtoAPrices)
       const priceTable = poolEvent.PoolPriceTable || {};
-      const atoBPrices = priceTable.AtoBPrices || [];
-      const btoAPrices = priceTable.BtoAPrices || [];
-  
-      // Determine direction and use appropriate price table
-      // For WETH->USDT: use AtoBPrices
-      // For USDT->WETH: use BtoAPrices (reverse direction)
-      let direction = 'AtoB';
-      let slippageBuckets = atoBPrices;
-      
-      if (isUSDTtoWETH) {
-        direction = 'BtoA'; // We want WETH price in terms of USDT, so use BtoA
-        slippageBuckets = btoAPrices;
-      } else if (isWETHtoUSDT) {
-        direction = 'AtoB'; // We want USDT price in terms of WETH, so use AtoB
-        slippageBuckets = atoBPrices;
+      const direction = market.baseIsA ? 'AtoB' : 'BtoA';
+      const rawBuckets = (market.baseIsA ? priceTable.AtoBPrices : priceTable.BtoAPrices) || [];
+      const reverseBuckets = (market.baseIsA ? priceTable.BtoAPrices : priceTable.AtoBPrices) || [];
+
+      // Liquidity expressed in the base and quote tokens
+      const liquidityInfo = poolEvent.Liquidity || {};
+      const amountA = liquidityInfo.AmountCurrencyA || 0;
+      const amountB = liquidityInfo.AmountCurrencyB || 0;
+
+      const quoteRate = watchlist.getQuoteRate(market.quote);
+      if (quoteRate === null) {
+        // No reference price for the quote currency yet (e.g. WETH-quoted pool before any WETH/USD pool)
+        prometheusMetrics.increment('pool_events_total', { result: 'no_quote_rate' });
+        continue;
       }
-  
+
+      // Normalize bucket prices to the reference currency
+      const slippageBuckets = rawBuckets.map(bucket => ({
+        ...bucket,
+        Price: bucket.Price ? bucket.Price * quoteRate : bucket.Price
+      }));
+
       // Build prices object from the appropriate price array
       const prices = {};
       slippageBuckets.forEach(bucket => {
@@ -113,31 +138,50 @@ function extractPoolData(decodedMessage) {
           prices[bp] = price;
         }
       });
-  
-      const poolData = {
+
+      // The quote->base table prices base per quote; invert to the reference currency per base
+      const reversePrices = {};
+      reverseBuckets.forEach(bucket => {
+        if (bucket.Price) {
+          reversePrices[bucket.SlippageBasisPoints || 0] = quoteRate / bucket.Price;
+        }
+      });
+
+      // The best (lowest slippage) price updates the base token's reference rate
+      const bestBucket = slippageBuckets
+        .filter(bucket => bucket.Price)
+        .sort((x, y) => (x.SlippageBasisPoints || 0) - (y.SlippageBasisPoints || 0))[0];
+      if (bestBucket) {
+        watchlist.updateReferenceRate(market.base, bestBucket.Price);
+      }
+
+      prometheusMetrics.increment('pool_events_total', { result: 'processed' });
+      results.push({
         poolAddress: poolAddress,
+        pair: `${market.base.symbol}/${market.quote.symbol}`,
+        base: market.base,
+        quote: market.quote,
+        quoteRate: quoteRate,
         tokenA: currencyA,
         tokenB: currencyB,
         addressA: addressA,
         addressB: addressB,
-        liquidity: liquidity,
+        liquidity: market.baseIsA ? amountA : amountB,
+        liquidityQuote: market.baseIsA ? amountB : amountA,
         timestamp: timestamp,
+        blockNumber: eventInfo.blockNumber !== null ? eventInfo.blockNumber : messageInfo.blockNumber,
+        transactionHash: eventInfo.transactionHash || messageInfo.transactionHash,
         direction: direction,
         slippageBuckets: slippageBuckets,
         prices: prices,
-        isWETHtoUSDT: isWETHtoUSDT,
-        isUSDTtoWETH: isUSDTtoWETH
-      };
-      // console.log(poolData);
-  
-      return poolData;
+        reversePrices: reversePrices
+      });
     }
-    return null;
-    
   } catch (error) {
-    console.error('[StrategyEngine] Error extracting pool data:', error);
-    return null;
+    log.error('Error extracting pool data', { error });
   }
+
+  return results;
 }
 
 /**
@@ -198,7 +242,7 @@ function calculateDeltaSlope(poolAddress, currentSlope) {
  */
 function updateHistory(poolData, slope) {
   const poolAddress = poolData.poolAddress;
-  const timestamp = poolData.timestamp || Date.now();
+  const timestamp = poolData.timestamp || eventClock.now();
 
   if (!slopeHistory.has(poolAddress)) {
     slopeHistory.set(poolAddress, []);
@@ -243,33 +287,96 @@ function generateSignal(slope, deltaSlope) {
   return null;
 }
 
+// Named inputs available to rule-based strategies (ruleStrategy.js), besides price.<bps>
+const STRING_RULE_INPUTS = ['signal', 'position.side'];
+const RULE_INPUTS = [
+  'slope', 'deltaSlope', 'signal', 'liquidity', 'liquidityQuote',
+  ...features.FEATURE_NAMES.filter(name => name !== 'slope' && name !== 'liquidity'),
+  'position.side', 'position.size', 'position.net', 'position.entryPrice', 'position.return'
+];
+
 /**
- * Processes pool data and generates trading signal
+ * Gets the named inputs of a processed pool update for rule evaluation
+ * context: { position } with the strategy's open position in the pool (see
+ * positionBook.getOpenPositions), null or missing if flat
  */
-function processPoolData(decodedMessage) {
-  const poolData = extractPoolData(decodedMessage);
-  
-  if (!poolData) {
-    return null;
+function getRuleInputs(update, context = {}) {
+  const { poolData } = update;
+  const position = context.position || null;
+  const net = position ? position.netAmount : 0;
+  const entryPrice = net !== 0 ? position.averageEntryPrice : null;
+  const markPrice = update.features ? update.features.bidPrice : null;
+
+  const inputs = {
+    ...update.features,
+    slope: update.slope,
+    deltaSlope: update.deltaSlope,
+    signal: update.signal,
+    liquidityQuote: Number(poolData.liquidityQuote) || null,
+    'position.side': net > 0 ? 'LONG' : (net < 0 ? 'SHORT' : 'FLAT'),
+    'position.size': Math.abs(net),
+    'position.net': net,
+    'position.entryPrice': entryPrice,
+    'position.return': entryPrice && markPrice !== null ? (markPrice / entryPrice - 1) * Math.sign(net) : null
+  };
+  for (const [basisPoints, price] of Object.entries(poolData.prices || {})) {
+    inputs[`price.${basisPoints}`] = price;
   }
+  return inputs;
+}
 
+/**
+ * Evaluates compiled rules (see ruleStrategy.js) against a processed pool update,
+ * in place of generateSignal. The first rule whose condition holds and whose size is
+ * positive produces the order intent; returns no intents if no rule matches.
+ */
+function evaluateRules(rules, update, params, context) {
+  const inputs = getRuleInputs(update, context);
+  for (const rule of rules) {
+    if (!rule.condition(inputs, params)) {
+      continue;
+    }
+    const size = rule.size(inputs, params);
+    if (!(size > 0)) {
+      continue;
+    }
+    return [{
+      side: rule.side,
+      size,
+      slippage: rule.slippage(inputs, params),
+      chunks: rule.chunks(inputs, params),
+      rule: rule.name
+    }];
+  }
+  return [];
+}
+
+/**
+ * Processes a single pool's data and generates a trading signal
+ */
+function processPool(poolData) {
   const slope = calculateSlope(poolData);
-  
+  const poolFeatures = features.computeFeatures(poolData, slope);
+
   if (slope === null) {
+    prometheusMetrics.increment('null_slopes_total', { pool: poolData.poolAddress });
+
     // Debug: Log why slope is null
     const priceCount = Object.keys(poolData.prices || {}).length;
     const bucketCount = (poolData.slippageBuckets || []).length;
     if (priceCount === 0 && bucketCount > 0) {
-      console.warn(`[StrategyEngine] Slope is null: Found ${bucketCount} buckets but 0 prices extracted. Pool: ${poolData.poolAddress}`);
+      nullSlopeLog.warn('Slope is null: buckets found but no prices extracted', { pool: poolData.poolAddress, buckets: bucketCount });
     } else if (bucketCount === 0) {
-      console.warn(`[StrategyEngine] Slope is null: No slippage buckets found. Pool: ${poolData.poolAddress}`);
+      nullSlopeLog.warn('Slope is null: no slippage buckets found', { pool: poolData.poolAddress });
     }
     
     return {
       poolData,
       slope: null,
       deltaSlope: null,
-      signal: null
+      signal: null,
+      history: getSlopeHistory(poolData.poolAddress),
+      features: poolFeatures
     };
   }
 
@@ -282,30 +389,70 @@ function processPoolData(decodedMessage) {
     poolData,
     slope,
     deltaSlope,
-    signal
+    signal,
+    history: getSlopeHistory(poolData.poolAddress),
+    features: poolFeatures
   };
 }
 
 /**
- * Gets the slippage threshold for a strategy
+ * Processes every watched pool event in a decoded message
+ * Returns one result per pool event (empty if no pool in the message is watched)
  */
-function getSlippageThreshold(strategy) {
-  if (strategy === 'B') {
-    return config.trading.slippageThresholdB;
-  }
-  return config.trading.slippageThresholdA;
+function processPoolData(decodedMessage) {
+  return extractPoolData(decodedMessage).map(processPool);
+}
+
+/**
+ * Gets the slope history for a pool (oldest first)
+ */
+function getSlopeHistory(poolAddress) {
+  return slopeHistory.get(poolAddress) || [];
+}
+
+/**
+ * Gets the addresses of the pools with a slope history
+ */
+function getTrackedPools() {
+  return Array.from(slopeHistory.keys());
+}
+
+/**
+ * Exports the price, slope and feature histories for state snapshots
+ */
+function exportState() {
+  return {
+    priceHistory: Array.from(priceHistory.entries()),
+    slopeHistory: Array.from(slopeHistory.entries()),
+    features: features.exportState()
+  };
 }
 
 /**
- * Gets the number of chunks for Strategy B
+ * Restores exported price, slope and feature histories
  */
-function getChunkCount() {
-  return 2;
+function importState(state) {
+  priceHistory.clear();
+  slopeHistory.clear();
+  for (const [poolAddress, history] of state.priceHistory || []) {
+    priceHistory.set(poolAddress, history);
+  }
+  for (const [poolAddress, history] of state.slopeHistory || []) {
+    slopeHistory.set(poolAddress, history);
+  }
+  features.importState(state.features || {});
 }
 
 module.exports = {
   initializeStrategy,
   processPoolData,
-  getSlippageThreshold,
-  getChunkCount
+  extractEventInfo,
+  RULE_INPUTS,
+  STRING_RULE_INPUTS,
+  getRuleInputs,
+  evaluateRules,
+  getSlopeHistory,
+  getTrackedPools,
+  exportState,
+  importState
 };
@@ -0,0 +1,134 @@
+/**
+ * Strategy registry module
+ * Loads strategy plugins by built-in name or file path and keeps the active set
+ *
+ * A strategy module exports:
+ *   - name: strategy name
+ *   - description: optional human-readable description
+ *   - defaultParams(config): optional, returns default parameters
+ *   - onPoolUpdate(update, params, context): returns an array of order intents for a
+ *     processed pool update ({ poolData, slope, deltaSlope, signal, history, features };
+ *     see features.js for the feature library). context is { position }, the
+ *     strategy's open position in the pool (null if flat).
+ *
+ * An order intent is { side: 'BUY' | 'SELL', size, slippage, chunks }, with an optional
+ * rule name for logging.
+ *
+ * JSON and YAML files are loaded as declarative rule-based strategies (see ruleStrategy.js).
+ */
+
+const path = require('path');
+const ruleStrategy = require('./ruleStrategy');
+const logger = require('./logger');
+
+const log = logger.createLogger('StrategyRegistry');
+
+// Built-in strategies, loadable by name
+const BUILT_IN_STRATEGIES = {
+  A: './strategies/strategyA',
+  B: './strategies/strategyB',
+  C: './strategies/strategyC'
+};
+
+// Shared state
+let strategies = [];
+
+/**
+ * Resolves a strategy module from a built-in name, a file path or a rule spec file
+ * Rule spec errors are thrown as they are, listing every invalid rule
+ */
+function resolveStrategyModule(nameOrPath) {
+  if (BUILT_IN_STRATEGIES[nameOrPath]) {
+    return require(BUILT_IN_STRATEGIES[nameOrPath]);
+  }
+
+  const modulePath = path.resolve(process.cwd(), nameOrPath);
+  if (ruleStrategy.isRuleSpec(modulePath)) {
+    return ruleStrategy.loadRuleStrategy(modulePath);
+  }
+  try {
+    return require(modulePath);
+  } catch (error) {
+    throw new Error(`Unable to load strategy '${nameOrPath}': ${error.message}`);
+  }
+}
+
+/**
+ * Builds a strategy ID from its name and any parameter overrides
+ */
+function buildStrategyId(name, overrides) {
+  const keys = Object.keys(overrides).sort();
+  if (keys.length === 0) {
+    return name;
+  }
+  return `${name}(${keys.map(key => `${key}=${overrides[key]}`).join(',')})`;
+}
+
+/**
+ * Loads a strategy from a spec
+ * spec: a built-in name or file path, or { name | path, id, params }
+ */
+function loadStrategy(spec, config) {
+  const normalized = typeof spec === 'string' ? { name: spec } : (spec || {});
+  const source = normalized.path || normalized.name;
+
+  if (!source) {
+    throw new Error('Strategy spec must have a name or path');
+  }
+
+  const strategyModule = resolveStrategyModule(source);
+  if (typeof strategyModule.onPoolUpdate !== 'function') {
+    throw new Error(`Strategy '${source}' does not export an onPoolUpdate(update, params) function`);
+  }
+
+  const name = strategyModule.name || path.basename(source, path.extname(source));
+  const defaults = typeof strategyModule.defaultParams === 'function'
+    ? strategyModule.defaultParams(config)
+    : {};
+  const overrides = normalized.params || {};
+
+  return {
+    id: normalized.id || buildStrategyId(name, overrides),
+    name,
+    description: strategyModule.description || '',
+    params: { ...defaults, ...overrides },
+    onPoolUpdate: strategyModule.onPoolUpdate
+  };
+}
+
+/**
+ * Registers a loaded strategy alongside the existing ones
+ */
+function registerStrategy(strategy) {
+  if (strategies.some(s => s.id === strategy.id)) {
+    throw new Error(`Strategy '${strategy.id}' is already registered`);
+  }
+  strategies.push(strategy);
+  return strategy;
+}
+
+/**
+ * Loads and registers every strategy listed in config.trading.strategies
+ */
+function initializeStrategies(config) {
+  strategies = [];
+  for (const spec of config.trading.strategies) {
+    const strategy = registerStrategy(loadStrategy(spec, config));
+    log.info('Registered strategy', { strategy: strategy.id });
+  }
+  return strategies;
+}
+
+/**
+ * Gets the registered strategies
+ */
+function getStrategies() {
+  return strategies;
+}
+
+module.exports = {
+  loadStrategy,
+  registerStrategy,
+  initializeStrategies,
+  getStrategies
+};
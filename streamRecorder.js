@@ -0,0 +1,328 @@
+/**
+ * Stream recorder module
+ * Captures raw Kafka messages into a rotating, gzip-compressed on-disk archive
+ * that replaySource can play back
+ *
+ * Archive layout:
+ *   <dir>/index.json              - segment list with time and offset ranges
+ *   <dir>/segment-000001.jsonl.gz - JSON Lines records (see replaySource.js)
+ *
+ * Each recorder session appends a new gzip member to the current segment, so a
+ * restarted recorder continues where the previous one stopped. A segment whose
+ * session ended without closeRecorder (a crash) ends in a truncated gzip member
+ * that nothing can be appended after: it is sealed, marked interrupted, and
+ * recording continues in a new segment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('./logger');
+
+const log = logger.createLogger('StreamRecorder');
+
+const INDEX_FILE = 'index.json';
+const DEFAULT_MAX_SEGMENT_BYTES = 64 * 1024 * 1024; // uncompressed
+const DEFAULT_MAX_SEGMENT_DURATION_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+
+// Shared state
+let options = null;
+let index = null;
+let currentSegment = null;
+let fileStream = null;
+let gzipStream = null;
+let flushTimer = null;
+let recordedCount = 0;
+
+/**
+ * Formats a segment file name from its sequence number
+ */
+function segmentFileName(sequence) {
+  return `segment-${String(sequence).padStart(6, '0')}.jsonl.gz`;
+}
+
+/**
+ * Converts a Kafka timestamp (string or number) to milliseconds since epoch
+ */
+function toMillis(timestamp) {
+  const value = typeof timestamp === 'string' ? parseInt(timestamp, 10) : timestamp;
+  return Number.isFinite(value) ? value : Date.now();
+}
+
+/**
+ * Reads the archive index, returning an empty index if none exists
+ */
+function readIndex(dir) {
+  const indexPath = path.join(dir, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    return { version: 1, segments: [] };
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read archive index ${indexPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes the archive index atomically
+ */
+function writeIndex() {
+  const indexPath = path.join(options.dir, INDEX_FILE);
+  const tmpPath = `${indexPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tmpPath, indexPath);
+}
+
+/**
+ * Returns the segments of an archive overlapping the [from, to] time range (ms)
+ * Segments that are still open or were interrupted are treated as open-ended, as
+ * their index entry may lag behind their data
+ */
+function findSegments(dir, from, to) {
+  const start = from !== undefined && from !== null ? from : -Infinity;
+  const end = to !== undefined && to !== null ? to : Infinity;
+
+  return readIndex(dir).segments
+    .filter(segment => {
+      const first = segment.firstTimestamp !== null ? segment.firstTimestamp : -Infinity;
+      const last = segment.closed && !segment.interrupted && segment.lastTimestamp !== null ? segment.lastTimestamp : Infinity;
+      return first <= end && last >= start;
+    })
+    .map(segment => ({ ...segment, path: path.join(dir, segment.file) }));
+}
+
+/**
+ * Opens the gzip stream for the current segment in append mode
+ * The segment is marked as being written until its stream is closed
+ */
+function openSegmentStream() {
+  const segmentPath = path.join(options.dir, currentSegment.file);
+  currentSegment.writing = true;
+  fileStream = fs.createWriteStream(segmentPath, { flags: 'a' });
+  gzipStream = zlib.createGzip();
+  gzipStream.pipe(fileStream);
+
+  gzipStream.on('error', error => {
+    log.error('Error writing segment', { file: currentSegment.file, error });
+  });
+}
+
+/**
+ * Closes the gzip stream of the current segment, finishing its gzip member
+ */
+function closeSegmentStream() {
+  if (!gzipStream) {
+    return Promise.resolve();
+  }
+
+  const closingFile = fileStream;
+  const closingGzip = gzipStream;
+  const closingSegment = currentSegment;
+  fileStream = null;
+  gzipStream = null;
+
+  return new Promise(resolve => {
+    closingFile.on('close', resolve);
+    closingFile.on('error', resolve);
+    closingGzip.end();
+  }).then(() => {
+    closingSegment.writing = false;
+  });
+}
+
+/**
+ * Starts a new segment after the last one in the index
+ */
+function startNewSegment() {
+  const last = index.segments[index.segments.length - 1];
+  const sequence = last ? last.sequence + 1 : 1;
+
+  currentSegment = {
+    sequence,
+    file: segmentFileName(sequence),
+    createdAt: Date.now(),
+    firstTimestamp: null,
+    lastTimestamp: null,
+    count: 0,
+    bytes: 0,
+    partitions: {},
+    closed: false
+  };
+  index.segments.push(currentSegment);
+
+  openSegmentStream();
+  writeIndex();
+  log.info('Started segment', { file: currentSegment.file });
+}
+
+/**
+ * Returns true if the current segment has reached its size or age limit
+ */
+function shouldRotate() {
+  if (currentSegment.count === 0) {
+    return false;
+  }
+  return currentSegment.bytes >= options.maxSegmentBytes ||
+    Date.now() - currentSegment.createdAt >= options.maxSegmentDurationMs;
+}
+
+/**
+ * Closes the current segment and starts the next one
+ */
+async function rotateSegment() {
+  currentSegment.closed = true;
+  await closeSegmentStream();
+  startNewSegment();
+}
+
+/**
+ * Flushes buffered data and persists the index
+ */
+function flush() {
+  if (gzipStream) {
+    gzipStream.flush(zlib.constants.Z_SYNC_FLUSH);
+  }
+  if (index) {
+    writeIndex();
+  }
+}
+
+/**
+ * Opens the recorder, resuming the last segment of an existing archive if it is still open
+ */
+async function openRecorder(recorderOptions) {
+  if (gzipStream) {
+    throw new Error('Recorder already open');
+  }
+  if (!recorderOptions || !recorderOptions.dir) {
+    throw new Error('Recording directory must be set');
+  }
+
+  options = {
+    dir: recorderOptions.dir,
+    maxSegmentBytes: recorderOptions.maxSegmentBytes || DEFAULT_MAX_SEGMENT_BYTES,
+    maxSegmentDurationMs: recorderOptions.maxSegmentDurationMs || DEFAULT_MAX_SEGMENT_DURATION_MS,
+    flushIntervalMs: recorderOptions.flushIntervalMs || DEFAULT_FLUSH_INTERVAL_MS
+  };
+
+  fs.mkdirSync(options.dir, { recursive: true });
+  index = readIndex(options.dir);
+  recordedCount = 0;
+
+  const last = index.segments[index.segments.length - 1];
+  if (last && !last.closed && last.writing) {
+    last.closed = true;
+    last.interrupted = true;
+    last.writing = false;
+    log.warn('Sealed segment of an interrupted recording', { file: last.file, messages: last.count });
+    startNewSegment();
+  } else if (last && !last.closed) {
+    currentSegment = last;
+    openSegmentStream();
+    writeIndex();
+    log.info('Resuming segment', { file: currentSegment.file, messages: currentSegment.count });
+    if (shouldRotate()) {
+      await rotateSegment();
+    }
+  } else {
+    startNewSegment();
+  }
+
+  flushTimer = setInterval(flush, options.flushIntervalMs);
+  log.info('Recording', { dir: options.dir });
+}
+
+/**
+ * Appends a raw Kafka message ({ topic, partition, offset, timestamp, value }) to the archive
+ */
+async function recordMessage(msg) {
+  if (!gzipStream) {
+    throw new Error('Recorder not open. Call openRecorder() first.');
+  }
+
+  if (shouldRotate()) {
+    await rotateSegment();
+  }
+
+  const line = JSON.stringify({
+    topic: msg.topic,
+    partition: msg.partition,
+    offset: msg.offset,
+    timestamp: msg.timestamp,
+    value: msg.value.toString('base64')
+  }) + '\n';
+
+  const timestamp = toMillis(msg.timestamp);
+  if (currentSegment.firstTimestamp === null) {
+    currentSegment.firstTimestamp = timestamp;
+  }
+  currentSegment.lastTimestamp = Math.max(currentSegment.lastTimestamp || timestamp, timestamp);
+  currentSegment.count++;
+  currentSegment.bytes += Buffer.byteLength(line);
+
+  const partitionKey = `${msg.topic}:${msg.partition}`;
+  const partition = currentSegment.partitions[partitionKey];
+  if (partition) {
+    partition.lastOffset = msg.offset;
+  } else {
+    currentSegment.partitions[partitionKey] = { firstOffset: msg.offset, lastOffset: msg.offset };
+  }
+
+  recordedCount++;
+
+  if (!gzipStream.write(line)) {
+    await new Promise(resolve => gzipStream.once('drain', resolve));
+  }
+}
+
+/**
+ * Flushes and closes the recorder. The current segment stays open for appending on restart.
+ */
+async function closeRecorder() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  if (!index) {
+    return;
+  }
+
+  await closeSegmentStream();
+  writeIndex();
+  log.info('Closed', { messages: recordedCount });
+  index = null;
+  currentSegment = null;
+}
+
+/**
+ * Returns true if the recorder is open
+ */
+function isRecording() {
+  return gzipStream !== null;
+}
+
+/**
+ * Gets recorder statistics
+ */
+function getRecorderStats() {
+  return {
+    recording: isRecording(),
+    dir: options ? options.dir : null,
+    recordedMessages: recordedCount,
+    segments: index ? index.segments.length : 0,
+    currentSegment: currentSegment ? currentSegment.file : null
+  };
+}
+
+module.exports = {
+  openRecorder,
+  recordMessage,
+  closeRecorder,
+  isRecording,
+  getRecorderStats,
+  readIndex,
+  findSegments
+};
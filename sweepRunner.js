@@ -0,0 +1,362 @@
+/**
+ * Parameter sweep runner
+ * Runs the strategy engine and simulator over the same recording for every
+ * combination of parameter values, in parallel worker processes, and ranks the
+ * combinations by a metric
+ *
+ * Usage: strategy-tester sweep <sweep.json> (see cli.js)
+ *
+ * Sweep spec:
+ *   {
+ *     "source": "./recordings/eth-dexpools",      // recording file or archive directory
+ *     "from": "2026-01-12T00:00:00Z",              // optional time range
+ *     "to": "2026-01-13T00:00:00Z",
+ *     "parameters": {
+ *       "trading.slopeThreshold": [-0.002, -0.001, -0.0005],          // config path: list of values
+ *       "trading.tradeSize": { "from": 1, "to": 3, "step": 1 },       // or a range
+ *       "params.chunks": [2, 3, 4]                                     // strategy parameter
+ *     },
+ *     "strategies": ["B"],                         // optional, defaults to config.trading.strategies
+ *     "rankBy": "sharpeRatio",                     // summary or metrics field (default: totalPnL)
+ *     "ascending": false,
+ *     "workers": 2                                 // default: CPU count - 1
+ *   }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const resultsWriter = require('./resultsWriter');
+const logger = require('./logger');
+
+const log = logger.createLogger('Sweep');
+
+const WORKER_PATH = path.join(__dirname, 'sweepWorker.js');
+const STRATEGY_PARAM_PREFIX = 'params.';
+
+/**
+ * Expands a parameter value spec (list or { from, to, step } range) into a list of values
+ */
+function expandValues(name, spec) {
+  if (Array.isArray(spec)) {
+    return spec;
+  }
+
+  if (spec && typeof spec === 'object' && spec.step > 0 && spec.from <= spec.to) {
+    const values = [];
+    // Round to avoid floating point drift in decimal steps
+    for (let i = 0; spec.from + i * spec.step <= spec.to + spec.step * 1e-9; i++) {
+      values.push(parseFloat((spec.from + i * spec.step).toPrecision(12)));
+    }
+    return values;
+  }
+
+  throw new Error(`Parameter ${name} must be a list of values or a { from, to, step } range`);
+}
+
+/**
+ * Expands parameter specs into the cartesian product of all values
+ * Returns a list of combinations ({ path: value })
+ */
+function expandParameters(parameters) {
+  let combinations = [{}];
+
+  for (const [name, spec] of Object.entries(parameters || {})) {
+    const values = expandValues(name, spec);
+    combinations = combinations.reduce((list, combination) =>
+      list.concat(values.map(value => ({ ...combination, [name]: value }))), []);
+  }
+
+  return combinations;
+}
+
+/**
+ * Formats a combination as a short label, e.g. "trading.slopeThreshold=-0.001 params.chunks=2"
+ */
+function formatCombination(combination) {
+  const entries = Object.entries(combination);
+  return entries.length > 0 ? entries.map(([name, value]) => `${name}=${value}`).join(' ') : '(base)';
+}
+
+/**
+ * Sets a value at a dot-separated path of an existing config key
+ */
+function setConfigValue(config, name, value) {
+  const keys = name.split('.');
+  let target = config;
+
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') {
+      throw new Error(`Unknown config path: ${name}`);
+    }
+    target = target[key];
+  }
+
+  const last = keys[keys.length - 1];
+  if (!(last in target)) {
+    throw new Error(`Unknown config path: ${name}`);
+  }
+  target[last] = value;
+}
+
+/**
+ * Normalizes strategy specs to objects with an explicit id, so every combination
+ * reports under the strategy's plain id rather than one derived from its params
+ */
+function normalizeStrategies(strategies) {
+  return strategies.map(spec => {
+    const normalized = typeof spec === 'string' ? { name: spec } : { ...spec };
+    const id = normalized.id || normalized.name || path.basename(normalized.path, path.extname(normalized.path));
+    return { ...normalized, id };
+  });
+}
+
+/**
+ * Builds the config for one combination: config paths are set directly and
+ * "params.*" values override the parameters of every strategy
+ */
+function applyCombination(baseConfig, combination, strategies) {
+  const config = JSON.parse(JSON.stringify(baseConfig));
+  const strategyParams = {};
+
+  for (const [name, value] of Object.entries(combination)) {
+    if (name.startsWith(STRATEGY_PARAM_PREFIX)) {
+      strategyParams[name.slice(STRATEGY_PARAM_PREFIX.length)] = value;
+    } else {
+      setConfigValue(config, name, value);
+    }
+  }
+
+  config.trading.strategies = normalizeStrategies(strategies || config.trading.strategies).map(spec =>
+    ({ ...spec, params: { ...(spec.params || {}), ...strategyParams } }));
+
+  // Sweeps report through the ranking table only
+  config.results.enabled = false;
+  return config;
+}
+
+/**
+ * Runs one backtest job in a worker process
+ */
+function runJob(job) {
+  return new Promise((resolve, reject) => {
+    const worker = fork(WORKER_PATH, [], { stdio: ['ignore', 'ignore', 'pipe', 'ipc'] });
+    let stderr = '';
+    let settled = false;
+
+    worker.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+
+    worker.on('message', message => {
+      settled = true;
+      if (message.type === 'result') {
+        resolve(message.summary);
+      } else {
+        reject(new Error(message.message));
+      }
+    });
+
+    worker.on('exit', code => {
+      if (!settled) {
+        reject(new Error(`Worker exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+      }
+    });
+
+    worker.send(job);
+  });
+}
+
+/**
+ * Runs jobs with at most `concurrency` workers at a time, calling onDone after each
+ */
+async function runPool(jobs, concurrency, onDone) {
+  const results = new Array(jobs.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < jobs.length) {
+      const index = next++;
+      try {
+        results[index] = { summary: await runJob(jobs[index]) };
+      } catch (error) {
+        results[index] = { error: error.message };
+      }
+      onDone(index, results[index]);
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(concurrency, jobs.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+
+  return results;
+}
+
+/**
+ * Turns a run summary into one row per strategy portfolio
+ */
+function toRows(combination, summary) {
+  return summary.portfolios.map(portfolio => ({
+    combination: formatCombination(combination),
+    parameters: combination,
+    strategy: portfolio.portfolioId,
+    totalPnL: portfolio.totalPnL,
+    totalTrades: portfolio.totalTrades,
+    closedTrades: portfolio.closedTrades,
+    winRate: portfolio.winRate,
+    totalCosts: portfolio.totalCosts,
+    maxDrawdown: portfolio.metrics.maxDrawdown,
+    maxDrawdownPct: portfolio.metrics.maxDrawdownPct,
+    sharpeRatio: portfolio.metrics.sharpeRatio,
+    sortinoRatio: portfolio.metrics.sortinoRatio,
+    profitFactor: portfolio.metrics.profitFactor,
+    expectancy: portfolio.metrics.expectancy,
+    exposurePct: portfolio.metrics.exposurePct
+  }));
+}
+
+/**
+ * Sorts rows by a metric; rows without a value for it go last
+ */
+function rankRows(rows, rankBy, ascending) {
+  const direction = ascending ? 1 : -1;
+  return rows.slice().sort((a, b) => {
+    const x = a[rankBy];
+    const y = b[rankBy];
+    if (x === null || x === undefined) {
+      return y === null || y === undefined ? 0 : 1;
+    }
+    if (y === null || y === undefined) {
+      return -1;
+    }
+    return (x - y) * direction;
+  });
+}
+
+/**
+ * Runs a sweep and returns the ranked rows
+ * options: { source, from, to, parameters, strategies, rankBy, ascending, workers, quiet }
+ */
+async function runSweep(baseConfig, options) {
+  if (!options.source || !fs.existsSync(options.source)) {
+    throw new Error(`Sweep source not found: ${options.source}`);
+  }
+
+  const combinations = expandParameters(options.parameters);
+  const rankBy = options.rankBy || 'totalPnL';
+  const workers = options.workers || Math.max(1, os.cpus().length - 1);
+
+  const jobs = combinations.map(combination => ({
+    config: applyCombination(baseConfig, combination, options.strategies),
+    source: options.source,
+    from: options.from,
+    to: options.to
+  }));
+
+  if (!options.quiet) {
+    log.info('Running combinations', { combinations: jobs.length, workers });
+  }
+
+  let done = 0;
+  const results = await runPool(jobs, workers, (index, result) => {
+    done++;
+    if (result.error) {
+      log.error('Combination failed', { combination: formatCombination(combinations[index]), error: result.error });
+    } else if (!options.quiet) {
+      log.info('Combination done', { done, total: jobs.length, combination: formatCombination(combinations[index]) });
+    }
+  });
+
+  const rows = results.reduce((list, result, index) =>
+    result.summary ? list.concat(toRows(combinations[index], result.summary)) : list, []);
+
+  return rankRows(rows, rankBy, options.ascending);
+}
+
+/**
+ * Formats a possibly missing number
+ */
+function formatNumber(value, digits) {
+  if (value === null || value === undefined) {
+    return 'N/A';
+  }
+  return Number.isFinite(value) ? value.toFixed(digits) : String(value);
+}
+
+/**
+ * Logs the ranked table
+ */
+function logRanking(rows, rankBy) {
+  const width = Math.max(12, ...rows.map(row => row.combination.length)) + 2;
+  const strategyWidth = Math.max(8, ...rows.map(row => row.strategy.length)) + 2;
+
+  console.log(`\n=== Sweep Ranking (by ${rankBy}) ===`);
+  console.log(`${'#'.padEnd(5)}${'Combination'.padEnd(width)}${'Strategy'.padEnd(strategyWidth)}${'PnL'.padEnd(14)}${'Trades'.padEnd(8)}${'Win rate'.padEnd(10)}${'Max DD'.padEnd(14)}${'Sharpe'.padEnd(10)}${'Sortino'.padEnd(10)}PF`);
+  rows.forEach((row, i) => {
+    console.log(`${String(i + 1).padEnd(5)}${row.combination.padEnd(width)}${row.strategy.padEnd(strategyWidth)}${formatNumber(row.totalPnL, 6).padEnd(14)}${String(row.totalTrades).padEnd(8)}${`${(row.winRate * 100).toFixed(2)}%`.padEnd(10)}${formatNumber(row.maxDrawdown, 6).padEnd(14)}${formatNumber(row.sharpeRatio, 2).padEnd(10)}${formatNumber(row.sortinoRatio, 2).padEnd(10)}${formatNumber(row.profitFactor, 2)}`);
+  });
+  console.log('========================\n');
+}
+
+/**
+ * Writes the ranked table as CSV and JSON into a sweep directory under the results directory
+ */
+function writeRanking(resultsDir, spec, rows) {
+  const sweepDir = path.join(resultsDir, `sweep-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  fs.mkdirSync(sweepDir, { recursive: true });
+
+  const columns = ['rank', 'combination', 'strategy', 'totalPnL', 'totalTrades', 'closedTrades', 'winRate', 'totalCosts',
+    'maxDrawdown', 'maxDrawdownPct', 'sharpeRatio', 'sortinoRatio', 'profitFactor', 'expectancy', 'exposurePct'];
+  const lines = [columns.join(',')].concat(rows.map((row, i) =>
+    columns.map(column => resultsWriter.toCsvValue(column === 'rank' ? i + 1 : row[column])).join(',')));
+
+  fs.writeFileSync(path.join(sweepDir, 'ranking.csv'), lines.join('\n') + '\n');
+  fs.writeFileSync(path.join(sweepDir, 'ranking.json'), JSON.stringify({ spec, rows }, null, 2));
+
+  log.info('Ranking saved', { dir: sweepDir });
+  return sweepDir;
+}
+
+/**
+ * Loads a sweep spec file
+ */
+function loadSweepSpec(filePath) {
+  const spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    ...spec,
+    from: spec.from ? Date.parse(spec.from) : null,
+    to: spec.to ? Date.parse(spec.to) : null
+  };
+}
+
+/**
+ * Runs a sweep from a spec file, prints the ranking and saves it
+ */
+async function main(specPath) {
+  const { config } = require('./config');
+  const spec = loadSweepSpec(specPath);
+  const rows = await runSweep(config, spec);
+
+  logRanking(rows, spec.rankBy || 'totalPnL');
+  writeRanking(config.results.dir, spec, rows);
+  return rows;
+}
+
+module.exports = {
+  expandParameters,
+  normalizeStrategies,
+  applyCombination,
+  runPool,
+  toRows,
+  rankRows,
+  formatCombination,
+  loadSweepSpec,
+  runSweep,
+  logRanking,
+  writeRanking,
+  main
+};
@@ -0,0 +1,51 @@
+/**
+ * Sweep worker process
+ * Runs one backtest over a recording with the config received from the sweep
+ * runner and sends back the run summary
+ *
+ * Protocol (IPC):
+ *   in:  { config, source, from, to, includeEquityCurves }
+ *   out: { type: 'result', summary } | { type: 'error', message }
+ *
+ * With includeEquityCurves the summary also carries each portfolio's equity curve
+ * (summary.equityCurves[portfolioId]).
+ */
+
+const replaySource = require('./replaySource');
+const protobufDecoder = require('./protobufDecoder');
+const pipeline = require('./pipeline');
+const performanceMetrics = require('./performanceMetrics');
+const logger = require('./logger');
+
+/**
+ * Runs a single backtest and returns its summary
+ */
+async function runBacktest(job) {
+  logger.initializeLogger(job.config);
+  await protobufDecoder.initializeDecoder(job.config.kafka.topic);
+  pipeline.initializePipeline(job.config);
+
+  await replaySource.startReplay(job.source, {
+    from: job.from,
+    to: job.to,
+    onMessage: pipeline.handleMessage
+  });
+
+  const summary = pipeline.buildRunSummary();
+  if (job.includeEquityCurves) {
+    summary.equityCurves = {};
+    for (const portfolio of summary.portfolios) {
+      summary.equityCurves[portfolio.portfolioId] = performanceMetrics.getEquityCurve(portfolio.portfolioId);
+    }
+  }
+  return summary;
+}
+
+process.on('message', async job => {
+  try {
+    const summary = await runBacktest(job);
+    process.send({ type: 'result', summary }, () => process.disconnect());
+  } catch (error) {
+    process.send({ type: 'error', message: error.message }, () => process.disconnect());
+  }
+});
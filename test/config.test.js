@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config, loadConfig, validateConfig } = require('../config');
+
+const CREDENTIALS = { KAFKA_USERNAME: 'user', KAFKA_PASSWORD: 'secret' };
+
+/**
+ * Loads the configuration from the given environment and flags and returns the
+ * validation errors (empty if it is valid)
+ */
+function validationErrors(env, argv = []) {
+  loadConfig({ env, argv });
+  try {
+    validateConfig();
+    return [];
+  } catch (error) {
+    return error.errors;
+  }
+}
+
+test('the defaults with credentials are valid', () => {
+  assert.deepEqual(validationErrors(CREDENTIALS), []);
+  assert.equal(config.kafka.username, 'user');
+});
+
+test('environment variables and flags override the defaults, flags last', () => {
+  loadConfig({ env: { ...CREDENTIALS, TRADE_SIZE: '2.5', STRATEGY: 'A,C' }, argv: ['--trading.tradeSize', '3', 'replay'] });
+  assert.equal(config.trading.tradeSize, 3);
+  assert.deepEqual(config.trading.strategies, ['A', 'C']);
+});
+
+test('missing credentials are reported except for offline commands', () => {
+  assert.deepEqual(validationErrors({}), ['KAFKA_USERNAME and KAFKA_PASSWORD must be set']);
+  loadConfig({ env: {} });
+  assert.doesNotThrow(() => validateConfig({ offline: true }));
+});
+
+test('every invalid setting is reported with its source', () => {
+  const errors = validationErrors({ ...CREDENTIALS, TRADE_SIZE: '-1', KAFKA_START_FROM: 'yesterday' }, ['--queue.resumeSize', '2000']);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^kafka\.startFrom .*yesterday.* from env/);
+  assert.match(errors[1], /^trading\.tradeSize .* from env/);
+  assert.equal(errors[2], 'queue.resumeSize must be less than queue.maxSize');
+});
+
+test('dependent settings are checked together', () => {
+  assert.deepEqual(validationErrors({ ...CREDENTIALS, KAFKA_START_FROM: 'timestamp' }), [
+    "KAFKA_START_TIMESTAMP must be set when KAFKA_START_FROM is 'timestamp'"
+  ]);
+  assert.deepEqual(validationErrors({ ...CREDENTIALS, KAFKA_RECONNECT_BACKOFF_MS: '5000', KAFKA_RECONNECT_MAX_BACKOFF_MS: '1000' }), [
+    'supervisor.maxBackoffMs must not be less than supervisor.initialBackoffMs'
+  ]);
+});
+
+test('list settings are checked item by item', () => {
+  const errors = validationErrors({ ...CREDENTIALS, ALERT_EVENTS: 'trade,weather' });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^alerts\.events /);
+});
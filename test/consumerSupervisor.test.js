@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config, loadConfig } = require('../config');
+const logger = require('../logger');
+const kafkaConsumer = require('../kafkaConsumer');
+const consumerSupervisor = require('../consumerSupervisor');
+
+logger.initializeLogger({ logging: { level: 'silent' } });
+
+const kafkaEmitter = kafkaConsumer.getKafkaEmitter();
+
+// The supervisor only starts and restarts the consumer; both are replaced by counters
+let restartCalls = 0;
+let restartError = null;
+let stateWhileStarting = null;
+kafkaConsumer.startConsuming = async () => {
+  stateWhileStarting = consumerSupervisor.getHealth().state;
+};
+kafkaConsumer.restartConsumer = async () => {
+  restartCalls++;
+  if (restartError) {
+    throw restartError;
+  }
+};
+
+/**
+ * Starts the supervisor with the default settings plus overrides and records its
+ * health state changes
+ */
+async function start(t, env = {}) {
+  loadConfig({ env: { KAFKA_RECONNECT_BACKOFF_MS: '1', KAFKA_RECONNECT_MAX_BACKOFF_MS: '4', ...env } });
+  restartCalls = 0;
+  restartError = null;
+  const states = [];
+  const onState = ({ state }) => states.push(state);
+  consumerSupervisor.getSupervisorEmitter().on('state', onState);
+  t.after(async () => {
+    consumerSupervisor.getSupervisorEmitter().off('state', onState);
+    await consumerSupervisor.stopSupervisor();
+  });
+
+  await consumerSupervisor.startSupervisor(config, null);
+  return states;
+}
+
+/**
+ * Waits until the supervisor is in the given state
+ */
+async function waitForState(state) {
+  while (consumerSupervisor.getHealth().state !== state) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+}
+
+test('the backoff doubles up to the maximum, with at most 20% jitter', async t => {
+  await start(t, { KAFKA_RECONNECT_BACKOFF_MS: '1000', KAFKA_RECONNECT_MAX_BACKOFF_MS: '5000' });
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepEqual([1, 2, 3, 4, 5].map(consumerSupervisor.getBackoff), [1000, 2000, 4000, 5000, 5000]);
+
+  t.mock.method(Math, 'random', () => 0.9999);
+  assert.deepEqual([1, 2, 3, 4, 5].map(consumerSupervisor.getBackoff), [800, 1600, 3200, 4000, 4000]);
+});
+
+test('health moves through starting, healthy, degraded and reconnecting', async t => {
+  const states = await start(t);
+  assert.equal(stateWhileStarting, 'starting');
+  assert.equal(consumerSupervisor.getHealth().state, 'healthy');
+
+  // kafkajs restarts itself after a retriable crash
+  kafkaEmitter.emit('crash', new Error('rebalancing'), { restart: true });
+  assert.equal(consumerSupervisor.getHealth().state, 'degraded');
+  assert.equal(restartCalls, 0);
+  kafkaEmitter.emit('message', {});
+  assert.equal(consumerSupervisor.getHealth().state, 'healthy');
+
+  // An unexpected disconnect is restarted by the supervisor
+  kafkaEmitter.emit('disconnect');
+  assert.equal(consumerSupervisor.getHealth().state, 'reconnecting');
+  await waitForState('healthy');
+  assert.equal(restartCalls, 1);
+
+  assert.deepEqual(states, ['healthy', 'degraded', 'healthy', 'reconnecting', 'healthy']);
+  assert.equal(consumerSupervisor.getHealth().restarts, 1);
+});
+
+test('a stalled stream is marked degraded, then restarted', async t => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+  const states = await start(t, { KAFKA_STALL_TIMEOUT_MS: '5000', KAFKA_STALL_RESTART_MS: '10000' });
+
+  t.mock.timers.tick(4000);
+  assert.equal(consumerSupervisor.getHealth().state, 'healthy');
+  t.mock.timers.tick(1000);
+  assert.equal(consumerSupervisor.getHealth().state, 'degraded');
+  assert.match(consumerSupervisor.getHealth().reason, /^stall: no messages for 5s/);
+
+  t.mock.timers.tick(5000);
+  assert.equal(consumerSupervisor.getHealth().state, 'reconnecting');
+  await waitForState('healthy');
+  assert.equal(restartCalls, 1);
+  assert.deepEqual(states, ['healthy', 'degraded', 'reconnecting', 'healthy']);
+});
+
+test('the supervisor gives up after maxRestarts failed restarts in a row', async t => {
+  const states = await start(t, { KAFKA_MAX_RESTARTS: '3' });
+  restartError = new Error('broker unreachable');
+
+  kafkaEmitter.emit('crash', new Error('connection lost'), { restart: false });
+  const failure = await consumerSupervisor.waitForFailure();
+
+  assert.equal(restartCalls, 3);
+  assert.equal(failure.message, 'Kafka consumer failed after 3 restarts (last error: broker unreachable)');
+  assert.deepEqual(states, ['healthy', 'reconnecting', 'failed']);
+  assert.equal(consumerSupervisor.getHealth().state, 'failed');
+
+  // A failed consumer is not restarted again
+  kafkaEmitter.emit('disconnect');
+  assert.equal(restartCalls, 3);
+});
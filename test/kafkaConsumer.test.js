@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const kafkajs = require('kafkajs');
+const { config, loadConfig } = require('../config');
+const logger = require('../logger');
+const processingQueue = require('../processingQueue');
+
+logger.initializeLogger({ logging: { level: 'silent' } });
+
+// In-memory stand-in for the broker: records seeks and commits, and hands batches
+// to the running consumer's eachBatch
+const consumers = [];
+kafkajs.Kafka = class {
+  consumer() {
+    const consumer = {
+      events: { CONNECT: 'connect', DISCONNECT: 'disconnect', CRASH: 'crash' },
+      seeks: [],
+      commits: [],
+      on() {},
+      connect: async () => {},
+      subscribe: async () => {},
+      run: async ({ eachBatch }) => {
+        consumer.eachBatch = eachBatch;
+      },
+      seek: seek => consumer.seeks.push(seek),
+      pause() {},
+      resume() {},
+      commitOffsets: async offsets => consumer.commits.push(...offsets),
+      disconnect: async () => {}
+    };
+    consumers.push(consumer);
+    return consumer;
+  }
+};
+
+const kafkaConsumer = require('../kafkaConsumer');
+
+/**
+ * Feeds messages with the given offsets of partition 0 to the latest consumer and
+ * waits until they have been processed
+ */
+async function deliver(offsets) {
+  const consumer = consumers[consumers.length - 1];
+  await consumer.eachBatch({
+    batch: {
+      topic: config.kafka.topic,
+      partition: 0,
+      highWatermark: '10',
+      messages: offsets.map(offset => ({ offset: String(offset), timestamp: '1000', value: Buffer.from('{}') }))
+    },
+    resolveOffset() {},
+    heartbeat: async () => {},
+    isRunning: () => true,
+    isStale: () => false
+  });
+  await processingQueue.waitForIdle();
+}
+
+test('a failing handler does not advance the committed offset, and the restart consumes the message again', async () => {
+  loadConfig({ env: { KAFKA_USERNAME: 'user', KAFKA_PASSWORD: 'secret', KAFKA_COMMIT_INTERVAL_MS: '0' } });
+  const crashes = [];
+  const emitter = kafkaConsumer.getKafkaEmitter();
+  emitter.on('crash', (error, { restart }) => crashes.push([error.message, restart]));
+  emitter.on('error', () => {});
+
+  let failing = true;
+  const handled = [];
+  await kafkaConsumer.initializeKafka(config);
+  await kafkaConsumer.startConsuming(async msg => {
+    if (msg.offset === '1' && failing) {
+      throw new Error('simulator failed');
+    }
+    handled.push(msg.offset);
+  });
+
+  await deliver([0, 1, 2]);
+  assert.deepEqual(handled, ['0']);
+  assert.deepEqual(consumers[0].commits.map(commit => commit.offset), ['1']);
+  assert.deepEqual(crashes, [['simulator failed', false]]);
+  assert.equal(kafkaConsumer.getConsumerStatus().partitions[0].processedOffset, '0');
+
+  // The supervisor's restart continues at the failed message
+  failing = false;
+  await kafkaConsumer.restartConsumer();
+  assert.deepEqual(consumers[1].seeks, [{ topic: config.kafka.topic, partition: 0, offset: '1' }]);
+
+  await deliver([1, 2]);
+  assert.deepEqual(handled, ['0', '1', '2']);
+  assert.deepEqual(consumers[1].commits.map(commit => commit.offset), ['2', '3']);
+  await kafkaConsumer.disconnectKafka();
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config, loadConfig } = require('../config');
+const logger = require('../logger');
+const protobufDecoder = require('../protobufDecoder');
+const replaySource = require('../replaySource');
+const pipeline = require('../pipeline');
+
+logger.initializeLogger({ logging: { level: 'silent' } });
+
+// Messages without a pool event: only their Kafka timestamp moves the event clock
+protobufDecoder.decodeMessage = value => JSON.parse(value.toString());
+
+test('a replay logs a performance summary whenever its event time crosses an interval boundary', async () => {
+  loadConfig({ env: { RESULTS_ENABLED: 'false', SUMMARY_INTERVAL_MS: '60000' } });
+  pipeline.initializePipeline(config);
+  const summaries = [];
+  const onSummary = time => summaries.push(time);
+  pipeline.getPipelineEmitter().on('summary', onSummary);
+
+  const timestamps = [1000, 30000, 61000, 90000, 125000, 250000, 260000];
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-tester-')), 'session.jsonl');
+  fs.writeFileSync(file, timestamps.map((timestamp, offset) => `${JSON.stringify({
+    topic: 't', partition: 0, offset: String(offset), timestamp: String(timestamp), value: Buffer.from('{}').toString('base64')
+  })}\n`).join(''));
+
+  await replaySource.startReplay(file, { onMessage: pipeline.handleMessage });
+  pipeline.getPipelineEmitter().off('summary', onSummary);
+
+  // One summary per crossing, even when a gap skips several boundaries
+  assert.deepEqual(summaries, [61000, 125000, 250000]);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const positionBook = require('../positionBook');
+
+const POOL = '0xpool';
+
+/**
+ * Applies a fill at a price to a book
+ */
+function fill(book, side, amount, price, options) {
+  return positionBook.applyFill(book, { tradeId: `t-${side}-${price}`, poolAddress: POOL, side, amount, price, timestamp: 0 }, options);
+}
+
+test('FIFO closes the oldest lots first, partially if needed', () => {
+  const book = positionBook.createBook();
+  fill(book, 'BUY', 1, 100);
+  fill(book, 'BUY', 2, 200);
+
+  const result = fill(book, 'SELL', 2, 150);
+  assert.equal(result.filledAmount, 2);
+  assert.deepEqual(result.closedLots.map(lot => [lot.amount, lot.entryPrice, lot.pnl]), [[1, 100, 50], [1, 200, -50]]);
+  assert.equal(result.realizedPnL, 0);
+  assert.equal(positionBook.getNetPosition(book, POOL), 1);
+  assert.equal(positionBook.getAverageEntryPrice(book, POOL), 200);
+});
+
+test('a SELL without shorting is filled only up to the long position', () => {
+  const book = positionBook.createBook();
+  fill(book, 'BUY', 1, 100);
+
+  const result = fill(book, 'SELL', 3, 110);
+  assert.equal(result.filledAmount, 1);
+  assert.equal(result.openedLot, null);
+  assert.equal(positionBook.getNetPosition(book, POOL), 0);
+  assert.equal(fill(book, 'SELL', 1, 110).filledAmount, 0);
+});
+
+test('with shorting, a SELL beyond the long position opens a short lot that BUYs close', () => {
+  const book = positionBook.createBook();
+  const options = { allowShort: true };
+  fill(book, 'BUY', 1, 100, options);
+
+  const sell = fill(book, 'SELL', 3, 110, options);
+  assert.equal(sell.realizedPnL, 10);
+  assert.equal(sell.openedLot.side, 'SHORT');
+  assert.equal(positionBook.getNetPosition(book, POOL), -2);
+
+  const buy = fill(book, 'BUY', 2, 100, options);
+  assert.equal(buy.realizedPnL, 20);
+  assert.equal(positionBook.getNetPosition(book, POOL), 0);
+  assert.deepEqual(positionBook.getOpenPositions(book), []);
+});
+
+test('exported books restore with their lots and realized PnL', () => {
+  const book = positionBook.createBook();
+  fill(book, 'BUY', 2, 100);
+  fill(book, 'SELL', 1, 120);
+
+  const restored = positionBook.importBook(JSON.parse(JSON.stringify(positionBook.exportBook(book))));
+  assert.deepEqual(positionBook.getOpenPositions(restored), positionBook.getOpenPositions(book));
+});
+
+test('average cost closes every unit at the same average entry price', () => {
+  const book = positionBook.createBook();
+  const options = { costBasis: 'AVERAGE' };
+  fill(book, 'BUY', 1, 100, options);
+  fill(book, 'BUY', 1, 200, options);
+
+  assert.equal(fill(book, 'SELL', 1, 150, options).realizedPnL, 0);
+  assert.equal(fill(book, 'SELL', 1, 150, options).realizedPnL, 0);
+});
+
+test('average cost keeps one basis across a sequence of partial sells', () => {
+  const book = positionBook.createBook();
+  const options = { costBasis: 'AVERAGE' };
+  fill(book, 'BUY', 1, 100, options);
+  fill(book, 'BUY', 1, 200, options);
+
+  const first = fill(book, 'SELL', 1, 150, options);
+  assert.equal(first.realizedPnL, 0);
+  assert.equal(positionBook.getAverageEntryPrice(book, POOL), 150);
+
+  // Adding to the position averages in the new lot
+  fill(book, 'BUY', 1, 300, options);
+  assert.equal(positionBook.getAverageEntryPrice(book, POOL), 225);
+
+  const second = fill(book, 'SELL', 0.5, 250, options);
+  const third = fill(book, 'SELL', 1.5, 200, options);
+  assert.equal(second.realizedPnL, 12.5);
+  assert.deepEqual(third.closedLots.map(lot => lot.entryPrice), [225, 225]);
+  assert.equal(third.realizedPnL, -37.5);
+  assert.equal(first.realizedPnL + second.realizedPnL + third.realizedPnL, (150 + 250 * 0.5 + 200 * 1.5) - (100 + 200 + 300));
+  assert.deepEqual(positionBook.getOpenPositions(book), []);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config, loadConfig } = require('../config');
+const logger = require('../logger');
+const eventClock = require('../eventClock');
+const riskManager = require('../riskManager');
+const tradeSimulator = require('../tradeSimulator');
+
+logger.initializeLogger({ logging: { level: 'silent' } });
+
+const POOL = '0xpool';
+
+/**
+ * Creates a pool update quoting a single price
+ */
+function poolAt(price) {
+  return {
+    poolAddress: POOL,
+    prices: { 10: price },
+    slippageBuckets: [{ SlippageBasisPoints: 10, Price: price, MaxAmountIn: '10' }]
+  };
+}
+
+test('a breached position is forced once and counted only after the exit executes', () => {
+  loadConfig({ env: { STOP_LOSS_PCT: '0.05' } });
+  tradeSimulator.initializeSimulator(config);
+  tradeSimulator.resetTrades();
+  riskManager.initializeRiskManager(config);
+  eventClock.resetClock();
+  eventClock.advanceClock(1000);
+  tradeSimulator.executeBuy(poolAt(100), 1, 0.01, 'A');
+
+  const [intent] = riskManager.checkPositions('A', poolAt(90));
+  assert.equal(intent.side, 'SELL');
+  assert.equal(intent.forced, true);
+  assert.equal(riskManager.getRiskSummary('A').forced, 0);
+
+  // Pending: later ticks do not force the position again
+  eventClock.advanceClock(2000);
+  assert.deepEqual(riskManager.checkPositions('A', poolAt(89)), []);
+
+  // A failed exit is retried once exitRetryMs has passed
+  riskManager.completeForcedExit('A', intent, poolAt(90), false);
+  assert.equal(riskManager.getRiskSummary('A').forced, 0);
+  eventClock.advanceClock(1000 + config.risk.exitRetryMs - 1);
+  assert.deepEqual(riskManager.checkPositions('A', poolAt(89)), []);
+  eventClock.advanceClock(1000 + config.risk.exitRetryMs);
+  const [retry] = riskManager.checkPositions('A', poolAt(89));
+  assert.equal(retry.size, 1);
+
+  assert.ok(tradeSimulator.executeSell(poolAt(89), retry.size, retry.slippage, 'A'));
+  riskManager.completeForcedExit('A', retry, poolAt(89), true);
+  const summary = riskManager.getRiskSummary('A');
+  assert.equal(summary.forced, 1);
+  assert.deepEqual(summary.reasons, { 'stop-loss': 1 });
+  assert.deepEqual(riskManager.checkPositions('A', poolAt(80)), []);
+});
+
+test('restored risk state without pending exits still forces breached positions', () => {
+  loadConfig({ env: { STOP_LOSS_PCT: '0.05' } });
+  tradeSimulator.initializeSimulator(config);
+  tradeSimulator.resetTrades();
+  riskManager.initializeRiskManager(config);
+  tradeSimulator.executeBuy(poolAt(100), 1, 0.01, 'A');
+
+  riskManager.importState({ portfolios: [['A', { tradeTimes: [], cooldownUntil: 0, counts: { rejected: 0, reduced: 0, forced: 0 }, reasons: {} }]] }, ['A']);
+  assert.equal(riskManager.checkPositions('A', poolAt(90)).length, 1);
+});
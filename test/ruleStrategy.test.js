@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const ruleStrategy = require('../ruleStrategy');
+
+const VALID_SPEC = {
+  params: { entryZScore: -1.5 },
+  rules: [
+    { name: 'exit', side: 'SELL', when: ['position.side == LONG', { any: ['slopeZScore >= 0', 'position.return <= -0.05'] }], size: 'position.size' },
+    { name: 'entry', side: 'BUY', when: 'slopeZScore <= $entryZScore' }
+  ]
+};
+
+/**
+ * Compiles a spec and returns the reported errors (empty if it is valid)
+ */
+function compileErrors(spec) {
+  try {
+    ruleStrategy.compileSpec(spec, 'test.yaml');
+    return [];
+  } catch (error) {
+    return error.errors;
+  }
+}
+
+test('a valid spec compiles into rules', () => {
+  const rules = ruleStrategy.compileSpec(VALID_SPEC, 'test.yaml');
+  assert.deepEqual(rules.map(rule => [rule.name, rule.side]), [['exit', 'SELL'], ['entry', 'BUY']]);
+
+  const inputs = { slopeZScore: 0.5, 'position.side': 'LONG', 'position.return': 0.01, 'position.size': 2 };
+  assert.equal(rules[0].condition(inputs, {}), true);
+  assert.equal(rules[0].condition({ ...inputs, 'position.side': 'FLAT' }, {}), false);
+  assert.equal(rules[0].size(inputs, {}), 2);
+  assert.equal(rules[1].condition({ slopeZScore: -2 }, { entryZScore: -1.5 }), true);
+});
+
+test('every problem of a spec is reported at once with its location', () => {
+  const errors = compileErrors({
+    params: { entryZScore: 'low' },
+    rules: [
+      { side: 'HOLD', when: 'slopeZScore <= $missing', color: 'red' },
+      { name: 'exit', side: 'SELL', when: { some: ['slope > 0'] } }
+    ],
+    extra: true
+  });
+
+  assert.deepEqual(errors, [
+    "unknown key 'extra' (expected name, description, params, rules)",
+    'params.entryZScore: expected a number or null, got "low"',
+    "rules[0]: unknown key 'color' (expected name, side, when, size, slippage, chunks)",
+    'rules[0].side: expected BUY or SELL, got "HOLD"',
+    "rules[0].when: unknown parameter '$missing' (defined: $tradeSize, $slippage, $entryZScore) in 'slopeZScore <= $missing'",
+    "rules[1] (exit).when: unknown combinator 'some' (expected all, any or not)"
+  ]);
+});
+
+test('conditions are type checked', () => {
+  assert.match(compileErrors({ rules: [{ side: 'BUY', when: 'position.side > 0' }] })[0], /'>' needs numeric operands/);
+  assert.match(compileErrors({ rules: [{ side: 'BUY', when: 'slope == LONG' }] })[0], /cannot compare a number with a string/);
+  assert.match(compileErrors({ rules: [{ side: 'BUY', when: 'slope => 0' }] })[0], /cannot parse condition/);
+  assert.match(compileErrors({ rules: [{ side: 'BUY', when: 'volume > 0' }] })[0], /volume/);
+  assert.match(compileErrors({ rules: [{ side: 'BUY', when: [] }] })[0], /expected a non-empty list of conditions/);
+});
+
+test('a spec without rules is rejected', () => {
+  assert.deepEqual(compileErrors({ name: 'empty' }), ['rules: expected a non-empty list of rules']);
+  assert.deepEqual(compileErrors([]), ['the spec must be an object with a rules list']);
+});
+
+test('the example spec loads as a strategy plugin', () => {
+  const plugin = ruleStrategy.loadRuleStrategy(path.join(__dirname, '..', 'strategies', 'zscoreReversion.yaml'));
+  assert.equal(plugin.name, 'zscore-reversion');
+  assert.equal(typeof plugin.onPoolUpdate, 'function');
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const logger = require('../logger');
+const streamRecorder = require('../streamRecorder');
+const replaySource = require('../replaySource');
+
+logger.initializeLogger({ logging: { level: 'silent' } });
+
+/**
+ * Creates a raw Kafka message with a JSON payload
+ */
+function message(offset, timestamp) {
+  return { topic: 't', partition: 0, offset: String(offset), timestamp: String(timestamp), value: Buffer.from(JSON.stringify({ offset })) };
+}
+
+/**
+ * Reads every message of a recording file or archive
+ */
+async function readAll(source, range) {
+  const messages = [];
+  for await (const msg of replaySource.readSource(source, range)) {
+    messages.push(msg);
+  }
+  return messages;
+}
+
+/**
+ * Creates an empty temporary directory
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-tester-'));
+}
+
+test('recorded messages replay unchanged and in order', async () => {
+  const dir = tempDir();
+  await streamRecorder.openRecorder({ dir });
+  for (let i = 0; i < 5; i++) {
+    await streamRecorder.recordMessage(message(i, 1000 + i));
+  }
+  await streamRecorder.closeRecorder();
+
+  const messages = await readAll(dir);
+  assert.deepEqual(messages.map(msg => msg.offset), ['0', '1', '2', '3', '4']);
+  assert.deepEqual(JSON.parse(messages[4].value.toString()), { offset: 4 });
+  assert.deepEqual(await replaySource.getTimeRange(dir), { from: 1000, to: 1004 });
+});
+
+test('a restarted recorder appends to the segment of a cleanly closed session', async () => {
+  const dir = tempDir();
+  await streamRecorder.openRecorder({ dir });
+  await streamRecorder.recordMessage(message(0, 1000));
+  await streamRecorder.closeRecorder();
+  await streamRecorder.openRecorder({ dir });
+  await streamRecorder.recordMessage(message(1, 2000));
+  await streamRecorder.closeRecorder();
+
+  assert.equal(streamRecorder.readIndex(dir).segments.length, 1);
+  assert.deepEqual((await readAll(dir)).map(msg => msg.offset), ['0', '1']);
+});
+
+test('a recorder restarted after a crash seals the interrupted segment and loses no flushed message', async () => {
+  const dir = tempDir();
+  // Records three messages, waits for a flush and exits without closing the recorder
+  execFileSync(process.execPath, ['-e', `
+    const logger = require(${JSON.stringify(require.resolve('../logger'))});
+    const streamRecorder = require(${JSON.stringify(require.resolve('../streamRecorder'))});
+    logger.initializeLogger({ logging: { level: 'silent' } });
+    (async () => {
+      await streamRecorder.openRecorder({ dir: ${JSON.stringify(dir)}, flushIntervalMs: 10 });
+      for (let i = 0; i < 3; i++) {
+        await streamRecorder.recordMessage({ topic: 't', partition: 0, offset: String(i), timestamp: String(1000 + i), value: Buffer.from('{}') });
+      }
+      setTimeout(() => process.exit(0), 200);
+    })();
+  `]);
+
+  await streamRecorder.openRecorder({ dir });
+  for (let i = 3; i < 5; i++) {
+    await streamRecorder.recordMessage(message(i, 1000 + i));
+  }
+  await streamRecorder.closeRecorder();
+
+  const segments = streamRecorder.readIndex(dir).segments;
+  assert.deepEqual(segments.map(segment => [segment.file, segment.closed, Boolean(segment.interrupted)]), [
+    ['segment-000001.jsonl.gz', true, true],
+    ['segment-000002.jsonl.gz', false, false]
+  ]);
+  assert.deepEqual((await readAll(dir)).map(msg => msg.offset), ['0', '1', '2', '3', '4']);
+  // The interrupted segment's index entry may lag behind its data, so it is never excluded by time
+  assert.deepEqual((await readAll(dir, { from: 1002, to: 1003 })).map(msg => msg.offset), ['2', '3']);
+});
+
+test('a recorder that crashes right after resuming a segment has it sealed on the next start', async () => {
+  const dir = tempDir();
+  await streamRecorder.openRecorder({ dir });
+  for (let i = 0; i < 2; i++) {
+    await streamRecorder.recordMessage(message(i, 1000 + i));
+  }
+  await streamRecorder.closeRecorder();
+
+  // Resumes the segment, records a message and exits before the first flush
+  execFileSync(process.execPath, ['-e', `
+    const logger = require(${JSON.stringify(require.resolve('../logger'))});
+    const streamRecorder = require(${JSON.stringify(require.resolve('../streamRecorder'))});
+    logger.initializeLogger({ logging: { level: 'silent' } });
+    (async () => {
+      await streamRecorder.openRecorder({ dir: ${JSON.stringify(dir)} });
+      await streamRecorder.recordMessage({ topic: 't', partition: 0, offset: '2', timestamp: '1002', value: Buffer.from('{}') });
+      setImmediate(() => process.exit(0));
+    })();
+  `]);
+
+  await streamRecorder.openRecorder({ dir });
+  await streamRecorder.recordMessage(message(3, 1003));
+  await streamRecorder.closeRecorder();
+
+  const segments = streamRecorder.readIndex(dir).segments;
+  assert.deepEqual(segments.map(segment => [segment.file, segment.closed, Boolean(segment.interrupted)]), [
+    ['segment-000001.jsonl.gz', true, true],
+    ['segment-000002.jsonl.gz', false, false]
+  ]);
+  // The message recorded before the crash was never flushed and may be lost
+  const offsets = (await readAll(dir)).map(msg => msg.offset);
+  assert.deepEqual(offsets.filter(offset => offset !== '2'), ['0', '1', '3']);
+});
+
+test('a corrupt gzip member is skipped without losing the other members', async () => {
+  const record = msg => `${JSON.stringify({ ...msg, value: msg.value.toString('base64') })}\n`;
+  // A member cut short after a flush (as left by a crash), followed by a complete one
+  const gzip = zlib.createGzip();
+  const truncated = [];
+  gzip.on('data', chunk => truncated.push(chunk));
+  gzip.write(record(message(1, 2000)) + record(message(2, 3000)).slice(0, 20));
+  await new Promise(resolve => gzip.flush(zlib.constants.Z_SYNC_FLUSH, resolve));
+
+  const file = path.join(tempDir(), 'session.jsonl.gz');
+  fs.writeFileSync(file, Buffer.concat([
+    zlib.gzipSync(record(message(0, 1000))),
+    ...truncated,
+    zlib.gzipSync(record(message(3, 4000)))
+  ]));
+
+  assert.deepEqual((await readAll(file)).map(msg => msg.offset), ['0', '1', '3']);
+});
+
+test('segments rotate at the size limit and are selected by time range', async () => {
+  const dir = tempDir();
+  await streamRecorder.openRecorder({ dir, maxSegmentBytes: 1 });
+  for (let i = 0; i < 3; i++) {
+    await streamRecorder.recordMessage(message(i, 1000 * (i + 1)));
+  }
+  await streamRecorder.closeRecorder();
+
+  assert.equal(streamRecorder.readIndex(dir).segments.length, 3);
+  assert.deepEqual((await readAll(dir, { from: 2000, to: 2500 })).map(msg => msg.offset), ['1']);
+});
+
+test('a plain JSON Lines recording replays, skipping malformed lines', async () => {
+  const file = path.join(tempDir(), 'session.jsonl');
+  const record = msg => JSON.stringify({ ...msg, value: msg.value.toString('base64') });
+  fs.writeFileSync(file, `${record(message(0, 1000))}\nnot json\n\n${record(message(1, 2000))}\n`);
+
+  const replayed = [];
+  const count = await replaySource.startReplay(file, { onMessage: msg => replayed.push(msg.offset) });
+  assert.equal(count, 2);
+  assert.deepEqual(replayed, ['0', '1']);
+});
+
+test('a failing replay rejects with the recording and the original error', async () => {
+  const file = path.join(tempDir(), 'session.jsonl');
+  fs.writeFileSync(file, `${JSON.stringify({ ...message(0, 1000), value: 'e30=' })}\n`);
+
+  await assert.rejects(
+    replaySource.startReplay(file, { onMessage: () => { throw new Error('handler failed'); } }),
+    error => error.message === `Failed to replay recording ${file}: handler failed` && error.cause.message === 'handler failed'
+  );
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config, loadConfig } = require('../config');
+const logger = require('../logger');
+const tradeSimulator = require('../tradeSimulator');
+
+logger.initializeLogger({ logging: { level: 'silent' } });
+
+const POOL = '0xpool';
+
+// Selling 1 moves the price 10bp, 5 moves it 50bp and 10 moves it 100bp
+const POOL_DATA = {
+  poolAddress: POOL,
+  prices: { 10: 100 },
+  slippageBuckets: [
+    { SlippageBasisPoints: 10, Price: 100, MaxAmountIn: '1' },
+    { SlippageBasisPoints: 50, Price: 99.5, MaxAmountIn: '5' },
+    { SlippageBasisPoints: 100, Price: 99, MaxAmountIn: '10' }
+  ]
+};
+
+/**
+ * Resets the simulator with the default configuration plus overrides
+ */
+function setup(env = {}) {
+  loadConfig({ env });
+  tradeSimulator.initializeSimulator(config);
+  tradeSimulator.resetTrades();
+}
+
+test('a SELL capped at the long position is priced and charged for the capped size', () => {
+  setup();
+  tradeSimulator.executeBuy(POOL_DATA, 1, 0.01, 'A');
+
+  // The full 10 would move the price 100bp, beyond the 50bp tolerance
+  const trade = tradeSimulator.executeSell(POOL_DATA, 10, 0.005, 'A');
+  assert.equal(trade.requestedAmount, 10);
+  assert.equal(trade.amount, 1);
+  assert.equal(trade.price, 100);
+  assert.equal(trade.costs.impactBps, 10);
+  assert.equal(trade.costs.poolFee, 100 * 0.003);
+  assert.equal(trade.netPosition, 0);
+});
+
+test('a SELL without a long position is not executed', () => {
+  setup();
+  assert.equal(tradeSimulator.executeSell(POOL_DATA, 1, 0.01, 'A'), null);
+  assert.equal(tradeSimulator.getPerformanceSummary('A').totalTrades, 0);
+});
+
+test('with shorting, a SELL is priced for its full size', () => {
+  setup({ ALLOW_SHORT: 'true' });
+  assert.throws(() => tradeSimulator.executeSell(POOL_DATA, 10, 0.005, 'A'), /exceeds slippage tolerance/);
+
+  const trade = tradeSimulator.executeSell(POOL_DATA, 5, 0.005, 'A');
+  assert.equal(trade.amount, 5);
+  assert.equal(trade.price, 99.5);
+  assert.equal(trade.netPosition, -5);
+});
+
+test('equity values open positions at the latest price against their average entry price', () => {
+  setup({ COST_BASIS: 'AVERAGE' });
+  tradeSimulator.executeBuy({ ...POOL_DATA, slippageBuckets: [{ SlippageBasisPoints: 10, Price: 100 }] }, 1, 0.01, 'A');
+  tradeSimulator.executeBuy({ ...POOL_DATA, slippageBuckets: [{ SlippageBasisPoints: 10, Price: 200 }] }, 1, 0.01, 'A');
+  tradeSimulator.executeSell({ ...POOL_DATA, slippageBuckets: [{ SlippageBasisPoints: 10, Price: 150 }] }, 1, 0.01, 'A');
+  tradeSimulator.updateMarkPrice({ poolAddress: POOL, prices: { 10: 170 } });
+
+  const equity = tradeSimulator.getEquity('A');
+  assert.equal(equity.unrealized, 20);
+  assert.equal(equity.exposure, 170);
+});
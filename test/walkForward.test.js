@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const walkForward = require('../walkForward');
+
+const HOUR = 60 * 60 * 1000;
+
+test('rolling windows step by the out-of-sample length and stay within the data', () => {
+  const windows = walkForward.buildWindows(0, 5 * HOUR - 1, { inSampleMs: 2 * HOUR, outOfSampleMs: HOUR });
+
+  assert.deepEqual(windows.map(w => [w.index, w.inSample.from, w.inSample.to, w.outOfSample.from, w.outOfSample.to]), [
+    [1, 0, 2 * HOUR - 1, 2 * HOUR, 3 * HOUR - 1],
+    [2, HOUR, 3 * HOUR - 1, 3 * HOUR, 4 * HOUR - 1],
+    [3, 2 * HOUR, 4 * HOUR - 1, 4 * HOUR, 5 * HOUR - 1]
+  ]);
+});
+
+test('anchored windows all start at the beginning of the data', () => {
+  const windows = walkForward.buildWindows(1000, 1000 + 4 * HOUR, { inSampleMs: 2 * HOUR, outOfSampleMs: HOUR, stepMs: 2 * HOUR, anchored: true });
+
+  assert.equal(windows.length, 2);
+  assert.deepEqual(windows.map(w => w.inSample.from), [1000, 1000]);
+  assert.deepEqual(windows.map(w => w.inSample.to), [1000 + 2 * HOUR - 1, 1000 + 4 * HOUR - 1]);
+  // The last out-of-sample window is cut at the end of the data
+  assert.deepEqual(windows[1].outOfSample, { from: 1000 + 4 * HOUR, to: 1000 + 4 * HOUR });
+});
+
+test('invalid window lengths and too short data are rejected', () => {
+  assert.throws(() => walkForward.buildWindows(0, 10 * HOUR, { inSampleMs: 0, outOfSampleMs: HOUR }), /must be positive/);
+  assert.throws(() => walkForward.buildWindows(0, HOUR, { inSampleMs: 2 * HOUR, outOfSampleMs: HOUR }), /shorter than one in-sample window/);
+});
+
+test('stitched equity curves continue from the final equity of the previous window', () => {
+  // The first window ends with 5 realized and 3 unrealized on a position still open
+  const windowResults = [
+    { strategies: { A: { inSample: { totalPnL: 1 }, outOfSample: {
+      row: { totalPnL: 5, totalTrades: 3, closedTrades: 2, winRate: 0.5, totalCosts: 0.2 },
+      equityCurve: [{ timestamp: 1, equity: 0, exposure: 0 }, { timestamp: 2, equity: 8, exposure: 100 }]
+    } } } },
+    { strategies: { A: { inSample: { totalPnL: 2 }, outOfSample: {
+      row: { totalPnL: -1, totalTrades: 2, closedTrades: 2, winRate: 1, totalCosts: 0.1 },
+      equityCurve: [{ timestamp: 3, equity: 0, exposure: 0 }, { timestamp: 4, equity: -1, exposure: 0 }]
+    } } } }
+  ];
+
+  const stitched = walkForward.stitchResults('A', windowResults);
+  assert.equal(stitched.windows, 2);
+  assert.equal(stitched.totalPnL, 4);
+  assert.equal(stitched.totalTrades, 5);
+  assert.equal(stitched.winRate, 0.75);
+  assert.equal(stitched.inSamplePnL, 3);
+  assert.equal(stitched.profitableWindows, 1);
+  // No artificial drop between windows: the curve goes 0, 8, 8, 7
+  assert.equal(stitched.maxDrawdown, 1);
+});
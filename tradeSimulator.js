@@ -1,151 +1,227 @@
 /**
  * Trade simulator module
- * Simulates trade execution and maintains a virtual trade ledger
+ * Simulates trade execution and maintains an isolated virtual trade ledger and
+ * position book per portfolio, keyed by strategy ID, so strategies can be
+ * compared on identical data
  */
 
+const positionBook = require('./positionBook');
+const executionModel = require('./executionModel');
+const eventClock = require('./eventClock');
+const logger = require('./logger');
+
+const log = logger.createLogger('TradeSimulator');
+const noPositionLog = log.limited('noPosition');
+
 // Shared state
-let trades = [];
-let openPosition = null;
+const portfolios = new Map();
+const markPrices = new Map(); // pool address -> latest best price
 let tradeCounter = 0;
+let bookOptions = {
+  costBasis: 'FIFO',
+  allowShort: false
+};
 
 /**
- * Generates a unique trade ID
+ * Initializes the simulator with configuration
  */
-function generateTradeId() {
-  return `trade-${Date.now()}-${++tradeCounter}`;
+function initializeSimulator(config) {
+  executionModel.initializeExecutionModel(config);
+  bookOptions = {
+    costBasis: config.trading.costBasis,
+    allowShort: config.trading.allowShort
+  };
 }
 
 /**
- * Gets the execution price based on slippage buckets
- * Uses PoolPriceTable structure with SlippageBasisPoints and Price fields
+ * Creates a portfolio for a strategy ID if it does not exist yet, and returns it
  */
-function getExecutionPrice(poolData, amount, slippage, direction) {
-  const slippageBasisPoints = Math.round(slippage * 10000);
-  const buckets = poolData.slippageBuckets || [];
-
-  if (buckets.length === 0) {
-    // Fallback to prices object if available
-    const prices = poolData.prices || {};
-    if (Object.keys(prices).length > 0) {
-      const bpKey = slippageBasisPoints.toString();
-      return prices[bpKey] || prices[slippageBasisPoints] || null;
-    }
-    return null;
-  }
-
-  // Find bucket matching slippage (field name can be SlippageBasisPoints or slippageBasisPoints)
-  let targetBucket = buckets.find(b => {
-    const bp = b.SlippageBasisPoints || b.slippageBasisPoints || 0;
-    return bp === slippageBasisPoints;
-  });
-  
-  if (!targetBucket) {
-    // Find closest bucket
-    targetBucket = buckets.reduce((closest, bucket) => {
-      const currentBp = bucket.SlippageBasisPoints || bucket.slippageBasisPoints || 0;
-      const closestBp = closest.SlippageBasisPoints || closest.slippageBasisPoints || 0;
-      const currentDiff = Math.abs(currentBp - slippageBasisPoints);
-      const closestDiff = Math.abs(closestBp - slippageBasisPoints);
-      return currentDiff < closestDiff ? bucket : closest;
+function createPortfolio(portfolioId) {
+  if (!portfolios.has(portfolioId)) {
+    portfolios.set(portfolioId, {
+      id: portfolioId,
+      trades: [],
+      book: positionBook.createBook()
     });
   }
+  return portfolios.get(portfolioId);
+}
 
-  // Extract price (field name can be Price or price)
-  const price = targetBucket.Price || targetBucket.price || null;
-  return price;
+/**
+ * Gets the IDs of all portfolios in creation order
+ */
+function getPortfolioIds() {
+  return Array.from(portfolios.keys());
 }
 
 /**
- * Simulates executing a BUY order
+ * Generates a unique trade ID
  */
-function executeBuy(poolData, amount, slippage, strategy) {
-  const price = getExecutionPrice(poolData, amount, slippage, 'BUY');
-  
-  if (!price) {
-    throw new Error('Unable to determine execution price for BUY');
+function generateTradeId(timestamp) {
+  return `trade-${timestamp}-${++tradeCounter}`;
+}
+
+/**
+ * Executes a fill against a portfolio's position book and records the trade
+ * A SELL capped at the long position is priced and charged for the capped size only
+ */
+function executeOrder(side, poolData, amount, slippage, strategy) {
+  const portfolio = createPortfolio(strategy);
+  const poolAddress = poolData.poolAddress || poolData.address || 'unknown';
+  const timestamp = eventClock.now();
+
+  const fillable = positionBook.getFillableAmount(portfolio.book, poolAddress, side, amount, bookOptions);
+  if (fillable <= 1e-12) {
+    return null;
+  }
+  const fill = executionModel.simulateFill(poolData, { side, amount: fillable, slippage, timestamp });
+
+  if (!fill) {
+    throw new Error(`Unable to determine execution price for ${side}`);
   }
 
+  const price = fill.price;
+  const tradeId = generateTradeId(timestamp);
+  const result = positionBook.applyFill(portfolio.book, {
+    tradeId,
+    poolAddress,
+    side,
+    amount: fillable,
+    price,
+    timestamp
+  }, bookOptions);
+
+  const costs = {
+    impactBps: fill.impactBps,
+    bestPrice: fill.bestPrice,
+    poolFeeBps: fill.poolFeeBps,
+    poolFee: fill.poolFee,
+    gasPriceGwei: fill.gasPriceGwei,
+    gasCostEth: fill.gasCostEth,
+    gasCost: fill.gasCost,
+    total: fill.totalCost
+  };
+
   const trade = {
-    id: generateTradeId(),
-    type: 'BUY',
-    amount: amount,
-    entryPrice: price,
-    exitPrice: null,
-    entryTimestamp: Date.now(),
-    exitTimestamp: null,
-    poolAddress: poolData.poolAddress || poolData.address || 'unknown',
+    id: tradeId,
+    type: side,
+    requestedAmount: amount,
+    amount: result.filledAmount,
+    price: price,
+    timestamp: timestamp,
+    blockNumber: poolData.blockNumber !== undefined ? poolData.blockNumber : null,
+    transactionHash: poolData.transactionHash || null,
+    poolAddress: poolAddress,
     strategy: strategy,
-    slippage: slippage
+    slippage: slippage,
+    closedLots: result.closedLots,
+    openedLot: result.openedLot,
+    realizedPnL: result.realizedPnL,
+    costs: costs,
+    netPosition: positionBook.getNetPosition(portfolio.book, poolAddress)
   };
 
-  trades.push(trade);
-  openPosition = trade;
+  portfolio.trades.push(trade);
 
   return trade;
 }
 
 /**
- * Simulates executing a SELL order
+ * Simulates executing a BUY order (closes short lots first, then opens a long lot)
+ */
+function executeBuy(poolData, amount, slippage, strategy) {
+  return executeOrder('BUY', poolData, amount, slippage, strategy);
+}
+
+/**
+ * Simulates executing a SELL order (closes long lots first; opens a short lot only if shorting is enabled)
+ * Returns null if there is nothing to sell
  */
 function executeSell(poolData, amount, slippage, strategy) {
-  if (!openPosition) {
-    console.warn('[TradeSimulator] No open position to sell');
-    return null;
-  }
+  const trade = executeOrder('SELL', poolData, amount, slippage, strategy);
 
-  const price = getExecutionPrice(poolData, amount, slippage, 'SELL');
-  
-  if (!price) {
-    throw new Error('Unable to determine execution price for SELL');
+  if (!trade) {
+    noPositionLog.warn('No open position to sell', { strategy });
+  } else if (trade.amount < amount) {
+    log.warn('Partial SELL', { strategy, filled: trade.amount, requested: amount });
   }
 
-  openPosition.exitPrice = price;
-  openPosition.exitTimestamp = Date.now();
-
-  const trade = {
-    ...openPosition,
-    exitPrice: price,
-    exitTimestamp: Date.now()
-  };
-
-  openPosition = null;
-
   return trade;
 }
 
 /**
- * Calculates PnL for a closed trade
+ * Calculates net PnL for a trade: realized PnL of the closed lots minus the trade's
+ * own costs (trades that only open a lot have negative PnL equal to their costs)
  */
 function calculatePnL(trade) {
-  if (!trade.exitPrice) {
-    return 0;
+  return (trade.realizedPnL || 0) - (trade.costs ? trade.costs.total : 0);
+}
+
+/**
+ * Gets the open positions of a portfolio
+ */
+function getOpenPositions(portfolioId) {
+  return positionBook.getOpenPositions(createPortfolio(portfolioId).book);
+}
+
+/**
+ * Records the latest best (lowest slippage) price of a pool for mark-to-market valuation
+ */
+function updateMarkPrice(poolData) {
+  const prices = poolData.prices || {};
+  const basisPoints = Object.keys(prices).map(k => parseInt(k)).sort((a, b) => a - b);
+  if (basisPoints.length > 0) {
+    markPrices.set(poolData.poolAddress, prices[basisPoints[0]]);
   }
+}
+
+/**
+ * Gets the mark-to-market equity of a portfolio: realized PnL net of costs plus the
+ * unrealized PnL of open lots at the latest pool prices, and the open exposure
+ */
+function getEquity(portfolioId) {
+  const portfolio = createPortfolio(portfolioId);
+  const realized = portfolio.trades.reduce((sum, trade) => sum + calculatePnL(trade), 0);
 
-  if (trade.type === 'BUY') {
-    return (trade.exitPrice - trade.entryPrice) * trade.amount;
-  } else {
-    return (trade.entryPrice - trade.exitPrice) * trade.amount;
+  let unrealized = 0;
+  let exposure = 0;
+  for (const position of positionBook.getOpenPositions(portfolio.book)) {
+    const markPrice = markPrices.has(position.poolAddress) ? markPrices.get(position.poolAddress) : position.averageEntryPrice;
+    // The lots of a position are all on one side, valued against their average entry price
+    unrealized += (markPrice - position.averageEntryPrice) * position.netAmount;
+    exposure += Math.abs(position.netAmount) * markPrice;
   }
+
+  return {
+    realized,
+    unrealized,
+    equity: realized + unrealized,
+    exposure
+  };
 }
 
 /**
- * Gets performance summary
+ * Summarizes a list of trades
  */
-function getPerformanceSummary() {
-  const closedTrades = trades.filter(t => t.exitPrice !== null);
-  const totalPnL = closedTrades.reduce((sum, trade) => sum + calculatePnL(trade), 0);
+function summarizeTrades(trades, openPositions) {
+  const closedTrades = trades.filter(t => t.closedLots.length > 0);
+  const grossPnL = trades.reduce((sum, trade) => sum + (trade.realizedPnL || 0), 0);
+  const totalCosts = trades.reduce((sum, trade) => sum + (trade.costs ? trade.costs.total : 0), 0);
+  const totalPnL = grossPnL - totalCosts;
   const winRate = closedTrades.length > 0
     ? closedTrades.filter(t => calculatePnL(t) > 0).length / closedTrades.length
     : 0;
-  const avgExecutionPrice = closedTrades.length > 0
-    ? closedTrades.reduce((sum, t) => sum + t.entryPrice, 0) / closedTrades.length
+  const avgExecutionPrice = trades.length > 0
+    ? trades.reduce((sum, t) => sum + t.price, 0) / trades.length
     : 0;
 
   return {
     totalTrades: trades.length,
     closedTrades: closedTrades.length,
-    openPosition: openPosition ? 1 : 0,
+    openPosition: openPositions,
     totalPnL: totalPnL,
+    grossPnL: grossPnL,
+    totalCosts: totalCosts,
     winRate: winRate,
     averageExecutionPrice: avgExecutionPrice,
     trades: trades
@@ -153,18 +229,100 @@ function getPerformanceSummary() {
 }
 
 /**
- * Resets the trade ledger
+ * Gets performance summary for one portfolio, or across all portfolios if no ID is given
+ * openPosition counts pools with a non-zero net position
+ */
+function getPerformanceSummary(portfolioId) {
+  if (portfolioId !== undefined) {
+    const portfolio = createPortfolio(portfolioId);
+    return summarizeTrades(portfolio.trades, positionBook.getOpenPositions(portfolio.book).length);
+  }
+
+  const all = Array.from(portfolios.values());
+  const trades = all.reduce((list, portfolio) => list.concat(portfolio.trades), []);
+  const openPositions = all.reduce((sum, portfolio) => sum + positionBook.getOpenPositions(portfolio.book).length, 0);
+  return summarizeTrades(trades, openPositions);
+}
+
+/**
+ * Gets one summary row per portfolio for side-by-side comparison
+ */
+function getComparisonTable() {
+  return getPortfolioIds().map(portfolioId => {
+    const { trades, ...summary } = getPerformanceSummary(portfolioId);
+    return { portfolioId, ...summary };
+  });
+}
+
+/**
+ * Resets the trade ledger of one portfolio, or of all portfolios if no ID is given
  */
-function resetTrades() {
-  trades = [];
-  openPosition = null;
+function resetTrades(portfolioId) {
+  if (portfolioId !== undefined) {
+    portfolios.delete(portfolioId);
+    return;
+  }
+  portfolios.clear();
+  markPrices.clear();
   tradeCounter = 0;
 }
 
+/**
+ * Exports the ledgers, position books and mark prices as plain data for state snapshots
+ */
+function exportState() {
+  return {
+    tradeCounter,
+    lots: positionBook.exportState(),
+    markPrices: Array.from(markPrices.entries()),
+    portfolios: Array.from(portfolios.values()).map(portfolio => ({
+      id: portfolio.id,
+      trades: portfolio.trades,
+      book: positionBook.exportBook(portfolio.book)
+    }))
+  };
+}
+
+/**
+ * Restores exported state for the given portfolio IDs
+ * Returns the IDs of snapshot portfolios that were not restored
+ */
+function importState(state, portfolioIds) {
+  tradeCounter = state.tradeCounter || 0;
+  positionBook.importState(state.lots || {});
+  markPrices.clear();
+  for (const [poolAddress, price] of state.markPrices || []) {
+    markPrices.set(poolAddress, price);
+  }
+
+  const skipped = [];
+  for (const portfolio of state.portfolios || []) {
+    if (!portfolioIds.includes(portfolio.id)) {
+      skipped.push(portfolio.id);
+      continue;
+    }
+    portfolios.set(portfolio.id, {
+      id: portfolio.id,
+      trades: portfolio.trades,
+      book: positionBook.importBook(portfolio.book)
+    });
+  }
+  return skipped;
+}
+
 module.exports = {
+  initializeSimulator,
+  createPortfolio,
+  getPortfolioIds,
   executeBuy,
   executeSell,
   calculatePnL,
+  getOpenPositions,
+  updateMarkPrice,
+  getEquity,
   getPerformanceSummary,
-  resetTrades
+  getComparisonTable,
+  resetTrades,
+  exportState,
+  importState
 };
@@ -0,0 +1,291 @@
+/**
+ * Walk-forward validation
+ * Splits a recording into rolling in-sample/out-of-sample windows, picks the best
+ * parameter combination per strategy on each in-sample window with a parameter
+ * sweep, evaluates it on the following out-of-sample window and stitches the
+ * out-of-sample results together
+ *
+ * Every backtest runs through the normal pipeline (strategy engine, risk manager
+ * and trade simulator) in a sweep worker, so results match regular replay runs.
+ *
+ * Usage: strategy-tester walkforward <walkforward.json> (see cli.js)
+ *
+ * Spec: a sweep spec (see sweepRunner.js) plus
+ *   {
+ *     "inSampleMs": 21600000,      // in-sample (optimization) window length
+ *     "outOfSampleMs": 3600000,    // out-of-sample (evaluation) window length
+ *     "stepMs": 3600000,           // window step (default: outOfSampleMs)
+ *     "anchored": false            // true: in-sample windows all start at the beginning of the data
+ *   }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sweepRunner = require('./sweepRunner');
+const replaySource = require('./replaySource');
+const performanceMetrics = require('./performanceMetrics');
+const resultsWriter = require('./resultsWriter');
+const logger = require('./logger');
+
+const log = logger.createLogger('WalkForward');
+
+/**
+ * Builds the list of in-sample/out-of-sample windows covering [start, end]
+ * Each window: { index, inSample: { from, to }, outOfSample: { from, to } } with inclusive ms bounds
+ */
+function buildWindows(start, end, options) {
+  const { inSampleMs, outOfSampleMs, anchored } = options;
+  const stepMs = options.stepMs || outOfSampleMs;
+
+  if (!(inSampleMs > 0) || !(outOfSampleMs > 0) || !(stepMs > 0)) {
+    throw new Error('inSampleMs, outOfSampleMs and stepMs must be positive');
+  }
+
+  const windows = [];
+  for (let isStart = start; isStart + inSampleMs <= end; isStart += stepMs) {
+    const oosStart = isStart + inSampleMs;
+    windows.push({
+      index: windows.length + 1,
+      inSample: { from: anchored ? start : isStart, to: oosStart - 1 },
+      outOfSample: { from: oosStart, to: Math.min(oosStart + outOfSampleMs, end + 1) - 1 }
+    });
+  }
+
+  if (windows.length === 0) {
+    throw new Error(`Data range of ${Math.round((end - start) / 1000)}s is shorter than one in-sample window`);
+  }
+  return windows;
+}
+
+/**
+ * Picks the best in-sample row (already ranked) of every strategy
+ */
+function pickBest(rankedRows, strategies) {
+  const best = {};
+  for (const strategy of strategies) {
+    const row = rankedRows.find(candidate => candidate.strategy === strategy.id);
+    if (row) {
+      best[strategy.id] = row;
+    }
+  }
+  return best;
+}
+
+/**
+ * Evaluates the chosen combination of every strategy on an out-of-sample window
+ * Returns { [strategyId]: { row, equityCurve } }
+ */
+async function evaluateOutOfSample(baseConfig, spec, window, strategies, best, workers) {
+  const selected = strategies.filter(strategy => best[strategy.id]);
+  const jobs = selected.map(strategy => ({
+    config: sweepRunner.applyCombination(baseConfig, best[strategy.id].parameters, [strategy]),
+    source: spec.source,
+    from: window.outOfSample.from,
+    to: window.outOfSample.to,
+    includeEquityCurves: true
+  }));
+
+  const results = await sweepRunner.runPool(jobs, workers, (index, result) => {
+    if (result.error) {
+      log.error('Out-of-sample run failed', { window: window.index, strategy: selected[index].id, error: result.error });
+    }
+  });
+
+  const evaluation = {};
+  results.forEach((result, index) => {
+    if (!result.summary) {
+      return;
+    }
+    const strategyId = selected[index].id;
+    const [row] = sweepRunner.toRows(best[strategyId].parameters, result.summary);
+    evaluation[strategyId] = { row, equityCurve: result.summary.equityCurves[strategyId] || [] };
+  });
+  return evaluation;
+}
+
+/**
+ * Stitches the out-of-sample results of a strategy across windows: PnL, trades and
+ * win rate are summed, and equity curves are chained so each window starts at the
+ * previous window's final equity
+ */
+function stitchResults(strategyId, windowResults) {
+  const runs = windowResults.map(result => result.strategies[strategyId]).filter(Boolean);
+  const curve = [];
+  let offset = 0;
+
+  for (const run of runs) {
+    const points = run.outOfSample.equityCurve;
+    for (const point of points) {
+      curve.push({ timestamp: point.timestamp, equity: offset + point.equity, exposure: point.exposure });
+    }
+    // The final equity includes positions still open at the end of the window
+    if (points.length > 0) {
+      offset += points[points.length - 1].equity;
+    }
+  }
+
+  const closedTrades = runs.reduce((sum, run) => sum + run.outOfSample.row.closedTrades, 0);
+  const wins = runs.reduce((sum, run) => sum + run.outOfSample.row.winRate * run.outOfSample.row.closedTrades, 0);
+  const inSamplePnL = runs.reduce((sum, run) => sum + run.inSample.totalPnL, 0);
+  const { maxDrawdown, maxDrawdownPct } = performanceMetrics.computeDrawdown(curve);
+  const { sharpeRatio, sortinoRatio } = performanceMetrics.computeRatios(curve);
+
+  return {
+    strategy: strategyId,
+    windows: runs.length,
+    totalPnL: runs.reduce((sum, run) => sum + run.outOfSample.row.totalPnL, 0),
+    totalTrades: runs.reduce((sum, run) => sum + run.outOfSample.row.totalTrades, 0),
+    closedTrades,
+    winRate: closedTrades > 0 ? wins / closedTrades : 0,
+    totalCosts: runs.reduce((sum, run) => sum + run.outOfSample.row.totalCosts, 0),
+    maxDrawdown,
+    maxDrawdownPct,
+    sharpeRatio,
+    sortinoRatio,
+    inSamplePnL,
+    profitableWindows: runs.filter(run => run.outOfSample.row.totalPnL > 0).length
+  };
+}
+
+/**
+ * Runs walk-forward validation and returns { windows, stitched }
+ */
+async function runWalkForward(baseConfig, spec) {
+  if (!spec.source || !fs.existsSync(spec.source)) {
+    throw new Error(`Walk-forward source not found: ${spec.source}`);
+  }
+
+  const range = await replaySource.getTimeRange(spec.source);
+  const start = spec.from || range.from;
+  const end = spec.to || range.to;
+  if (start === null || end === null) {
+    throw new Error(`No timestamped messages in ${spec.source}`);
+  }
+
+  const windows = buildWindows(start, end, spec);
+  const strategies = sweepRunner.normalizeStrategies(spec.strategies || baseConfig.trading.strategies);
+  const rankBy = spec.rankBy || 'totalPnL';
+  const workers = spec.workers || Math.max(1, os.cpus().length - 1);
+
+  // Stitched drawdown and ratios use the same starting capital as regular runs
+  performanceMetrics.initializeMetrics(baseConfig);
+
+  log.info('Planned windows', { windows: windows.length, from: new Date(start).toISOString(), to: new Date(end).toISOString(), combinations: sweepRunner.expandParameters(spec.parameters).length });
+
+  const windowResults = [];
+  for (const window of windows) {
+    log.info('Optimizing window', { window: window.index, windows: windows.length, from: new Date(window.inSample.from).toISOString(), to: new Date(window.inSample.to).toISOString() });
+
+    const rows = await sweepRunner.runSweep(baseConfig, {
+      ...spec,
+      strategies,
+      from: window.inSample.from,
+      to: window.inSample.to,
+      workers,
+      quiet: true
+    });
+    const best = pickBest(rows, strategies);
+    const evaluation = await evaluateOutOfSample(baseConfig, spec, window, strategies, best, workers);
+
+    const result = { ...window, strategies: {} };
+    for (const [strategyId, outOfSample] of Object.entries(evaluation)) {
+      result.strategies[strategyId] = { inSample: best[strategyId], outOfSample };
+      log.info('Window evaluated', { window: window.index, strategy: strategyId, best: best[strategyId].combination, [`inSample_${rankBy}`]: best[strategyId][rankBy], outOfSamplePnL: outOfSample.row.totalPnL });
+    }
+    windowResults.push(result);
+  }
+
+  return {
+    windows: windowResults,
+    stitched: strategies.map(strategy => stitchResults(strategy.id, windowResults))
+  };
+}
+
+/**
+ * Formats a possibly missing number
+ */
+function formatNumber(value, digits) {
+  if (value === null || value === undefined) {
+    return 'N/A';
+  }
+  return Number.isFinite(value) ? value.toFixed(digits) : String(value);
+}
+
+/**
+ * Logs the per-window choices and the stitched out-of-sample performance
+ */
+function logWalkForward(result) {
+  console.log('\n=== Walk-Forward Windows ===');
+  for (const window of result.windows) {
+    for (const [strategyId, run] of Object.entries(window.strategies)) {
+      console.log(`#${window.index} ${new Date(window.outOfSample.from).toISOString()} ${strategyId.padEnd(10)}${run.inSample.combination.padEnd(50)}IS PnL ${formatNumber(run.inSample.totalPnL, 6).padEnd(14)}OOS PnL ${formatNumber(run.outOfSample.row.totalPnL, 6).padEnd(14)}Trades ${run.outOfSample.row.totalTrades}`);
+    }
+  }
+
+  console.log('--- Stitched Out-of-Sample ---');
+  for (const row of result.stitched) {
+    console.log(`[${row.strategy}] PnL: ${formatNumber(row.totalPnL, 6)} over ${row.windows} windows (${row.profitableWindows} profitable), Trades: ${row.totalTrades}, Win rate: ${(row.winRate * 100).toFixed(2)}%, Max DD: ${formatNumber(row.maxDrawdown, 6)}, Sharpe: ${formatNumber(row.sharpeRatio, 2)}, Sortino: ${formatNumber(row.sortinoRatio, 2)}, In-sample PnL: ${formatNumber(row.inSamplePnL, 6)}`);
+  }
+  console.log('========================\n');
+}
+
+/**
+ * Writes per-window results as CSV and the full result as JSON into a walk-forward directory
+ */
+function writeWalkForward(resultsDir, spec, result) {
+  const dir = path.join(resultsDir, `walkforward-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const columns = ['window', 'strategy', 'inSampleFrom', 'inSampleTo', 'outOfSampleFrom', 'outOfSampleTo', 'combination',
+    'inSamplePnL', 'outOfSamplePnL', 'outOfSampleTrades', 'outOfSampleWinRate', 'outOfSampleMaxDrawdown'];
+  const lines = [columns.join(',')];
+  for (const window of result.windows) {
+    for (const [strategyId, run] of Object.entries(window.strategies)) {
+      const row = {
+        window: window.index,
+        strategy: strategyId,
+        inSampleFrom: new Date(window.inSample.from).toISOString(),
+        inSampleTo: new Date(window.inSample.to).toISOString(),
+        outOfSampleFrom: new Date(window.outOfSample.from).toISOString(),
+        outOfSampleTo: new Date(window.outOfSample.to).toISOString(),
+        combination: run.inSample.combination,
+        inSamplePnL: run.inSample.totalPnL,
+        outOfSamplePnL: run.outOfSample.row.totalPnL,
+        outOfSampleTrades: run.outOfSample.row.totalTrades,
+        outOfSampleWinRate: run.outOfSample.row.winRate,
+        outOfSampleMaxDrawdown: run.outOfSample.row.maxDrawdown
+      };
+      lines.push(columns.map(column => resultsWriter.toCsvValue(row[column])).join(','));
+    }
+  }
+
+  fs.writeFileSync(path.join(dir, 'windows.csv'), lines.join('\n') + '\n');
+  fs.writeFileSync(path.join(dir, 'walkforward.json'), JSON.stringify({ spec, ...result }, (key, value) =>
+    key === 'equityCurve' ? undefined : value, 2));
+
+  log.info('Results saved', { dir });
+  return dir;
+}
+
+/**
+ * Runs walk-forward validation from a spec file, prints and saves the results
+ */
+async function main(specPath) {
+  const { config } = require('./config');
+  const spec = sweepRunner.loadSweepSpec(specPath);
+  const result = await runWalkForward(config, spec);
+
+  logWalkForward(result);
+  writeWalkForward(config.results.dir, spec, result);
+  return result;
+}
+
+module.exports = {
+  buildWindows,
+  stitchResults,
+  runWalkForward,
+  logWalkForward,
+  writeWalkForward,
+  main
+};
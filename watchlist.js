@@ -0,0 +1,161 @@
+/**
+ * Watchlist module
+ * Decides which pools are processed and normalizes their prices to a common
+ * reference currency (USD) so different quote currencies can be compared
+ *
+ * A pool matches if its address is listed in markets.pools, or if its two tokens
+ * form one of the markets.pairs. Base/quote are taken from the pair definition,
+ * otherwise the token earliest in markets.quoteCurrencies is the quote.
+ */
+
+const logger = require('./logger');
+
+const log = logger.createLogger('Watchlist');
+
+// Shared state
+let tokensByAddress = new Map();
+let tokensBySymbol = new Map();
+let pairs = [];
+let pools = new Map();
+let quoteCurrencies = [];
+const referenceRates = new Map(); // token symbol -> latest price in the reference currency
+
+/**
+ * Initializes the watchlist from config.markets
+ */
+function initializeWatchlist(config) {
+  const markets = config.markets;
+
+  tokensByAddress = new Map();
+  tokensBySymbol = new Map();
+  for (const [address, token] of Object.entries(markets.tokens)) {
+    const info = {
+      address: address.toLowerCase(),
+      symbol: token.symbol,
+      decimals: token.decimals,
+      usdPegged: Boolean(token.usdPegged)
+    };
+    tokensByAddress.set(info.address, info);
+    tokensBySymbol.set(info.symbol, info);
+  }
+
+  pairs = markets.pairs.map(([base, quote]) => {
+    if (!tokensBySymbol.has(base) || !tokensBySymbol.has(quote)) {
+      throw new Error(`Watchlist pair ${base}/${quote} references an unknown token symbol`);
+    }
+    return { base: tokensBySymbol.get(base), quote: tokensBySymbol.get(quote) };
+  });
+
+  pools = new Map(markets.pools.map(address => [address.toLowerCase(), true]));
+  quoteCurrencies = markets.quoteCurrencies;
+  referenceRates.clear();
+
+  log.info('Watching markets', { pairs: pairs.map(p => `${p.base.symbol}/${p.quote.symbol}`).join(',') || 'none', pools: pools.size });
+}
+
+/**
+ * Describes a token, falling back to its address when it is not in the token list
+ */
+function describeToken(address) {
+  return tokensByAddress.get(address) || { address, symbol: address, decimals: null, usdPegged: false };
+}
+
+/**
+ * Ranks a token as quote currency (lower is preferred, unknown tokens last)
+ */
+function quoteRank(token) {
+  const rank = quoteCurrencies.indexOf(token.symbol);
+  return rank === -1 ? Infinity : rank;
+}
+
+/**
+ * Matches a pool against the watchlist
+ * Returns { base, quote, baseIsA } or null if the pool is not watched
+ */
+function matchPool(poolAddress, addressA, addressB) {
+  if (!addressA || !addressB) {
+    return null;
+  }
+
+  const a = addressA.toLowerCase();
+  const b = addressB.toLowerCase();
+
+  for (const pair of pairs) {
+    if (pair.base.address === a && pair.quote.address === b) {
+      return { base: pair.base, quote: pair.quote, baseIsA: true };
+    }
+    if (pair.base.address === b && pair.quote.address === a) {
+      return { base: pair.base, quote: pair.quote, baseIsA: false };
+    }
+  }
+
+  if (poolAddress && pools.has(poolAddress.toLowerCase())) {
+    const tokenA = describeToken(a);
+    const tokenB = describeToken(b);
+    const baseIsA = quoteRank(tokenB) <= quoteRank(tokenA);
+    return baseIsA
+      ? { base: tokenA, quote: tokenB, baseIsA: true }
+      : { base: tokenB, quote: tokenA, baseIsA: false };
+  }
+
+  return null;
+}
+
+/**
+ * Gets the rate converting a quote-currency price into the reference currency
+ * Returns null while no price for a non-pegged quote currency has been observed
+ */
+function getQuoteRate(quote) {
+  if (quote.usdPegged) {
+    return 1;
+  }
+  return referenceRates.has(quote.symbol) ? referenceRates.get(quote.symbol) : null;
+}
+
+/**
+ * Records the latest reference-currency price of a base token, so pools quoted in
+ * that token (e.g. WBTC/WETH once WETH/USDT is seen) can be normalized
+ */
+function updateReferenceRate(base, referencePrice) {
+  if (referencePrice > 0) {
+    referenceRates.set(base.symbol, referencePrice);
+  }
+}
+
+/**
+ * Gets the latest reference-currency price of a token symbol, or null if none has been observed
+ */
+function getReferenceRate(symbol) {
+  const token = tokensBySymbol.get(symbol);
+  if (token && token.usdPegged) {
+    return 1;
+  }
+  return referenceRates.has(symbol) ? referenceRates.get(symbol) : null;
+}
+
+/**
+ * Exports the observed reference rates for state snapshots
+ */
+function exportState() {
+  return { referenceRates: Array.from(referenceRates.entries()) };
+}
+
+/**
+ * Restores exported reference rates
+ */
+function importState(state) {
+  referenceRates.clear();
+  for (const [symbol, rate] of state.referenceRates || []) {
+    referenceRates.set(symbol, rate);
+  }
+}
+
+module.exports = {
+  initializeWatchlist,
+  matchPool,
+  getQuoteRate,
+  getReferenceRate,
+  updateReferenceRate,
+  exportState,
+  importState
+};